@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "Account" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "createdAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT "Account_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Account_name_idx" ON "Account"("name");
+
+-- Existing rows were recorded against a single global ledger, move them into a default account
+INSERT INTO "Account" ("name", "description", "updatedAt")
+SELECT 'Default', 'Created automatically for transactions recorded before accounts existed', CURRENT_TIMESTAMP
+WHERE EXISTS (SELECT 1 FROM "Transaction") OR EXISTS (SELECT 1 FROM "DailySummary");
+
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN     "accountId" INTEGER;
+
+UPDATE "Transaction" SET "accountId" = (SELECT MIN("id") FROM "Account");
+
+ALTER TABLE "Transaction" ALTER COLUMN "accountId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "DailySummary" ADD COLUMN     "accountId" INTEGER;
+
+UPDATE "DailySummary" SET "accountId" = (SELECT MIN("id") FROM "Account");
+
+ALTER TABLE "DailySummary" ALTER COLUMN "accountId" SET NOT NULL;
+
+-- DropIndex
+DROP INDEX "DailySummary_date_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DailySummary_accountId_date_key" ON "DailySummary"("accountId", "date");
+
+-- CreateIndex
+CREATE INDEX "Transaction_accountId_timestamp_idx" ON "Transaction"("accountId", "timestamp");
+
+-- AddForeignKey
+ALTER TABLE "Transaction" ADD CONSTRAINT "Transaction_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "Account"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DailySummary" ADD CONSTRAINT "DailySummary_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "Account"("id") ON DELETE CASCADE ON UPDATE CASCADE;
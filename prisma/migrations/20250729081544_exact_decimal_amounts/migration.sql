@@ -0,0 +1,17 @@
+/*
+  Converts money columns from DOUBLE PRECISION to exact DECIMAL(19, 4).
+
+  Existing values are rounded to 2 decimal places, the scale of the default
+  currency, which removes accumulated floating-point drift such as
+  10.299999999999999 -> 10.30. Daily summaries are rounded the same way;
+  rebuild them afterwards if exact historical balances matter.
+*/
+-- AlterTable
+ALTER TABLE "Transaction" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(19,4) USING ROUND("amount"::numeric, 2);
+
+-- AlterTable
+ALTER TABLE "DailySummary" ALTER COLUMN "balance" SET DATA TYPE DECIMAL(19,4) USING ROUND("balance"::numeric, 2),
+ALTER COLUMN "inAmount" SET DATA TYPE DECIMAL(19,4) USING ROUND("inAmount"::numeric, 2),
+ALTER COLUMN "outAmount" SET DATA TYPE DECIMAL(19,4) USING ROUND("outAmount"::numeric, 2),
+ALTER COLUMN "inAmount" SET DEFAULT 0,
+ALTER COLUMN "outAmount" SET DEFAULT 0;
@@ -0,0 +1,40 @@
+/*
+  Adds an ISO 4217 currency code to transactions and daily summaries, and a
+  table of exchange rates.
+
+  Existing rows are assumed to be in USD. If the deployment used a different
+  DEFAULT_CURRENCY, update "Transaction"."currency" and
+  "DailySummary"."currency" before serving traffic.
+
+  Daily summaries become per (account, currency, date).
+*/
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "currency" CHAR(3) NOT NULL DEFAULT 'USD';
+
+-- AlterTable
+ALTER TABLE "DailySummary" ADD COLUMN "currency" CHAR(3) NOT NULL DEFAULT 'USD';
+
+-- DropIndex
+DROP INDEX "DailySummary_accountId_date_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DailySummary_accountId_currency_date_key" ON "DailySummary"("accountId", "currency", "date");
+
+-- CreateIndex
+CREATE INDEX "Transaction_accountId_currency_timestamp_idx" ON "Transaction"("accountId", "currency", "timestamp");
+
+-- CreateTable
+CREATE TABLE "ExchangeRate" (
+    "id" SERIAL NOT NULL,
+    "baseCurrency" CHAR(3) NOT NULL,
+    "quoteCurrency" CHAR(3) NOT NULL,
+    "date" DATE NOT NULL,
+    "rate" DECIMAL(24,10) NOT NULL,
+    "createdAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT "ExchangeRate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ExchangeRate_baseCurrency_quoteCurrency_date_key" ON "ExchangeRate"("baseCurrency", "quoteCurrency", "date");
@@ -0,0 +1,10 @@
+/*
+  Stores the effective (overdraft-clamped) closing balance on each daily
+  summary so invalid-transaction detection can resume from it.
+
+  Existing rows start out NULL. The first recalculation of each ledger
+  after this migration scans that ledger from the beginning and fills
+  them in.
+*/
+-- AlterTable
+ALTER TABLE "DailySummary" ADD COLUMN "effectiveBalance" DECIMAL(19,4);
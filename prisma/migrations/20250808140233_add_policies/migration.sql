@@ -0,0 +1,47 @@
+/*
+  Adds per-user validation policies and records which rule an invalid
+  transaction broke.
+
+  Every existing invalid transaction was flagged for a negative balance,
+  so they are all attributed to OVERDRAFT.
+*/
+-- CreateEnum
+CREATE TYPE "PolicyRule" AS ENUM ('OVERDRAFT', 'MAX_AMOUNT', 'DAILY_OUT_LIMIT', 'MONTHLY_OUT_LIMIT', 'MAX_BACKDATE', 'TIME_WINDOW');
+
+-- CreateEnum
+CREATE TYPE "PolicyAction" AS ENUM ('REJECT', 'FLAG');
+
+-- AlterTable
+ALTER TABLE "InvalidTransaction" ADD COLUMN "rule" "PolicyRule" NOT NULL DEFAULT 'OVERDRAFT';
+ALTER TABLE "InvalidTransaction" ALTER COLUMN "rule" DROP DEFAULT;
+
+-- Reasons now name the rule they come from
+UPDATE "InvalidTransaction" SET "reason" = 'OVERDRAFT: ' || "reason";
+
+-- CreateTable
+CREATE TABLE "Policy" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "accountId" INTEGER,
+    "currency" CHAR(3),
+    "rule" "PolicyRule" NOT NULL,
+    "action" "PolicyAction" NOT NULL DEFAULT 'REJECT',
+    "params" JSONB NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT "Policy_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Policy_userId_idx" ON "Policy"("userId");
+
+-- CreateIndex
+CREATE INDEX "Policy_accountId_idx" ON "Policy"("accountId");
+
+-- AddForeignKey
+ALTER TABLE "Policy" ADD CONSTRAINT "Policy_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Policy" ADD CONSTRAINT "Policy_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "Account"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,13 @@
+/*
+  Records the reporting timezone each daily summary's date belongs to.
+
+  Summaries have been rebuilt on UTC days since the window-function rebuild,
+  so existing rows are marked UTC. Rows written before that used the
+  server's local timezone; if that wasn't UTC, or REPORTING_TIMEZONE is set
+  to anything else, run `npm run summaries:rekey` after deploying.
+*/
+-- AlterTable
+ALTER TABLE "DailySummary" ADD COLUMN "timezone" TEXT NOT NULL DEFAULT 'UTC';
+
+-- CreateIndex
+CREATE INDEX "DailySummary_timezone_idx" ON "DailySummary"("timezone");
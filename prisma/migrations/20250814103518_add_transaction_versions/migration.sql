@@ -0,0 +1,39 @@
+/*
+  Adds the transaction audit trail.
+
+  Transactions that already exist get no history; their first version is
+  written the next time they change.
+*/
+-- CreateEnum
+CREATE TYPE "AuditAction" AS ENUM ('CREATE', 'UPDATE', 'DELETE');
+
+-- CreateTable
+CREATE TABLE "TransactionVersion" (
+    "id" SERIAL NOT NULL,
+    "transactionId" INTEGER NOT NULL,
+    "version" INTEGER NOT NULL,
+    "action" "AuditAction" NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "accountId" INTEGER NOT NULL,
+    "before" JSONB,
+    "after" JSONB,
+    "actorId" INTEGER,
+    "apiKeyId" INTEGER,
+    "requestId" TEXT,
+    "reason" TEXT,
+    "createdAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TransactionVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TransactionVersion_transactionId_version_key" ON "TransactionVersion"("transactionId", "version");
+
+-- CreateIndex
+CREATE INDEX "TransactionVersion_userId_createdAt_idx" ON "TransactionVersion"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "TransactionVersion_accountId_createdAt_idx" ON "TransactionVersion"("accountId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "TransactionVersion" ADD CONSTRAINT "TransactionVersion_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
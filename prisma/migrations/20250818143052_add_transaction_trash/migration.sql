@@ -0,0 +1,13 @@
+/*
+  Deleting a transaction now moves it to the trash instead of removing the
+  row. Trashed transactions are purged after the retention period.
+*/
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE 'RESTORE';
+ALTER TYPE "AuditAction" ADD VALUE 'PURGE';
+
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "deletedAt" TIMESTAMPTZ;
+
+-- CreateIndex
+CREATE INDEX "Transaction_deletedAt_idx" ON "Transaction"("deletedAt");
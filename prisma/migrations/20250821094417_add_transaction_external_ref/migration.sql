@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "externalRef" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Transaction_accountId_externalRef_key" ON "Transaction"("accountId", "externalRef");
@@ -0,0 +1,60 @@
+-- CreateEnum
+CREATE TYPE "RecurrenceFrequency" AS ENUM ('DAILY', 'WEEKLY', 'MONTHLY');
+
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "recurringTransactionId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "RecurringTransaction" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "accountId" INTEGER NOT NULL,
+    "type" "TransactionType" NOT NULL,
+    "amount" DECIMAL(19,4) NOT NULL,
+    "currency" CHAR(3) NOT NULL,
+    "description" TEXT,
+    "counterparty" TEXT,
+    "categoryId" INTEGER,
+    "tags" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "frequency" "RecurrenceFrequency" NOT NULL,
+    "interval" INTEGER NOT NULL DEFAULT 1,
+    "weekdays" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+    "monthDay" INTEGER,
+    "startDate" DATE NOT NULL,
+    "endDate" DATE,
+    "count" INTEGER,
+    "time" TEXT NOT NULL DEFAULT '00:00',
+    "timezone" TEXT NOT NULL,
+    "skippedDates" DATE[] DEFAULT ARRAY[]::DATE[],
+    "nextRunAt" TIMESTAMPTZ,
+    "pausedAt" TIMESTAMPTZ,
+    "lastError" TEXT,
+    "createdAt" TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT "RecurringTransaction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RecurringTransaction_userId_idx" ON "RecurringTransaction"("userId");
+
+-- CreateIndex
+CREATE INDEX "RecurringTransaction_accountId_idx" ON "RecurringTransaction"("accountId");
+
+-- CreateIndex
+CREATE INDEX "RecurringTransaction_nextRunAt_idx" ON "RecurringTransaction"("nextRunAt");
+
+-- CreateIndex
+CREATE INDEX "Transaction_recurringTransactionId_idx" ON "Transaction"("recurringTransactionId");
+
+-- AddForeignKey
+ALTER TABLE "Transaction" ADD CONSTRAINT "Transaction_recurringTransactionId_fkey" FOREIGN KEY ("recurringTransactionId") REFERENCES "RecurringTransaction"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RecurringTransaction" ADD CONSTRAINT "RecurringTransaction_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RecurringTransaction" ADD CONSTRAINT "RecurringTransaction_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "Account"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RecurringTransaction" ADD CONSTRAINT "RecurringTransaction_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "Category"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "BalanceCheckpoint" (
+    "accountId" INTEGER NOT NULL,
+    "currency" CHAR(3) NOT NULL,
+    "at" TIMESTAMPTZ NOT NULL,
+    "balance" DECIMAL(19,4) NOT NULL,
+    "updatedAt" TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT "BalanceCheckpoint_pkey" PRIMARY KEY ("accountId","currency","at")
+);
+
+-- AddForeignKey
+ALTER TABLE "BalanceCheckpoint" ADD CONSTRAINT "BalanceCheckpoint_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "Account"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing ledgers have no checkpoints until rebuilt (npm run
+-- checkpoints:rebuild); lookups fall back to summing from the start
@@ -0,0 +1,156 @@
+import "dotenv/config";
+import { faker } from "@faker-js/faker";
+import prisma from "../src/config/prisma.js";
+import { REPORTING_TIMEZONE } from "../src/config/timezone.js";
+import { recalculateFromTimestamp } from "../src/utils/utility.js";
+
+// Times recalculateFromTimestamp against a large synthetic ledger.
+//
+//   npm run benchmark:recalc -- [transactions] [days] [--keep]
+//
+// Defaults to 1,000,000 transactions spread over the last 730 days. The data
+// belongs to a throwaway user that is deleted afterwards unless --keep is
+// passed. Point DATABASE_URL at a scratch database, not production.
+
+const args = process.argv.slice(2);
+const keep = args.includes("--keep");
+const [transactionCount = 1_000_000, days = 730] = args
+  .filter((arg) => !arg.startsWith("--"))
+  .map((arg) => parseInt(arg));
+
+const CURRENCY = "USD";
+const INSERT_BATCH_SIZE = 10_000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysAgo = (count) => new Date(Date.now() - count * DAY_MS);
+
+const time = async (label, fn) => {
+  const started = process.hrtime.bigint();
+  await fn();
+  const ms = Number(process.hrtime.bigint() - started) / 1e6;
+  console.log(`⏱️  ${label}: ${ms.toFixed(0)}ms`);
+  return { scenario: label, ms: Math.round(ms) };
+};
+
+const seedTransactions = async (accountId) => {
+  const from = daysAgo(days);
+  const to = new Date();
+
+  for (let inserted = 0; inserted < transactionCount; ) {
+    const size = Math.min(INSERT_BATCH_SIZE, transactionCount - inserted);
+    const data = Array.from({ length: size }, () => ({
+      accountId,
+      currency: CURRENCY,
+      timestamp: faker.date.between({ from, to }),
+      // Mostly deposits, so the ledger stays positive and withdrawals
+      // still hit the occasional overdraft
+      type: faker.number.float() < 0.6 ? "IN" : "OUT",
+      amount: faker.finance.amount({ min: 1, max: 500, dec: 2 }),
+      description: faker.finance.transactionDescription(),
+    }));
+
+    await prisma.transaction.createMany({ data });
+    inserted += size;
+    process.stdout.write(`\r🌱 Seeded ${inserted}/${transactionCount}`);
+  }
+  process.stdout.write("\n");
+};
+
+// Compares a few rebuilt days with balances summed straight from the
+// transactions
+const verify = async (accountId) => {
+  const summaries = await prisma.dailySummary.findMany({
+    where: { accountId, currency: CURRENCY, timezone: REPORTING_TIMEZONE },
+    select: { date: true, balance: true },
+  });
+
+  const sample = faker.helpers.arrayElements(summaries, 5);
+  let mismatches = 0;
+
+  for (const { date, balance } of sample) {
+    const day = date.toISOString().slice(0, 10);
+    const [{ expected }] = await prisma.$queryRaw`
+      SELECT COALESCE(
+        SUM(CASE WHEN type = 'IN' THEN amount ELSE -amount END),
+        0
+      ) as expected
+      FROM "Transaction"
+      WHERE "accountId" = ${accountId} AND currency = ${CURRENCY}
+        AND "deletedAt" IS NULL
+        AND timestamp <
+          (${day}::date + 1)::timestamp AT TIME ZONE ${REPORTING_TIMEZONE}
+    `;
+
+    if (!balance.equals(expected)) {
+      mismatches += 1;
+      console.error(`❌ ${day}: summary ${balance}, expected ${expected}`);
+    }
+  }
+
+  console.log(
+    mismatches === 0
+      ? `✅ ${sample.length} sampled days match`
+      : `❌ ${mismatches} of ${sample.length} sampled days differ`
+  );
+};
+
+const main = async () => {
+  console.log(
+    `📦 Benchmarking recalculation over ${transactionCount} transactions and ${days} days`
+  );
+
+  const user = await prisma.user.create({
+    data: {
+      email: `benchmark-${Date.now()}@localhost`,
+      passwordHash: "!",
+      name: "Recalculation benchmark",
+      accounts: { create: { name: "Benchmark" } },
+    },
+    include: { accounts: true },
+  });
+  const accountId = user.accounts[0].id;
+
+  try {
+    await seedTransactions(accountId);
+
+    const results = [];
+    results.push(
+      await time("full rebuild", () =>
+        recalculateFromTimestamp(accountId, CURRENCY, daysAgo(days))
+      )
+    );
+    results.push(
+      await time("edit 1 year back", () =>
+        recalculateFromTimestamp(accountId, CURRENCY, daysAgo(365))
+      )
+    );
+    results.push(
+      await time("edit 30 days back", () =>
+        recalculateFromTimestamp(accountId, CURRENCY, daysAgo(30))
+      )
+    );
+    results.push(
+      await time("edit today", () =>
+        recalculateFromTimestamp(accountId, CURRENCY, new Date())
+      )
+    );
+
+    console.table(results);
+    await verify(accountId);
+  } finally {
+    if (keep) {
+      console.log(`🗂️  Kept benchmark data under account ${accountId}`);
+    } else {
+      console.log("🧹 Removing benchmark data...");
+      await prisma.transaction.deleteMany({ where: { accountId } });
+      await prisma.user.delete({ where: { id: user.id } });
+    }
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error("Benchmark failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
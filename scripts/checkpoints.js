@@ -0,0 +1,107 @@
+import "dotenv/config";
+import prisma from "../src/config/prisma.js";
+import {
+  rebuildCheckpoints,
+  verifyCheckpoints,
+} from "../src/utils/checkpoints.js";
+
+// Checks or rebuilds balance checkpoints (see src/utils/checkpoints.js).
+//
+//   npm run checkpoints:verify -- [accountId]
+//   npm run checkpoints:rebuild -- [accountId]
+//
+// verify compares every stored checkpoint with a sum of its ledger's
+// transactions and exits with status 1 if any is wrong. rebuild recomputes
+// every checkpoint from scratch: run it after deploying checkpoints on an
+// existing database, after changing BALANCE_CHECKPOINT_INTERVAL_HOURS, or
+// when verify finds a problem. Both work on every ledger unless given an
+// account.
+
+const [command, accountArg] = process.argv.slice(2);
+const accountId = accountArg ? parseInt(accountArg) : null;
+
+// Earlier than any transaction, so a rebuild from it starts from nothing
+const BEGINNING = new Date("0001-01-01T00:00:00Z");
+
+// Every (account, currency) with transactions or checkpoints
+const findLedgers = async () => {
+  const where = accountId ? { accountId } : {};
+  const [transactions, checkpoints] = await Promise.all([
+    prisma.transaction.groupBy({ by: ["accountId", "currency"], where }),
+    prisma.balanceCheckpoint.groupBy({ by: ["accountId", "currency"], where }),
+  ]);
+
+  const ledgers = new Map();
+  [...transactions, ...checkpoints].forEach((ledger) =>
+    ledgers.set(`${ledger.accountId}:${ledger.currency}`, ledger)
+  );
+  return [...ledgers.values()];
+};
+
+const verify = async (ledgers) => {
+  let failed = 0;
+
+  for (const { accountId, currency } of ledgers) {
+    const { checked, wrong, missing } = await verifyCheckpoints(
+      accountId,
+      currency
+    );
+
+    if (wrong.length > 0) {
+      failed += 1;
+      console.error(
+        `❌ Account ${accountId} (${currency}): ${wrong.length} of ${checked} checkpoints wrong`
+      );
+      wrong.slice(0, 10).forEach((row) => {
+        console.error(
+          `   ${row.at.toISOString()}: stored ${row.stored}, expected ${row.expected}`
+        );
+      });
+    } else {
+      console.log(
+        `✅ Account ${accountId} (${currency}): ${checked} checkpoints correct${
+          missing > 0 ? `, ${missing} missing` : ""
+        }`
+      );
+    }
+  }
+
+  console.log(
+    `🔍 Verified ${ledgers.length} ledgers, ${failed} with wrong checkpoints`
+  );
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+};
+
+const rebuild = async (ledgers) => {
+  for (const { accountId, currency } of ledgers) {
+    const count = await rebuildCheckpoints(accountId, currency, BEGINNING);
+    console.log(
+      `📍 Account ${accountId} (${currency}): ${count} checkpoints written`
+    );
+  }
+
+  console.log(`✅ Rebuilt checkpoints of ${ledgers.length} ledgers`);
+};
+
+const main = async () => {
+  const commands = { verify, rebuild };
+
+  if (!commands[command] || Number.isNaN(accountId)) {
+    console.error(
+      "Usage: node scripts/checkpoints.js verify|rebuild [accountId]"
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  await commands[command](await findLedgers());
+};
+
+main()
+  .catch((error) => {
+    console.error("Checkpoint command failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
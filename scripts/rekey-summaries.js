@@ -0,0 +1,46 @@
+import "dotenv/config";
+import prisma from "../src/config/prisma.js";
+import { REPORTING_TIMEZONE } from "../src/config/timezone.js";
+import { recalculateFromTimestamp } from "../src/utils/utility.js";
+
+// Moves daily summaries onto the days of REPORTING_TIMEZONE.
+//
+//   npm run summaries:rekey
+//
+// Run after changing REPORTING_TIMEZONE, or after upgrading from summaries
+// built in the server's local timezone. Every ledger with rows in another
+// timezone is rebuilt from its first transaction, which overwrites those
+// rows in place; whatever is left over in the old timezone (days the
+// ledger no longer spans) is deleted afterwards, so reports never see a
+// ledger without summaries. Balances don't change, so no webhooks or feed
+// events are sent. Safe to run again if interrupted.
+
+const main = async () => {
+  const timezone = REPORTING_TIMEZONE;
+  const ledgers = await prisma.dailySummary.groupBy({
+    by: ["accountId", "currency"],
+    where: { timezone: { not: timezone } },
+  });
+
+  console.log(`🌍 Re-keying ${ledgers.length} ledgers onto ${timezone} days`);
+
+  for (const { accountId, currency } of ledgers) {
+    await recalculateFromTimestamp(accountId, currency, new Date(0), {
+      silent: true,
+    });
+
+    const { count } = await prisma.dailySummary.deleteMany({
+      where: { accountId, currency, timezone: { not: timezone } },
+    });
+    console.log(
+      `✅ Account ${accountId} (${currency}) re-keyed, ${count} stale rows removed`
+    );
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error("Re-keying failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
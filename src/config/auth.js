@@ -0,0 +1,21 @@
+import "dotenv/config";
+import crypto from "crypto";
+
+let jwtSecret = process.env.JWT_SECRET;
+
+if (!jwtSecret) {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("JWT_SECRET must be set in production");
+  }
+
+  // Tokens signed with a throwaway secret stop working on every restart
+  jwtSecret = crypto.randomBytes(32).toString("hex");
+  console.warn("⚠️  JWT_SECRET not set, using a temporary secret");
+}
+
+export const authConfig = {
+  jwtSecret,
+  tokenExpiresIn: process.env.JWT_EXPIRES_IN || "12h",
+  bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,
+  apiKeyPrefix: "tt_",
+};
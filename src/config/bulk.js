@@ -0,0 +1,11 @@
+import "dotenv/config";
+
+export const bulkConfig = {
+  // Bulk requests with more rows than this are inserted by a background job
+  asyncThreshold: parseInt(process.env.BULK_ASYNC_THRESHOLD) || 1000,
+  // Rows per insert statement, for bulk requests and imports
+  batchSize: 1000,
+  // How long the database transaction of a bulk insert or an import may run
+  transactionTimeoutMs:
+    parseInt(process.env.BULK_TRANSACTION_TIMEOUT_MS) || 2 * 60 * 1000,
+};
@@ -0,0 +1,13 @@
+import "dotenv/config";
+
+export const cacheConfig = {
+  // Namespace of every cache entry, so the Redis database can be shared
+  prefix: process.env.CACHE_PREFIX || "cache:",
+  // Cached balances kept per account; past this the oldest points go first
+  maxBalancesPerAccount:
+    parseInt(process.env.CACHE_MAX_BALANCES_PER_ACCOUNT) || 1000,
+  // Entries each process keeps in memory while Redis is unreachable
+  fallbackMaxEntries: parseInt(process.env.CACHE_FALLBACK_MAX_ENTRIES) || 1000,
+  // Longest a fallback entry lives, whatever TTL it was set with
+  fallbackTtlSeconds: parseInt(process.env.CACHE_FALLBACK_TTL_SECONDS) || 30,
+};
@@ -0,0 +1,9 @@
+import "dotenv/config";
+
+export const checkpointConfig = {
+  // Length of a checkpoint interval. A lookup sums at most one interval's
+  // transactions on top of a checkpoint. Rebuild after changing it (npm run
+  // checkpoints:rebuild).
+  intervalSeconds:
+    (parseInt(process.env.BALANCE_CHECKPOINT_INTERVAL_HOURS) || 24) * 60 * 60,
+};
@@ -0,0 +1,30 @@
+import "dotenv/config";
+
+export const DEFAULT_CURRENCY = (
+  process.env.DEFAULT_CURRENCY || "USD"
+).toUpperCase();
+
+// Rounding rules per ISO 4217 code. `scale` is the number of minor-unit
+// digits, `rounding` is applied whenever an amount has more precision than
+// that. Currencies not listed here use DEFAULT_RULES. Amounts are stored as
+// DECIMAL(19, 4), so no scale may be above 4.
+const DEFAULT_RULES = { scale: 2, rounding: "HALF_UP" };
+
+const CURRENCY_RULES = {
+  BHD: { scale: 3 },
+  CLP: { scale: 0 },
+  IQD: { scale: 3 },
+  ISK: { scale: 0 },
+  JOD: { scale: 3 },
+  JPY: { scale: 0 },
+  KRW: { scale: 0 },
+  KWD: { scale: 3 },
+  OMR: { scale: 3 },
+  TND: { scale: 3 },
+  VND: { scale: 0 },
+};
+
+export const getCurrencyRules = (currency = DEFAULT_CURRENCY) => ({
+  ...DEFAULT_RULES,
+  ...CURRENCY_RULES[currency],
+});
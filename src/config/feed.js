@@ -0,0 +1,12 @@
+import "dotenv/config";
+
+export const feedConfig = {
+  // Namespace of each user's event stream and pub/sub channel
+  prefix: process.env.FEED_PREFIX || "feed:",
+  // Events kept per user for clients resuming with Last-Event-ID
+  maxLength: parseInt(process.env.FEED_MAX_LENGTH) || 1000,
+  // A user's stream is dropped after this long without new events
+  retentionSeconds: 24 * 60 * 60,
+  // Comment lines keep idle connections from being cut by proxies
+  heartbeatMs: parseInt(process.env.FEED_HEARTBEAT_MS) || 25 * 1000,
+};
@@ -0,0 +1,10 @@
+import "dotenv/config";
+
+export const idempotencyConfig = {
+  prefix: process.env.IDEMPOTENCY_PREFIX || "idempotency:",
+  // How long a completed request's response is replayed for its key
+  ttlSeconds: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60,
+  // A key whose request never finished (e.g. the process died) is released
+  // after this long
+  lockSeconds: parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 5 * 60,
+};
@@ -28,17 +28,7 @@ const prisma = new PrismaClient({
   errorFormat: "minimal",
 });
 
-// Graceful shutdown
-process.on("SIGINT", async () => {
-  console.log("🔄 Shutting down gracefully...");
-  await prisma.$disconnect();
-  process.exit(0);
-});
-
-process.on("SIGTERM", async () => {
-  console.log("🔄 Shutting down gracefully...");
-  await prisma.$disconnect();
-  process.exit(0);
-});
+// Disconnecting on shutdown is handled by utils/shutdown.js, after the
+// server and job worker have drained
 
 export default prisma;
@@ -0,0 +1,19 @@
+import "dotenv/config";
+
+export const queueConfig = {
+  // Namespace of every key the queue writes to Redis
+  prefix: process.env.JOB_QUEUE_PREFIX || "jobs:",
+  // Jobs a worker process runs at the same time
+  concurrency: parseInt(process.env.WORKER_CONCURRENCY) || 1,
+  pollIntervalMs: parseInt(process.env.WORKER_POLL_INTERVAL_MS) || 1000,
+  // A job whose worker stops renewing its lease this long is handed out again
+  leaseMs: parseInt(process.env.JOB_LEASE_MS) || 5 * 60 * 1000,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+  backoffBaseMs: parseInt(process.env.JOB_BACKOFF_BASE_MS) || 5000,
+  backoffMaxMs: parseInt(process.env.JOB_BACKOFF_MAX_MS) || 10 * 60 * 1000,
+  completedTtlSeconds: 24 * 60 * 60,
+  failedTtlSeconds: 7 * 24 * 60 * 60,
+  // Set EMBEDDED_WORKER=false when workers run as their own processes
+  // (npm run worker)
+  embeddedWorker: process.env.EMBEDDED_WORKER !== "false",
+};
@@ -0,0 +1,6 @@
+import "dotenv/config";
+
+export const recurringConfig = {
+  // How often the scheduler creates the recurring transactions that are due
+  intervalMs: parseInt(process.env.RECURRING_INTERVAL_MS) || 60 * 1000,
+};
@@ -0,0 +1,15 @@
+import "dotenv/config";
+import { parseTimezone } from "../utils/timezone.js";
+
+// Days in summaries, rollups, stats and per-day policy limits start at
+// midnight in this IANA timezone (e.g. "Asia/Karachi"). Changing it needs
+// `npm run summaries:rekey` to move stored summaries onto the new days.
+export const REPORTING_TIMEZONE = parseTimezone(
+  process.env.REPORTING_TIMEZONE || "UTC"
+);
+
+if (!REPORTING_TIMEZONE) {
+  throw new Error(
+    `REPORTING_TIMEZONE "${process.env.REPORTING_TIMEZONE}" is not an IANA timezone`
+  );
+}
@@ -0,0 +1,9 @@
+import "dotenv/config";
+
+export const trashConfig = {
+  // Deleted transactions stay restorable this many days, then are purged
+  retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+  // How often the purge job looks for expired transactions
+  purgeIntervalMs:
+    parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000,
+};
@@ -0,0 +1,13 @@
+import "dotenv/config";
+
+export const webhookConfig = {
+  // A receiver that hasn't answered by then counts as failed
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+  // Attempts per delivery, spaced out by the job queue's backoff
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  // Endpoints a user can have
+  maxEndpoints: parseInt(process.env.WEBHOOK_MAX_ENDPOINTS) || 20,
+  // Lets webhooks reach loopback and private networks, for local receivers
+  // in development. Never set this where users can register webhooks.
+  allowPrivateAddresses: process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES === "true",
+};
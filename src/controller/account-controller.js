@@ -0,0 +1,230 @@
+import prisma from "../config/prisma.js";
+import { findUserAccount } from "../utils/accounts.js";
+import { ZERO, formatMoney } from "../utils/money.js";
+import {
+  getBalanceAtTimestamp,
+  getBalancesAtTimestamps,
+  seriesTimes,
+} from "../utils/balances.js";
+
+// Current balances for each of the given accounts, keyed by account id.
+// An account keeps a separate balance per currency it holds.
+const getAccountBalances = async (accountIds) => {
+  const grouped = await prisma.transaction.groupBy({
+    by: ["accountId", "currency", "type"],
+    where: { accountId: { in: accountIds }, deletedAt: null },
+    _sum: { amount: true },
+    _count: { id: true },
+  });
+
+  const balances = new Map(
+    accountIds.map((id) => [id, { balances: {}, transactionCount: 0 }])
+  );
+
+  grouped.forEach((row) => {
+    const entry = balances.get(row.accountId);
+    const amount = row._sum.amount ?? ZERO;
+    const current = entry.balances[row.currency] ?? ZERO;
+    entry.balances[row.currency] =
+      row.type === "IN" ? current.plus(amount) : current.minus(amount);
+    entry.transactionCount += row._count.id;
+  });
+
+  balances.forEach((entry) => {
+    Object.keys(entry.balances).forEach((currency) => {
+      entry.balances[currency] = formatMoney(
+        entry.balances[currency],
+        currency
+      );
+    });
+  });
+
+  return balances;
+};
+
+export const getAccounts = async (req, res) => {
+  try {
+    const accounts = await prisma.account.findMany({
+      where: { userId: req.user.id },
+      orderBy: { id: "asc" },
+      select: {
+        id: true,
+        name: true,
+        description: true,
+        createdAt: true,
+        updatedAt: true,
+      },
+    });
+
+    const balances = await getAccountBalances(accounts.map((a) => a.id));
+
+    res.json({
+      accounts: accounts.map((account) => ({
+        ...account,
+        ...balances.get(account.id),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching accounts:", error);
+    res.status(500).json({ error: "Failed to fetch accounts" });
+  }
+};
+
+export const getAccount = async (req, res) => {
+  const { id: accountId } = req.params;
+
+  try {
+    const account = await prisma.account.findFirst({
+      where: { id: accountId, userId: req.user.id },
+    });
+
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const balances = await getAccountBalances([accountId]);
+
+    res.json({ ...account, ...balances.get(accountId) });
+  } catch (error) {
+    console.error("Error fetching account:", error);
+    res.status(500).json({ error: "Failed to fetch account" });
+  }
+};
+
+export const createAccount = async (req, res) => {
+  const { name, description } = req.body;
+
+  try {
+    const account = await prisma.account.create({
+      data: {
+        userId: req.user.id,
+        name,
+        description: description ?? null,
+      },
+    });
+
+    res.status(201).json(account);
+  } catch (error) {
+    console.error("Error creating account:", error);
+    res.status(500).json({ error: "Failed to create account" });
+  }
+};
+
+export const updateAccount = async (req, res) => {
+  const { id: accountId } = req.params;
+  const { name, description } = req.body;
+
+  try {
+    const existing = await findUserAccount(req.user.id, accountId);
+
+    if (!existing) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const account = await prisma.account.update({
+      where: { id: accountId },
+      data: {
+        ...(name !== undefined && { name }),
+        ...(description !== undefined && { description }),
+      },
+    });
+
+    res.json(account);
+  } catch (error) {
+    console.error("Error updating account:", error);
+    res.status(500).json({ error: "Failed to update account" });
+  }
+};
+
+// Accounts with transactions are kept so their history can't vanish by accident
+export const deleteAccount = async (req, res) => {
+  const { id: accountId } = req.params;
+
+  try {
+    const account = await prisma.account.findFirst({
+      where: { id: accountId, userId: req.user.id },
+      select: { id: true, _count: { select: { transactions: true } } },
+    });
+
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    if (account._count.transactions > 0) {
+      return res.status(409).json({
+        error: "Account still has transactions and cannot be deleted",
+      });
+    }
+
+    await prisma.account.delete({ where: { id: accountId } });
+
+    res.json({ message: "Account deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting account:", error);
+    res.status(500).json({ error: "Failed to delete account" });
+  }
+};
+
+// GET /api/accounts/:id/balance?at=&currency=
+// Balance of one currency as of `at` (default now), counting transactions
+// at or before it
+export const getAccountBalance = async (req, res) => {
+  const { id: accountId } = req.params;
+  const { currency } = req.query;
+  const at = req.query.at ?? new Date();
+
+  try {
+    if (!(await findUserAccount(req.user.id, accountId))) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const balance = await getBalanceAtTimestamp(
+      req.user.id,
+      accountId,
+      currency,
+      at
+    );
+
+    res.json({
+      accountId,
+      currency,
+      at: at.toISOString(),
+      balance: formatMoney(balance, currency),
+    });
+  } catch (error) {
+    console.error("Error fetching account balance:", error);
+    res.status(500).json({ error: "Failed to fetch account balance" });
+  }
+};
+
+// GET /api/accounts/:id/balance/series?from=&to=&interval=&currency=&tz=
+// Balances of one currency sampled every hour, or every midnight in `tz`
+// (default REPORTING_TIMEZONE), from `from` to `to` (default now), for
+// charting
+export const getAccountBalanceSeries = async (req, res) => {
+  const { id: accountId } = req.params;
+  const { from, to, interval, currency, tz: timezone } = req.query;
+
+  try {
+    if (!(await findUserAccount(req.user.id, accountId))) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const times = seriesTimes(from, to, interval, timezone);
+    const balances = await getBalancesAtTimestamps(accountId, currency, times);
+
+    res.json({
+      accountId,
+      currency,
+      interval,
+      timezone,
+      points: times.map((time) => ({
+        time: time.toISOString(),
+        balance: formatMoney(balances.get(time.toISOString()), currency),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching balance series:", error);
+    res.status(500).json({ error: "Failed to fetch balance series" });
+  }
+};
@@ -0,0 +1,86 @@
+import prisma from "../config/prisma.js";
+
+const versionSelect = {
+  id: true,
+  transactionId: true,
+  version: true,
+  action: true,
+  accountId: true,
+  before: true,
+  after: true,
+  actorId: true,
+  apiKeyId: true,
+  requestId: true,
+  reason: true,
+  createdAt: true,
+};
+
+// Every version of one transaction, oldest first. Deleted transactions
+// keep their history.
+export const getTransactionHistory = async (req, res) => {
+  const { id: txnId } = req.params;
+
+  try {
+    const versions = await prisma.transactionVersion.findMany({
+      where: { transactionId: txnId, userId: req.user.id },
+      orderBy: { version: "asc" },
+      select: versionSelect,
+    });
+
+    if (versions.length === 0) {
+      return res.status(404).json({ error: "Transaction not found" });
+    }
+
+    res.json({ transactionId: txnId, versions });
+  } catch (error) {
+    console.error("Error fetching transaction history:", error);
+    res.status(500).json({ error: "Failed to fetch transaction history" });
+  }
+};
+
+// The user's changes across all transactions, newest first.
+// Filters: from (inclusive) and to (exclusive) timestamps, action,
+// accountId, transactionId. Paginated with the id cursor.
+export const getAuditLog = async (req, res) => {
+  const {
+    from: fromDate,
+    to: toDate,
+    action,
+    accountId,
+    transactionId,
+    cursor,
+    limit: take,
+  } = req.query;
+
+  try {
+    const entries = await prisma.transactionVersion.findMany({
+      where: {
+        userId: req.user.id,
+        ...((fromDate || toDate) && {
+          createdAt: {
+            ...(fromDate && { gte: fromDate }),
+            ...(toDate && { lt: toDate }),
+          },
+        }),
+        ...(action && { action }),
+        ...(accountId && { accountId }),
+        ...(transactionId && { transactionId }),
+      },
+      take,
+      ...(cursor && {
+        skip: 1,
+        cursor: { id: cursor },
+      }),
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      select: versionSelect,
+    });
+
+    const nextCursor =
+      entries.length === take ? entries[entries.length - 1].id : null;
+
+    res.json({ entries, nextCursor, hasMore: nextCursor !== null });
+  } catch (error) {
+    console.error("Error fetching audit log:", error);
+    res.status(500).json({ error: "Failed to fetch audit log" });
+  }
+};
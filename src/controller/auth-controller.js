@@ -0,0 +1,150 @@
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import prisma from "../config/prisma.js";
+import { authConfig } from "../config/auth.js";
+import { hashApiKey } from "../middleware/auth.js";
+
+const signToken = (user) =>
+  jwt.sign({ sub: String(user.id), email: user.email }, authConfig.jwtSecret, {
+    expiresIn: authConfig.tokenExpiresIn,
+  });
+
+const toPublicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  createdAt: user.createdAt,
+});
+
+export const register = async (req, res) => {
+  const { email, password, name } = req.body;
+
+  try {
+    const existing = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true },
+    });
+
+    if (existing) {
+      return res.status(409).json({ error: "Email is already registered" });
+    }
+
+    const passwordHash = await bcrypt.hash(password, authConfig.bcryptRounds);
+
+    const user = await prisma.user.create({
+      data: {
+        email,
+        passwordHash,
+        name: name ?? null,
+      },
+    });
+
+    res.status(201).json({ token: signToken(user), user: toPublicUser(user) });
+  } catch (error) {
+    console.error("Error registering user:", error);
+    res.status(500).json({ error: "Failed to register user" });
+  }
+};
+
+export const login = async (req, res) => {
+  const { email, password } = req.body;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { email } });
+
+    const valid =
+      user !== null && (await bcrypt.compare(password, user.passwordHash));
+
+    if (!valid) {
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+
+    res.json({ token: signToken(user), user: toPublicUser(user) });
+  } catch (error) {
+    console.error("Error logging in:", error);
+    res.status(500).json({ error: "Failed to log in" });
+  }
+};
+
+export const getCurrentUser = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json(toPublicUser(user));
+  } catch (error) {
+    console.error("Error fetching current user:", error);
+    res.status(500).json({ error: "Failed to fetch user" });
+  }
+};
+
+export const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await prisma.apiKey.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: "desc" },
+      select: {
+        id: true,
+        name: true,
+        prefix: true,
+        lastUsedAt: true,
+        revokedAt: true,
+        createdAt: true,
+      },
+    });
+
+    res.json({ apiKeys });
+  } catch (error) {
+    console.error("Error fetching API keys:", error);
+    res.status(500).json({ error: "Failed to fetch API keys" });
+  }
+};
+
+// The plain key is only ever returned here; the database keeps its hash
+export const createApiKey = async (req, res) => {
+  const { name } = req.body;
+
+  try {
+    const key =
+      authConfig.apiKeyPrefix + crypto.randomBytes(32).toString("base64url");
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        userId: req.user.id,
+        name,
+        prefix: key.slice(0, authConfig.apiKeyPrefix.length + 6),
+        keyHash: hashApiKey(key),
+      },
+      select: { id: true, name: true, prefix: true, createdAt: true },
+    });
+
+    res.status(201).json({ ...apiKey, key });
+  } catch (error) {
+    console.error("Error creating API key:", error);
+    res.status(500).json({ error: "Failed to create API key" });
+  }
+};
+
+export const revokeApiKey = async (req, res) => {
+  const { id: keyId } = req.params;
+
+  try {
+    const result = await prisma.apiKey.updateMany({
+      where: { id: keyId, userId: req.user.id, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+
+    res.json({ message: "API key revoked successfully" });
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+    res.status(500).json({ error: "Failed to revoke API key" });
+  }
+};
@@ -0,0 +1,120 @@
+import prisma from "../config/prisma.js";
+
+const nameTaken = async (userId, name, excludeId = null) => {
+  const existing = await prisma.category.findFirst({
+    where: {
+      userId,
+      name,
+      ...(excludeId && { id: { not: excludeId } }),
+    },
+    select: { id: true },
+  });
+
+  return existing !== null;
+};
+
+export const getCategories = async (req, res) => {
+  try {
+    const categories = await prisma.category.findMany({
+      where: { userId: req.user.id },
+      orderBy: { name: "asc" },
+      select: {
+        id: true,
+        name: true,
+        color: true,
+        createdAt: true,
+        updatedAt: true,
+        _count: { select: { transactions: true } },
+      },
+    });
+
+    res.json({
+      categories: categories.map(({ _count, ...category }) => ({
+        ...category,
+        transactionCount: _count.transactions,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching categories:", error);
+    res.status(500).json({ error: "Failed to fetch categories" });
+  }
+};
+
+export const createCategory = async (req, res) => {
+  const { name, color } = req.body;
+
+  try {
+    if (await nameTaken(req.user.id, name)) {
+      return res.status(409).json({ error: "Category already exists" });
+    }
+
+    const category = await prisma.category.create({
+      data: {
+        userId: req.user.id,
+        name,
+        color: color ?? null,
+      },
+    });
+
+    res.status(201).json(category);
+  } catch (error) {
+    console.error("Error creating category:", error);
+    res.status(500).json({ error: "Failed to create category" });
+  }
+};
+
+export const updateCategory = async (req, res) => {
+  const { id: categoryId } = req.params;
+  const { name, color } = req.body;
+
+  try {
+    const existing = await prisma.category.findFirst({
+      where: { id: categoryId, userId: req.user.id },
+      select: { id: true },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: "Category not found" });
+    }
+
+    if (
+      name !== undefined &&
+      (await nameTaken(req.user.id, name, categoryId))
+    ) {
+      return res.status(409).json({ error: "Category already exists" });
+    }
+
+    const category = await prisma.category.update({
+      where: { id: categoryId },
+      data: {
+        ...(name !== undefined && { name }),
+        ...(color !== undefined && { color }),
+      },
+    });
+
+    res.json(category);
+  } catch (error) {
+    console.error("Error updating category:", error);
+    res.status(500).json({ error: "Failed to update category" });
+  }
+};
+
+// Transactions in a deleted category become uncategorized
+export const deleteCategory = async (req, res) => {
+  const { id: categoryId } = req.params;
+
+  try {
+    const result = await prisma.category.deleteMany({
+      where: { id: categoryId, userId: req.user.id },
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({ error: "Category not found" });
+    }
+
+    res.json({ message: "Category deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting category:", error);
+    res.status(500).json({ error: "Failed to delete category" });
+  }
+};
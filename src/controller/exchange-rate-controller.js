@@ -0,0 +1,151 @@
+import { parse as parseCsv } from "csv-parse/sync";
+import prisma from "../config/prisma.js";
+import { parseRateInput } from "../utils/exchange-rates.js";
+import { sendInvalidField } from "../middleware/validate.js";
+
+const upsertRates = (rates) =>
+  prisma.$transaction(
+    rates.map(({ baseCurrency, quoteCurrency, date, rate }) =>
+      prisma.exchangeRate.upsert({
+        where: {
+          baseCurrency_quoteCurrency_date: {
+            baseCurrency,
+            quoteCurrency,
+            date,
+          },
+        },
+        update: { rate },
+        create: { baseCurrency, quoteCurrency, date, rate },
+      })
+    )
+  );
+
+// GET /api/exchange-rates?baseCurrency=&quoteCurrency=&from=&to=&cursor=&limit=
+export const getExchangeRates = async (req, res) => {
+  const {
+    baseCurrency: base,
+    quoteCurrency: quote,
+    from: fromDate,
+    to: toDate,
+    cursor,
+    limit: take,
+  } = req.query;
+
+  try {
+    const rates = await prisma.exchangeRate.findMany({
+      where: {
+        ...(base && { baseCurrency: base }),
+        ...(quote && { quoteCurrency: quote }),
+        ...((fromDate || toDate) && {
+          date: {
+            ...(fromDate && { gte: fromDate }),
+            ...(toDate && { lte: toDate }),
+          },
+        }),
+      },
+      take,
+      ...(cursor && { skip: 1, cursor: { id: cursor } }),
+      orderBy: [{ date: "desc" }, { id: "desc" }],
+    });
+
+    const nextCursor =
+      rates.length === take ? rates[rates.length - 1].id : null;
+
+    res.json({ rates, nextCursor, hasMore: nextCursor !== null });
+  } catch (error) {
+    console.error("Error fetching exchange rates:", error);
+    res.status(500).json({ error: "Failed to fetch exchange rates" });
+  }
+};
+
+// POST /api/exchange-rates
+// Body: one { baseCurrency, quoteCurrency, date, rate } or { rates: [...] }.
+// A rate that already exists for the pair and date is replaced.
+export const saveExchangeRates = async (req, res) => {
+  const { rates } = req.body;
+
+  try {
+    const saved = await upsertRates(rates);
+
+    res.status(201).json({ count: saved.length, rates: saved });
+  } catch (error) {
+    console.error("Error saving exchange rates:", error);
+    res.status(500).json({ error: "Failed to save exchange rates" });
+  }
+};
+
+// POST /api/exchange-rates/import (multipart, field "file")
+// CSV with a header row: date, baseCurrency, quoteCurrency, rate.
+// Valid rows are saved; the report lists why the others were rejected.
+export const importExchangeRates = async (req, res) => {
+  if (!req.file) {
+    return sendInvalidField(res, "file", "is required");
+  }
+
+  let records;
+  try {
+    records = parseCsv(req.file.buffer, {
+      columns: true,
+      bom: true,
+      skip_empty_lines: true,
+      trim: true,
+    });
+  } catch (err) {
+    return sendInvalidField(res, "file", `Could not parse CSV: ${err.message}`);
+  }
+
+  const report = [];
+  const rates = [];
+
+  records.forEach((record, index) => {
+    const row = index + 1;
+    const { rate, error } = parseRateInput(record);
+
+    if (error) {
+      report.push({ row, status: "rejected", reason: error });
+      return;
+    }
+
+    report.push({ row, status: "accepted" });
+    rates.push(rate);
+  });
+
+  try {
+    if (rates.length > 0) {
+      await upsertRates(rates);
+    }
+
+    console.log(`💱 Imported ${rates.length} exchange rates`);
+
+    res.status(201).json({
+      summary: {
+        total: report.length,
+        saved: rates.length,
+        rejected: report.length - rates.length,
+      },
+      rows: report,
+    });
+  } catch (error) {
+    console.error("Error importing exchange rates:", error);
+    res.status(500).json({ error: "Failed to import exchange rates" });
+  }
+};
+
+export const deleteExchangeRate = async (req, res) => {
+  const { id: rateId } = req.params;
+
+  try {
+    const result = await prisma.exchangeRate.deleteMany({
+      where: { id: rateId },
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({ error: "Exchange rate not found" });
+    }
+
+    res.json({ message: "Exchange rate deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting exchange rate:", error);
+    res.status(500).json({ error: "Failed to delete exchange rate" });
+  }
+};
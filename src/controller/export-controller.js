@@ -0,0 +1,253 @@
+import prisma from "../config/prisma.js";
+import { findUserAccount } from "../utils/accounts.js";
+import { buildTransactionQuery } from "../utils/transaction-filters.js";
+import { createExportWriter } from "../utils/export-writer.js";
+import { formatMoney } from "../utils/money.js";
+import {
+  convertedDailyTotalsSql,
+  missingRatesMessage,
+} from "../utils/exchange-rates.js";
+import { REPORTING_TIMEZONE } from "../config/timezone.js";
+
+// Rows are read from the database in keyset batches of this size, so memory
+// use stays flat no matter how large the table is
+const EXPORT_BATCH_SIZE = 5000;
+
+const TRANSACTION_COLUMNS = [
+  { key: "id", header: "id" },
+  { key: "accountId", header: "accountId" },
+  { key: "timestamp", header: "timestamp" },
+  { key: "type", header: "type" },
+  { key: "amount", header: "amount" },
+  { key: "currency", header: "currency" },
+  { key: "description", header: "description" },
+  { key: "counterparty", header: "counterparty" },
+  { key: "category", header: "category" },
+  { key: "tags", header: "tags" },
+  { key: "externalRef", header: "externalRef" },
+  { key: "invalidReason", header: "invalidReason" },
+  { key: "createdAt", header: "createdAt" },
+];
+
+const SUMMARY_COLUMNS = [
+  { key: "accountId", header: "accountId" },
+  { key: "currency", header: "currency" },
+  { key: "date", header: "date" },
+  { key: "balance", header: "balance" },
+  { key: "percentChange", header: "percentChange" },
+  { key: "transactionCount", header: "transactionCount" },
+  { key: "inAmount", header: "inAmount" },
+  { key: "outAmount", header: "outAmount" },
+];
+
+const exportTimestamp = () => new Date().toISOString().slice(0, 10);
+
+// Pulls batches from `fetchBatch(lastRow)` until it runs dry or the client
+// goes away (a write waiting on a gone client returns on close, and the
+// rest of the batch is dropped). Once streaming has started errors can only
+// abort the response. Resolves to the number of rows written.
+const streamBatches = async (res, writer, fetchBatch, toRow) => {
+  let aborted = res.destroyed;
+  res.on("close", () => {
+    aborted = !res.writableFinished;
+  });
+
+  let lastRow = null;
+  let exported = 0;
+
+  while (!aborted) {
+    const batch = await fetchBatch(lastRow);
+    if (batch.length === 0) break;
+
+    for (const row of batch) {
+      if (aborted) break;
+      await writer.writeRow(toRow(row));
+      exported += 1;
+    }
+
+    lastRow = batch[batch.length - 1];
+
+    if (batch.length < EXPORT_BATCH_SIZE) break;
+  }
+
+  if (!aborted) {
+    await writer.end();
+  }
+
+  return exported;
+};
+
+// GET /api/transactions/export?format=csv|ndjson|xlsx plus any list filter
+export const exportTransactions = async (req, res) => {
+  const { format } = req.query;
+  const query = buildTransactionQuery(req.user.id, req.query);
+
+  const writer = createExportWriter(res, {
+    format,
+    columns: TRANSACTION_COLUMNS,
+    filename: `transactions-${exportTimestamp()}`,
+  });
+
+  try {
+    const exported = await streamBatches(
+      res,
+      writer,
+      (lastRow) =>
+        prisma.transaction.findMany({
+          where: query.where,
+          orderBy: query.orderBy,
+          take: EXPORT_BATCH_SIZE,
+          ...(lastRow && { skip: 1, cursor: { id: lastRow.id } }),
+          select: {
+            id: true,
+            accountId: true,
+            timestamp: true,
+            type: true,
+            amount: true,
+            currency: true,
+            description: true,
+            counterparty: true,
+            tags: true,
+            externalRef: true,
+            createdAt: true,
+            category: { select: { name: true } },
+            invalidTransaction: { select: { reason: true } },
+          },
+        }),
+      ({ category, invalidTransaction, ...txn }) => ({
+        ...txn,
+        category: category?.name ?? null,
+        invalidReason: invalidTransaction?.reason ?? null,
+      })
+    );
+
+    console.log(`📤 Exported ${exported} transactions as ${format}`);
+  } catch (error) {
+    console.error("Error exporting transactions:", error);
+    res.destroy(error);
+  }
+};
+
+// Without an accountId the daily rows of all the user's accounts are
+// converted into the base currency and summed
+const fetchConsolidatedSummaries = (
+  userId,
+  baseCurrency,
+  from,
+  to,
+  lastRow
+) => {
+  const afterDate = lastRow ? lastRow.date : null;
+
+  return prisma.$queryRaw`
+    SELECT *
+    FROM (${convertedDailyTotalsSql(userId, null, baseCurrency)}) totals
+    WHERE (${from}::date IS NULL OR date >= ${from}::date)
+      AND (${to}::date IS NULL OR date <= ${to}::date)
+      AND (${afterDate}::date IS NULL OR date > ${afterDate}::date)
+    ORDER BY date ASC
+    LIMIT ${EXPORT_BATCH_SIZE}
+  `;
+};
+
+// Rates have to be complete before streaming starts, a gap can't be
+// reported once rows are on the wire
+const countMissingRates = async (userId, baseCurrency, from, to) => {
+  const [result] = await prisma.$queryRaw`
+    SELECT SUM(missing_rates) as missing_rates
+    FROM (${convertedDailyTotalsSql(userId, null, baseCurrency)}) totals
+    WHERE (${from}::date IS NULL OR date >= ${from}::date)
+      AND (${to}::date IS NULL OR date <= ${to}::date)
+  `;
+
+  return parseInt(result.missing_rates) || 0;
+};
+
+// GET /api/summary/export?format=csv|ndjson|xlsx&accountId=&from=&to=
+// &baseCurrency= (consolidated exports only, DEFAULT_CURRENCY by default)
+export const exportSummaries = async (req, res) => {
+  const { format, baseCurrency } = req.query;
+  const fromDate = req.query.from ?? null;
+  const toDate = req.query.to ?? null;
+  const accountFilter = req.query.accountId ?? null;
+
+  try {
+    if (accountFilter && !(await findUserAccount(req.user.id, accountFilter))) {
+      return res.status(404).json({ message: "Account not found" });
+    }
+
+    if (!accountFilter) {
+      const missingRates = await countMissingRates(
+        req.user.id,
+        baseCurrency,
+        fromDate,
+        toDate
+      );
+      if (missingRates > 0) {
+        return res
+          .status(422)
+          .json({ message: missingRatesMessage(missingRates, baseCurrency) });
+      }
+    }
+  } catch (error) {
+    console.error("Error exporting summaries:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+
+  const writer = createExportWriter(res, {
+    format,
+    columns: SUMMARY_COLUMNS,
+    filename: `daily-summaries-${exportTimestamp()}`,
+  });
+
+  try {
+    const fetchBatch = accountFilter
+      ? (lastRow) =>
+          prisma.dailySummary.findMany({
+            where: {
+              accountId: accountFilter,
+              timezone: REPORTING_TIMEZONE,
+              ...((fromDate || toDate) && {
+                date: {
+                  ...(fromDate && { gte: fromDate }),
+                  ...(toDate && { lte: toDate }),
+                },
+              }),
+            },
+            orderBy: [{ date: "asc" }, { id: "asc" }],
+            take: EXPORT_BATCH_SIZE,
+            ...(lastRow && { skip: 1, cursor: { id: lastRow.id } }),
+          })
+      : (lastRow) =>
+          fetchConsolidatedSummaries(
+            req.user.id,
+            baseCurrency,
+            fromDate,
+            toDate,
+            lastRow
+          );
+
+    const toRow = accountFilter
+      ? (summary) => ({
+          ...summary,
+          date: summary.date.toISOString().slice(0, 10),
+        })
+      : (row) => ({
+          accountId: null,
+          currency: baseCurrency,
+          date: row.date.toISOString().slice(0, 10),
+          balance: formatMoney(row.balance, baseCurrency),
+          percentChange: null,
+          transactionCount: parseInt(row.transaction_count) || 0,
+          inAmount: formatMoney(row.in_amount, baseCurrency),
+          outAmount: formatMoney(row.out_amount, baseCurrency),
+        });
+
+    const exported = await streamBatches(res, writer, fetchBatch, toRow);
+
+    console.log(`📤 Exported ${exported} daily summaries as ${format}`);
+  } catch (error) {
+    console.error("Error exporting summaries:", error);
+    res.destroy(error);
+  }
+};
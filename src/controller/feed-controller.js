@@ -0,0 +1,125 @@
+import { feedConfig } from "../config/feed.js";
+import {
+  compareFeedIds,
+  isFeedId,
+  readFeedSince,
+  subscribeFeed,
+  closeFeedSubscriber,
+} from "../utils/feed.js";
+import { sendInvalidField } from "../middleware/validate.js";
+
+// Connections this process is streaming to, ended on shutdown
+const openStreams = new Set();
+
+const writeEvent = (res, { id, type, data }) =>
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+// GET /api/feed: the user's ledger events as Server-Sent Events (see
+// utils/feed.js for the types). A client reconnecting with Last-Event-ID
+// (or ?lastEventId=) first gets what it missed; when that has been trimmed
+// it gets a `reset` event and should reload its state. ?accountId= limits
+// the feed to one account.
+//
+// Authenticates like every other route, so browsers need an EventSource
+// implementation that can send the Authorization header.
+export const streamFeed = async (req, res) => {
+  const header = req.get("Last-Event-ID");
+  const lastEventId = header ?? req.query.lastEventId;
+  const accountId = req.query.accountId ?? null;
+
+  // The query param is checked by the route's schema
+  if (header !== undefined && !isFeedId(header)) {
+    return sendInvalidField(
+      res,
+      "Last-Event-ID",
+      "must be an id from the feed",
+      "header"
+    );
+  }
+
+  const matches = ({ data }) =>
+    !accountId ||
+    data.accountId === accountId ||
+    data.previous?.accountId === accountId;
+
+  // Live events wait until the missed ones are out, and anything already
+  // sent is skipped, so the two can overlap without duplicates
+  let lastSent = lastEventId ?? null;
+  let pending = [];
+  const send = (event) => {
+    if (lastSent && compareFeedIds(event.id, lastSent) <= 0) return;
+    lastSent = event.id;
+    if (matches(event)) writeEvent(res, event);
+  };
+
+  // Listening from the start, so a client that leaves while the
+  // subscription is set up is still let go of
+  let closed = false;
+  let release = () => {};
+  req.on("close", () => {
+    closed = true;
+    release();
+  });
+
+  let unsubscribe;
+  try {
+    unsubscribe = await subscribeFeed(req.user.id, (event) =>
+      pending ? pending.push(event) : send(event)
+    );
+  } catch (error) {
+    console.error("Error subscribing to feed:", error);
+    return res.status(503).json({ error: "Live feed unavailable" });
+  }
+
+  const stopListening = () =>
+    unsubscribe().catch((err) =>
+      console.warn("Feed unsubscribe failed:", err.message)
+    );
+  if (closed) return stopListening();
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    feedConfig.heartbeatMs
+  );
+  openStreams.add(res);
+
+  release = () => {
+    clearInterval(heartbeat);
+    openStreams.delete(res);
+    stopListening();
+  };
+
+  if (lastEventId) {
+    try {
+      const { events, gap } = await readFeedSince(req.user.id, lastEventId);
+      if (gap) {
+        res.write("event: reset\ndata: {}\n\n");
+      }
+      events.forEach(send);
+    } catch (error) {
+      console.error("Error replaying feed:", error);
+      res.write("event: reset\ndata: {}\n\n");
+    }
+    if (closed) return;
+  }
+
+  const missed = pending;
+  pending = null;
+  missed.forEach(send);
+};
+
+// Ends every open feed so the server can close; clients reconnect to
+// another instance and resume from their last event
+export const closeFeedStreams = async () => {
+  openStreams.forEach((res) => res.end());
+  openStreams.clear();
+  await closeFeedSubscriber();
+};
@@ -0,0 +1,374 @@
+import path from "path";
+import { isFuture } from "date-fns";
+import prisma from "../config/prisma.js";
+import { findUserAccount } from "../utils/accounts.js";
+import { invalidateBalanceCache } from "../utils/cache.js";
+import { queueRecalculation } from "../queue/jobs.js";
+import { auditContext, recordCreates } from "../utils/audit.js";
+import { invalidateCheckpoints } from "../utils/checkpoints.js";
+import { transactionEventData, WEBHOOK_EVENTS } from "../utils/webhooks.js";
+import { publishTransactionEvents } from "../utils/transaction-events.js";
+import { parseTransactionDetails } from "../utils/transaction-details.js";
+import { roundMoney, parseCurrency } from "../utils/money.js";
+import { checkTransactionPolicies } from "../utils/policies.js";
+import { DEFAULT_CURRENCY } from "../config/currency.js";
+import { bulkConfig } from "../config/bulk.js";
+import { INVALID_CURRENCY } from "../schemas/common.js";
+import { sendInvalidField } from "../middleware/validate.js";
+import {
+  resolveCsvMapping,
+  parseCsvStatement,
+  parseOfxStatement,
+} from "../utils/statement-parser.js";
+
+const OFX_EXTENSIONS = [".ofx", ".qfx"];
+
+const detectFormat = (file, requested) => {
+  if (requested) return requested;
+
+  const extension = path.extname(file.originalname || "").toLowerCase();
+  return OFX_EXTENSIONS.includes(extension) ? "ofx" : "csv";
+};
+
+const matchKey = ({ timestamp, type, amount }) =>
+  `${timestamp.toISOString()}|${type}|${amount}`;
+
+// Rows that already exist in the account count as duplicates. `byRef` maps
+// external references to ids (trashed rows included, since they still hold
+// their reference). `byData` keys the ledger's rows for the currency by
+// timestamp, type and amount.
+const findExistingMatches = async (accountId, currency, candidates) => {
+  if (candidates.length === 0) return { byRef: new Map(), byData: new Map() };
+
+  const timestamps = candidates.map((c) => c.data.timestamp.getTime());
+  const earliest = timestamps.reduce((a, b) => Math.min(a, b));
+  const latest = timestamps.reduce((a, b) => Math.max(a, b));
+  const refs = candidates.map((c) => c.data.externalRef).filter(Boolean);
+
+  const [referenced, existing] = await Promise.all([
+    refs.length > 0
+      ? prisma.transaction.findMany({
+          where: { accountId, externalRef: { in: refs } },
+          select: { id: true, externalRef: true },
+        })
+      : [],
+    prisma.transaction.findMany({
+      where: {
+        accountId,
+        currency,
+        timestamp: { gte: new Date(earliest), lte: new Date(latest) },
+        deletedAt: null,
+      },
+      select: {
+        id: true,
+        timestamp: true,
+        type: true,
+        amount: true,
+        externalRef: true,
+      },
+    }),
+  ]);
+
+  return {
+    byRef: new Map(referenced.map((txn) => [txn.externalRef, txn.id])),
+    byData: new Map(existing.map((txn) => [matchKey(txn), txn])),
+  };
+};
+
+// A row with a reference matches the existing row with that reference, or
+// one with the same data that has no reference (imported before references
+// were kept). A row without one matches on data alone.
+const findExistingMatch = ({ byRef, byData }, data) => {
+  const dataMatch = byData.get(matchKey(data));
+
+  if (!data.externalRef) {
+    return dataMatch?.id;
+  }
+
+  return (
+    byRef.get(data.externalRef) ??
+    (dataMatch?.externalRef === null ? dataMatch.id : undefined)
+  );
+};
+
+// POST /api/transactions/import (multipart)
+// Fields: file, accountId, format (csv|ofx, from the extension by default),
+// mapping (JSON column mapping for CSV), currency (the statement's OFX
+// CURDEF or DEFAULT_CURRENCY by default), dryRun (true to only preview)
+export const importTransactions = async (req, res) => {
+  const {
+    accountId: numericAccountId,
+    format: requestedFormat,
+    mapping: rawMapping,
+    dryRun,
+  } = req.body;
+
+  if (!req.file) {
+    return sendInvalidField(res, "file", "is required");
+  }
+
+  const format = detectFormat(req.file, requestedFormat);
+
+  let parsed;
+  if (format === "csv") {
+    const { mapping, error } = resolveCsvMapping(rawMapping);
+    if (error) {
+      return sendInvalidField(res, "mapping", error);
+    }
+    parsed = parseCsvStatement(req.file.buffer, mapping);
+  } else {
+    parsed = parseOfxStatement(req.file.buffer);
+  }
+
+  if (parsed.error) {
+    return sendInvalidField(res, "file", parsed.error);
+  }
+
+  // The statement's own currency (OFX CURDEF) is only read here
+  const currency =
+    req.body.currency ?? parseCurrency(parsed.currency ?? DEFAULT_CURRENCY);
+  if (!currency) {
+    return sendInvalidField(res, "currency", INVALID_CURRENCY);
+  }
+
+  try {
+    if (!(await findUserAccount(req.user.id, numericAccountId))) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const report = [];
+    const candidates = [];
+
+    // Row-level validation mirrors createTransaction
+    for (const entry of parsed.rows) {
+      if (entry.error) {
+        report.push({
+          row: entry.row,
+          status: "rejected",
+          reason: entry.error,
+        });
+        continue;
+      }
+
+      if (isFuture(entry.data.timestamp)) {
+        report.push({
+          row: entry.row,
+          status: "rejected",
+          reason: "Cannot use future timestamp",
+        });
+        continue;
+      }
+
+      // Statements may carry more precision than the currency allows
+      const amount = roundMoney(entry.data.amount, currency);
+      if (amount.isZero()) {
+        report.push({
+          row: entry.row,
+          status: "rejected",
+          reason: "Amount rounds to zero",
+        });
+        continue;
+      }
+
+      const { details, error } = parseTransactionDetails(entry.data);
+      if (error) {
+        report.push({ row: entry.row, status: "rejected", reason: error });
+        continue;
+      }
+
+      // Placeholder until duplicate detection decides the row's status
+      candidates.push({
+        index: report.length,
+        row: entry.row,
+        data: { ...entry.data, amount, currency, ...details },
+      });
+      report.push(null);
+    }
+
+    const existing = await findExistingMatches(
+      numericAccountId,
+      currency,
+      candidates
+    );
+    const seenInFile = new Map();
+    const accepted = [];
+
+    for (const candidate of candidates) {
+      const { externalRef } = candidate.data;
+      const key = externalRef ? `ref:${externalRef}` : matchKey(candidate.data);
+      const { index } = candidate;
+      const result = { row: candidate.row, transaction: candidate.data };
+      const existingId = findExistingMatch(existing, candidate.data);
+
+      if (existingId !== undefined) {
+        report[index] = {
+          ...result,
+          status: "duplicate",
+          reason: `Matches existing transaction ${existingId}`,
+        };
+      } else if (seenInFile.has(key)) {
+        report[index] = {
+          ...result,
+          status: "duplicate",
+          reason: `Duplicate of row ${seenInFile.get(key)}`,
+        };
+      } else {
+        seenInFile.set(key, candidate.row);
+        accepted.push(candidate);
+      }
+    }
+
+    // The new rows are checked against the user's policies like any other
+    // write, each seeing the balance left by the ones dated before it. A row
+    // that breaks one is rejected and doesn't count towards the rest.
+    // Resolves to the candidates that passed. A real import checks inside
+    // the database transaction that writes them, leaving out the `lost`
+    // candidates a concurrent import took the reference of.
+    const lost = new Set();
+    const applyPolicies = async (tx) => {
+      const checked = accepted.filter((candidate) => !lost.has(candidate));
+      const violations = await checkTransactionPolicies(
+        req.user.id,
+        checked.map(({ data }) => ({ ...data, accountId: numericAccountId })),
+        { dropRejected: true, tx }
+      );
+      const reasons = new Map();
+      violations.forEach(({ index, rule, message }) => {
+        reasons.set(index, [
+          ...(reasons.get(index) ?? []),
+          `${rule}: ${message}`,
+        ]);
+      });
+
+      const passed = [];
+      checked.forEach((candidate, i) => {
+        const { index, row, data } = candidate;
+        if (reasons.has(i)) {
+          report[index] = {
+            row,
+            status: "rejected",
+            reason: reasons.get(i).join("; "),
+          };
+        } else {
+          report[index] = { row, transaction: data, status: "accepted" };
+          passed.push(candidate);
+        }
+      });
+
+      return passed;
+    };
+
+    const created = [];
+
+    if (dryRun) {
+      await applyPolicies(null);
+    } else {
+      // All rows land or none do, with their audit rows. A reference taken
+      // by a concurrent import rolls the attempt back, as the policy check
+      // counted that row; it is made again without it, the row reported as
+      // a duplicate.
+      const context = auditContext(req);
+      const attempt = () =>
+        prisma.$transaction(
+          async (tx) => {
+            const passed = (await applyPolicies(tx)).sort(
+              (a, b) => a.data.timestamp - b.data.timestamp
+            );
+
+            const written = [];
+            const { batchSize } = bulkConfig;
+            for (let i = 0; i < passed.length; i += batchSize) {
+              const batch = passed.slice(i, i + batchSize);
+              const inserted = await tx.transaction.createManyAndReturn({
+                data: batch.map(({ data }) => ({
+                  ...data,
+                  accountId: numericAccountId,
+                })),
+                skipDuplicates: true,
+              });
+
+              // Only a reference can conflict, so rows without one always
+              // land
+              if (inserted.length < batch.length) {
+                const insertedRefs = new Set(
+                  inserted.map(({ externalRef }) => externalRef)
+                );
+                batch
+                  .filter(({ data }) => data.externalRef)
+                  .filter(({ data }) => !insertedRefs.has(data.externalRef))
+                  .forEach((candidate) => {
+                    const { index, row, data } = candidate;
+                    lost.add(candidate);
+                    report[index] = {
+                      row,
+                      transaction: data,
+                      status: "duplicate",
+                      reason: "Matches a transaction imported at the same time",
+                    };
+                  });
+                throw new Error("Import lost an externalRef to another write");
+              }
+
+              await recordCreates(tx, req.user.id, inserted, context);
+              await invalidateCheckpoints(tx, inserted);
+              written.push(...inserted);
+            }
+
+            return written;
+          },
+          { timeout: bulkConfig.transactionTimeoutMs }
+        );
+
+      // Each failed attempt loses at least one row, so this ends
+      let written = null;
+      while (!written) {
+        const lostBefore = lost.size;
+        written = await attempt().catch((error) => {
+          if (lost.size === lostBefore) throw error;
+          return null;
+        });
+      }
+      created.push(...written);
+    }
+
+    if (created.length > 0) {
+      const earliest = created.reduce((a, b) =>
+        a.timestamp <= b.timestamp ? a : b
+      ).timestamp;
+      await invalidateBalanceCache(req.user.id, numericAccountId, earliest);
+
+      await queueRecalculation({
+        userId: req.user.id,
+        accountId: numericAccountId,
+        currency,
+        fromTimestamp: earliest,
+      });
+
+      await publishTransactionEvents(
+        req.user.id,
+        WEBHOOK_EVENTS.TRANSACTION_CREATED,
+        created.map(transactionEventData)
+      );
+    }
+
+    const countByStatus = (status) =>
+      report.filter((entry) => entry.status === status).length;
+
+    res.status(dryRun ? 200 : 201).json({
+      dryRun,
+      format,
+      currency,
+      summary: {
+        total: report.length,
+        accepted: countByStatus("accepted"),
+        rejected: countByStatus("rejected"),
+        duplicate: countByStatus("duplicate"),
+        created: created.length,
+      },
+      rows: report,
+    });
+  } catch (error) {
+    console.error("Error importing transactions:", error);
+    res.status(500).json({ error: "Failed to import transactions" });
+  }
+};
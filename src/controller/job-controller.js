@@ -0,0 +1,39 @@
+import { getJob, getQueueStats, listUserJobs } from "../queue/job-queue.js";
+
+// Only what the client needs: internal dedupe bookkeeping stays out
+const toJobResponse = ({ userId, dedupeKey, ...job }) => job;
+
+// GET /api/jobs?limit= - queue depth plus the user's most recent jobs
+export const getJobs = async (req, res) => {
+  const { limit } = req.query;
+
+  try {
+    const [queue, jobs] = await Promise.all([
+      getQueueStats(),
+      listUserJobs(req.user.id, limit),
+    ]);
+
+    res.json({ queue, jobs: jobs.map(toJobResponse) });
+  } catch (error) {
+    console.error("Error fetching jobs:", error);
+    res.status(500).json({ error: "Failed to fetch jobs" });
+  }
+};
+
+export const getJobById = async (req, res) => {
+  const { id: jobId } = req.params;
+
+  try {
+    const job = await getJob(jobId);
+
+    // Other users' jobs look the same as ones that never existed
+    if (!job || job.userId !== req.user.id) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    res.json(toJobResponse(job));
+  } catch (error) {
+    console.error("Error fetching job:", error);
+    res.status(500).json({ error: "Failed to fetch job" });
+  }
+};
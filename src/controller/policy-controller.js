@@ -0,0 +1,147 @@
+import prisma from "../config/prisma.js";
+import { findUserAccount } from "../utils/accounts.js";
+import { parsePolicyParams } from "../utils/policies.js";
+import { queueRecalculation } from "../queue/jobs.js";
+import { sendInvalidField } from "../middleware/validate.js";
+
+// Flags and effective balances depend on the policies, so every ledger a
+// policy covers is rechecked from its start
+const recheckLedgers = async (userId, { accountId, currency }) => {
+  const ledgers = await prisma.transaction.groupBy({
+    by: ["accountId", "currency"],
+    where: {
+      account: { userId },
+      ...(accountId !== null && { accountId }),
+      ...(currency !== null && { currency }),
+    },
+  });
+
+  for (const ledger of ledgers) {
+    await queueRecalculation({
+      userId,
+      accountId: ledger.accountId,
+      currency: ledger.currency,
+      fromTimestamp: new Date(0),
+    });
+  }
+};
+
+const findUserPolicy = (userId, policyId) =>
+  prisma.policy.findFirst({ where: { id: policyId, userId } });
+
+export const getPolicies = async (req, res) => {
+  try {
+    const policies = await prisma.policy.findMany({
+      where: { userId: req.user.id },
+      orderBy: [{ rule: "asc" }, { id: "asc" }],
+    });
+
+    res.json({ policies });
+  } catch (error) {
+    console.error("Error fetching policies:", error);
+    res.status(500).json({ error: "Failed to fetch policies" });
+  }
+};
+
+// A policy is scoped by optional accountId and currency; each scope holds
+// at most one policy per rule
+export const createPolicy = async (req, res) => {
+  const { rule, action, params, enabled, accountId, currency } = req.body;
+
+  try {
+    if (
+      accountId !== null &&
+      !(await findUserAccount(req.user.id, accountId))
+    ) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const existing = await prisma.policy.findFirst({
+      where: { userId: req.user.id, accountId, currency, rule },
+      select: { id: true },
+    });
+    if (existing) {
+      return res.status(409).json({
+        error: "A policy for this rule already exists in this scope",
+        policyId: existing.id,
+      });
+    }
+
+    const policy = await prisma.policy.create({
+      data: {
+        userId: req.user.id,
+        accountId,
+        currency,
+        rule,
+        action,
+        params,
+        enabled,
+      },
+    });
+
+    await recheckLedgers(req.user.id, policy);
+
+    res.status(201).json(policy);
+  } catch (error) {
+    console.error("Error creating policy:", error);
+    res.status(500).json({ error: "Failed to create policy" });
+  }
+};
+
+// The rule and scope are fixed; action, params and enabled can change
+export const updatePolicy = async (req, res) => {
+  const { id: policyId } = req.params;
+  const { action, params, enabled } = req.body;
+
+  try {
+    const existing = await findUserPolicy(req.user.id, policyId);
+    if (!existing) {
+      return res.status(404).json({ error: "Policy not found" });
+    }
+
+    let parsedParams;
+    if (params !== undefined) {
+      // Which params are valid depends on the stored rule
+      const parsed = parsePolicyParams(existing.rule, params);
+      if (parsed.error) {
+        return sendInvalidField(res, "params", parsed.error);
+      }
+      parsedParams = parsed.params;
+    }
+
+    const policy = await prisma.policy.update({
+      where: { id: policyId },
+      data: {
+        ...(action !== undefined && { action }),
+        ...(parsedParams !== undefined && { params: parsedParams }),
+        ...(enabled !== undefined && { enabled }),
+      },
+    });
+
+    await recheckLedgers(req.user.id, policy);
+
+    res.json(policy);
+  } catch (error) {
+    console.error("Error updating policy:", error);
+    res.status(500).json({ error: "Failed to update policy" });
+  }
+};
+
+export const deletePolicy = async (req, res) => {
+  const { id: policyId } = req.params;
+
+  try {
+    const existing = await findUserPolicy(req.user.id, policyId);
+    if (!existing) {
+      return res.status(404).json({ error: "Policy not found" });
+    }
+
+    await prisma.policy.delete({ where: { id: policyId } });
+    await recheckLedgers(req.user.id, existing);
+
+    res.json({ message: "Policy deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting policy:", error);
+    res.status(500).json({ error: "Failed to delete policy" });
+  }
+};
@@ -0,0 +1,323 @@
+import prisma from "../config/prisma.js";
+import { findUserAccount } from "../utils/accounts.js";
+import {
+  pickTransactionDetails,
+  userOwnsCategories,
+} from "../utils/transaction-details.js";
+import { roundMoney } from "../utils/money.js";
+import {
+  resolveSchedule,
+  parseDay,
+  dayString,
+  isOccurrence,
+  occurrenceAt,
+  upcomingOccurrences,
+  nextRunAt,
+} from "../utils/recurrence.js";
+import { templateSchedule } from "../utils/recurring.js";
+import { sendInvalidField } from "../middleware/validate.js";
+
+// Dates go out as YYYY-MM-DD, the way they come in
+const serializeTemplate = (template) => ({
+  ...template,
+  startDate: dayString(template.startDate),
+  endDate: template.endDate && dayString(template.endDate),
+  skippedDates: template.skippedDates.map(dayString),
+});
+
+const findUserTemplate = (userId, id) =>
+  prisma.recurringTransaction.findFirst({ where: { id, userId } });
+
+// The transaction fields of a template from a parsed body. On updates
+// `current` is the stored template and absent fields keep their value.
+// Returns `{ data }`, `{ field, error }` for a 400 or `{ status: 404,
+// error }`.
+const resolveTemplateFields = async (userId, body, current = null) => {
+  const accountId = body.accountId ?? current.accountId;
+  const type = body.type ?? current.type;
+  const currency = body.currency ?? current.currency;
+
+  // A kept amount is re-rounded in case the currency changed
+  const amount = roundMoney(body.amount ?? current.amount, currency);
+  if (amount.isZero()) {
+    return { field: "amount", error: `rounds to zero in ${currency}` };
+  }
+
+  const details = pickTransactionDetails(body);
+
+  if (
+    accountId !== current?.accountId &&
+    !(await findUserAccount(userId, accountId))
+  ) {
+    return { status: 404, error: "Account not found" };
+  }
+
+  if (
+    details.categoryId &&
+    !(await userOwnsCategories(userId, [details.categoryId]))
+  ) {
+    return { status: 404, error: "Category not found" };
+  }
+
+  return { data: { accountId, type, currency, amount, ...details } };
+};
+
+// Sends the error of resolveSchedule or resolveTemplateFields
+const sendFieldsError = (res, { status, field, error }) =>
+  status === 404
+    ? res.status(404).json({ error })
+    : sendInvalidField(res, field, error);
+
+export const getRecurringTransactions = async (req, res) => {
+  const { accountId } = req.query;
+
+  try {
+    const templates = await prisma.recurringTransaction.findMany({
+      where: { userId: req.user.id, ...(accountId && { accountId }) },
+      orderBy: { id: "asc" },
+    });
+
+    res.json({ recurringTransactions: templates.map(serializeTemplate) });
+  } catch (error) {
+    console.error("Error fetching recurring transactions:", error);
+    res.status(500).json({ error: "Failed to fetch recurring transactions" });
+  }
+};
+
+export const getRecurringTransaction = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const template = await findUserTemplate(req.user.id, id);
+    if (!template) {
+      return res.status(404).json({ error: "Recurring transaction not found" });
+    }
+
+    res.json(serializeTemplate(template));
+  } catch (error) {
+    console.error("Error fetching recurring transaction:", error);
+    res.status(500).json({ error: "Failed to fetch recurring transaction" });
+  }
+};
+
+// Takes the transaction fields of createTransaction plus the schedule
+// fields documented in utils/recurrence.js. Occurrences due before now are
+// not created.
+export const createRecurringTransaction = async (req, res) => {
+  const scheduled = resolveSchedule(req.body);
+  if (scheduled.error) {
+    return sendFieldsError(res, scheduled);
+  }
+  const { schedule } = scheduled;
+
+  try {
+    const fields = await resolveTemplateFields(req.user.id, req.body);
+    if (fields.error) {
+      return sendFieldsError(res, fields);
+    }
+    const { data } = fields;
+
+    const template = await prisma.recurringTransaction.create({
+      data: {
+        userId: req.user.id,
+        ...data,
+        ...schedule,
+        nextRunAt: nextRunAt(schedule, new Date()),
+      },
+    });
+
+    res.status(201).json(serializeTemplate(template));
+  } catch (error) {
+    console.error("Error creating recurring transaction:", error);
+    res.status(500).json({ error: "Failed to create recurring transaction" });
+  }
+};
+
+// Changes apply from the next occurrence on; transactions already created
+// are left alone
+export const updateRecurringTransaction = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const current = await findUserTemplate(req.user.id, id);
+    if (!current) {
+      return res.status(404).json({ error: "Recurring transaction not found" });
+    }
+
+    const scheduled = resolveSchedule(req.body, templateSchedule(current));
+    if (scheduled.error) {
+      return sendFieldsError(res, scheduled);
+    }
+    const { schedule } = scheduled;
+
+    const fields = await resolveTemplateFields(req.user.id, req.body, current);
+    if (fields.error) {
+      return sendFieldsError(res, fields);
+    }
+    const { data } = fields;
+
+    const template = await prisma.recurringTransaction.update({
+      where: { id },
+      data: {
+        ...data,
+        ...schedule,
+        nextRunAt: nextRunAt(schedule, new Date(), current.skippedDates),
+      },
+    });
+
+    res.json(serializeTemplate(template));
+  } catch (error) {
+    console.error("Error updating recurring transaction:", error);
+    res.status(500).json({ error: "Failed to update recurring transaction" });
+  }
+};
+
+// Transactions already created stay, without the link to the template
+export const deleteRecurringTransaction = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const template = await findUserTemplate(req.user.id, id);
+    if (!template) {
+      return res.status(404).json({ error: "Recurring transaction not found" });
+    }
+
+    await prisma.recurringTransaction.delete({ where: { id } });
+
+    res.json({ message: "Recurring transaction deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting recurring transaction:", error);
+    res.status(500).json({ error: "Failed to delete recurring transaction" });
+  }
+};
+
+// The next `limit` occurrences from now, skipped ones included and marked
+export const previewRecurringTransaction = async (req, res) => {
+  const { id } = req.params;
+  const { limit } = req.query;
+
+  try {
+    const template = await findUserTemplate(req.user.id, id);
+    if (!template) {
+      return res.status(404).json({ error: "Recurring transaction not found" });
+    }
+
+    const occurrences = upcomingOccurrences(templateSchedule(template), {
+      from: new Date(),
+      skippedDates: template.skippedDates,
+      limit,
+      includeSkipped: true,
+    });
+
+    res.json({ paused: template.pausedAt !== null, occurrences });
+  } catch (error) {
+    console.error("Error previewing recurring transaction:", error);
+    res.status(500).json({ error: "Failed to preview recurring transaction" });
+  }
+};
+
+// While paused nothing is created; occurrences that fall due meanwhile are
+// dropped, not caught up on resume
+export const pauseRecurringTransaction = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const template = await findUserTemplate(req.user.id, id);
+    if (!template) {
+      return res.status(404).json({ error: "Recurring transaction not found" });
+    }
+
+    const paused = template.pausedAt
+      ? template
+      : await prisma.recurringTransaction.update({
+          where: { id },
+          data: { pausedAt: new Date() },
+        });
+
+    res.json(serializeTemplate(paused));
+  } catch (error) {
+    console.error("Error pausing recurring transaction:", error);
+    res.status(500).json({ error: "Failed to pause recurring transaction" });
+  }
+};
+
+export const resumeRecurringTransaction = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const template = await findUserTemplate(req.user.id, id);
+    if (!template) {
+      return res.status(404).json({ error: "Recurring transaction not found" });
+    }
+
+    const resumed = !template.pausedAt
+      ? template
+      : await prisma.recurringTransaction.update({
+          where: { id },
+          data: {
+            pausedAt: null,
+            nextRunAt: nextRunAt(
+              templateSchedule(template),
+              new Date(),
+              template.skippedDates
+            ),
+          },
+        });
+
+    res.json(serializeTemplate(resumed));
+  } catch (error) {
+    console.error("Error resuming recurring transaction:", error);
+    res.status(500).json({ error: "Failed to resume recurring transaction" });
+  }
+};
+
+// Skips one upcoming occurrence: `date` (YYYY-MM-DD), or the next one when
+// no date is given. Pass `skip: false` to take a skipped date back.
+export const skipRecurringOccurrence = async (req, res) => {
+  const { id } = req.params;
+  const { date: requestedDate, skip } = req.body;
+
+  try {
+    const template = await findUserTemplate(req.user.id, id);
+    if (!template) {
+      return res.status(404).json({ error: "Recurring transaction not found" });
+    }
+
+    const schedule = templateSchedule(template);
+    const now = new Date();
+
+    let date = requestedDate;
+    if (date === undefined) {
+      const [next] = upcomingOccurrences(schedule, {
+        from: now,
+        skippedDates: template.skippedDates,
+      });
+      if (!next) {
+        return res.status(400).json({ error: "No upcoming occurrence" });
+      }
+      date = parseDay(next.date);
+    }
+
+    if (!isOccurrence(schedule, date) || occurrenceAt(schedule, date) < now) {
+      return sendInvalidField(res, "date", "must be an upcoming occurrence");
+    }
+
+    const others = template.skippedDates.filter(
+      (skipped) => skipped.getTime() !== date.getTime()
+    );
+    const skippedDates = skip ? [...others, date] : others;
+
+    const updated = await prisma.recurringTransaction.update({
+      where: { id },
+      data: {
+        skippedDates,
+        nextRunAt: nextRunAt(schedule, now, skippedDates),
+      },
+    });
+
+    res.json(serializeTemplate(updated));
+  } catch (error) {
+    console.error("Error skipping recurring occurrence:", error);
+    res.status(500).json({ error: "Failed to skip occurrence" });
+  }
+};
@@ -1,22 +1,305 @@
 import prisma from "../config/prisma.js"; // ← Use shared prisma instance
+import { Prisma } from "../../generated/prisma/index.js";
+import { findUserAccount } from "../utils/accounts.js";
+import { ZERO, toDecimal, formatMoney } from "../utils/money.js";
+import {
+  convertedDailyTotalsSql,
+  missingRatesMessage,
+} from "../utils/exchange-rates.js";
+import { dailyRowsSql } from "../utils/daily-summaries.js";
+import { DEFAULT_CURRENCY } from "../config/currency.js";
+import { REPORTING_TIMEZONE } from "../config/timezone.js";
+import { sendInvalidField } from "../middleware/validate.js";
 
 // Remove the local PrismaClient instance
 // const prisma = new PrismaClient(); ← DELETE THIS LINE
 
+const toPercent = (value) =>
+  parseFloat((toDecimal(value) ?? ZERO).toFixed(2));
+
+// Change from `previous` to `current` in percent, 0 when `previous` is 0
+const percentChange = (current, previous) =>
+  previous.isZero()
+    ? 0
+    : toPercent(current.minus(previous).div(previous).times(100));
+
+const getConvertedSummaries = async (
+  userId,
+  { accountId, baseCurrency, timezone, range, cursor, take }
+) => {
+  const cursorDate = cursor ? new Date(cursor) : null;
+
+  const rows = await prisma.$queryRaw`
+    SELECT *
+    FROM (
+      SELECT
+        totals.*,
+        LAG(balance) OVER (ORDER BY date) as previous_balance
+      FROM (${convertedDailyTotalsSql(
+        userId,
+        accountId,
+        baseCurrency,
+        timezone
+      )}) totals
+    ) ordered
+    WHERE (${cursorDate}::date IS NULL OR date < ${cursorDate}::date)
+      AND (${range.from}::date IS NULL OR date >= ${range.from}::date)
+      AND (${range.to}::date IS NULL OR date <= ${range.to}::date)
+    ORDER BY date DESC
+    LIMIT ${take}
+  `;
+
+  const missingRates = rows.reduce(
+    (sum, row) => sum + parseInt(row.missing_rates),
+    0
+  );
+
+  const summaries = rows.map((row) => {
+    const balance = toDecimal(row.balance) ?? ZERO;
+    const previousBalance = toDecimal(row.previous_balance) ?? ZERO;
+
+    return {
+      date: row.date,
+      balance: formatMoney(balance, baseCurrency),
+      percentChange: percentChange(balance, previousBalance),
+      transactionCount: parseInt(row.transaction_count) || 0,
+      inAmount: formatMoney(row.in_amount, baseCurrency),
+      outAmount: formatMoney(row.out_amount, baseCurrency),
+    };
+  });
+
+  return { summaries, missingRates };
+};
+
+// Daily rows rolled up into calendar periods (ISO weeks start on Monday).
+// Opening balance is the balance before the period's first day, closing
+// the balance after its last; percentChange compares the two. Periods at
+// the edges of `range` only cover the days inside it, which `from` and `to`
+// on each row report.
+//
+// `daily` has date, balance, transaction_count, in_amount, out_amount and
+// missing_rates columns, plus currency when `byCurrency` is set. Rows come
+// newest first; the cursor is the last period returned (with its currency
+// when `byCurrency`, as "YYYY-MM-DD:CUR").
+const getRollups = async (
+  daily,
+  { granularity, range, cursor, take, byCurrency }
+) => {
+  const [cursorDate = null, cursorCurrency = null] = cursor
+    ? cursor.split(":")
+    : [];
+  const currencyColumn = byCurrency ? Prisma.sql`currency,` : Prisma.empty;
+  const afterCursor = byCurrency
+    ? Prisma.sql`period < ${cursorDate}::date
+        OR (period = ${cursorDate}::date AND currency > ${cursorCurrency})`
+    : Prisma.sql`period < ${cursorDate}::date`;
+
+  const rows = await prisma.$queryRaw`
+    SELECT *
+    FROM (
+      SELECT
+        ${currencyColumn}
+        date_trunc(${granularity}, date::timestamp)::date as period,
+        MIN(date) as first_day,
+        MAX(date) as last_day,
+        (array_agg(balance - (in_amount - out_amount) ORDER BY date))[1]
+          as opening_balance,
+        (array_agg(balance ORDER BY date DESC))[1] as closing_balance,
+        SUM(transaction_count) as transaction_count,
+        SUM(in_amount) as in_amount,
+        SUM(out_amount) as out_amount,
+        SUM(missing_rates) as missing_rates
+      FROM (${daily}) daily
+      WHERE (${range.from}::date IS NULL OR date >= ${range.from}::date)
+        AND (${range.to}::date IS NULL OR date <= ${range.to}::date)
+      GROUP BY ${currencyColumn} period
+    ) periods
+    WHERE ${cursorDate}::date IS NULL OR ${afterCursor}
+    ORDER BY period DESC ${byCurrency ? Prisma.sql`, currency` : Prisma.empty}
+    LIMIT ${take}
+  `;
+
+  const missingRates = rows.reduce(
+    (sum, row) => sum + parseInt(row.missing_rates),
+    0
+  );
+
+  const summaries = rows.map((row) => {
+    const opening = toDecimal(row.opening_balance) ?? ZERO;
+    const closing = toDecimal(row.closing_balance) ?? ZERO;
+    const currency = row.currency;
+
+    return {
+      period: row.period,
+      from: row.first_day,
+      to: row.last_day,
+      ...(byCurrency && { currency }),
+      openingBalance: formatMoney(opening, currency),
+      closingBalance: formatMoney(closing, currency),
+      percentChange: percentChange(closing, opening),
+      transactionCount: parseInt(row.transaction_count) || 0,
+      inAmount: formatMoney(row.in_amount, currency),
+      outAmount: formatMoney(row.out_amount, currency),
+    };
+  });
+
+  const last = rows[rows.length - 1];
+  const nextCursor =
+    rows.length === take
+      ? last.period.toISOString().slice(0, 10) +
+        (byCurrency ? `:${last.currency}` : "")
+      : null;
+
+  return { summaries, missingRates, nextCursor };
+};
+
+// Without an accountId, or with a baseCurrency, the daily rows of every
+// ledger involved are converted and added up per date. An accountId alone
+// lists the account's rows in their own currencies.
+//
+// `granularity` (day|week|month|quarter|year, default day) rolls the rows
+// up per period, see getRollups. `from` and `to` limit the dates covered.
+// `tz` picks the timezone days are cut in; see dailyRowsSql.
 export const getSummary = async (req, res) => {
   try {
-    const { cursor, limit = 50 } = req.query;
-    const take = Math.min(parseInt(limit), 100);
+    const { cursor, limit: take, granularity, tz: timezone } = req.query;
+    const range = { from: req.query.from ?? null, to: req.query.to ?? null };
+    const accountFilter = req.query.accountId ?? null;
+    const baseCurrency = req.query.baseCurrency ?? DEFAULT_CURRENCY;
+
+    if (accountFilter && !(await findUserAccount(req.user.id, accountFilter))) {
+      return res.status(404).json({ message: "Account not found" });
+    }
+
+    const converted = !accountFilter || Boolean(req.query.baseCurrency);
+
+    // Other timezones have no stored rows (with ids) to page through, so
+    // their days are served like a rollup
+    const rollup = granularity !== "day" || timezone !== REPORTING_TIMEZONE;
+
+    if (rollup) {
+      if (cursor && isNaN(new Date(cursor.split(":")[0]).getTime())) {
+        return sendInvalidField(res, "cursor", "must be a date", "query");
+      }
+
+      const daily = converted
+        ? Prisma.sql`
+            SELECT *, ${baseCurrency}::text as currency
+            FROM (${convertedDailyTotalsSql(
+              req.user.id,
+              accountFilter,
+              baseCurrency,
+              timezone
+            )}) totals`
+        : Prisma.sql`
+            SELECT
+              currency,
+              date,
+              balance,
+              "transactionCount" as transaction_count,
+              "inAmount" as in_amount,
+              "outAmount" as out_amount,
+              0 as missing_rates
+            FROM (${dailyRowsSql(req.user.id, accountFilter, timezone)}) ds`;
+
+      const { summaries, missingRates, nextCursor } = await getRollups(daily, {
+        granularity,
+        range,
+        cursor,
+        take,
+        byCurrency: !converted,
+      });
+
+      if (missingRates > 0) {
+        return res
+          .status(422)
+          .json({ message: missingRatesMessage(missingRates, baseCurrency) });
+      }
+
+      if (summaries.length === 0) {
+        return res.status(404).json({ message: "No summaries found" });
+      }
+
+      return res.status(200).json({
+        accountId: accountFilter,
+        ...(converted && { currency: baseCurrency }),
+        granularity,
+        timezone,
+        summaries,
+        nextCursor,
+        hasMore: nextCursor !== null,
+      });
+    }
+
+    if (converted) {
+      if (cursor && isNaN(new Date(cursor).getTime())) {
+        return sendInvalidField(res, "cursor", "must be a date", "query");
+      }
+
+      const { summaries, missingRates } = await getConvertedSummaries(
+        req.user.id,
+        {
+          accountId: accountFilter,
+          baseCurrency,
+          timezone,
+          range,
+          cursor,
+          take,
+        }
+      );
+
+      if (missingRates > 0) {
+        return res
+          .status(422)
+          .json({ message: missingRatesMessage(missingRates, baseCurrency) });
+      }
+
+      if (summaries.length === 0) {
+        return res.status(404).json({ message: "No summaries found" });
+      }
+
+      // Converted rows have no id, so they page by date instead
+      const nextCursor =
+        summaries.length === take
+          ? summaries[summaries.length - 1].date.toISOString().slice(0, 10)
+          : null;
+
+      return res.status(200).json({
+        accountId: accountFilter,
+        currency: baseCurrency,
+        timezone,
+        summaries,
+        nextCursor,
+        hasMore: nextCursor !== null,
+      });
+    }
+
+    const cursorId = cursor && parseInt(cursor);
+    if (Number.isNaN(cursorId)) {
+      return sendInvalidField(res, "cursor", "must be an id", "query");
+    }
 
     const summaries = await prisma.dailySummary.findMany({
+      where: {
+        accountId: accountFilter,
+        timezone,
+        ...((range.from || range.to) && {
+          date: {
+            ...(range.from && { gte: new Date(range.from) }),
+            ...(range.to && { lte: new Date(range.to) }),
+          },
+        }),
+      },
       take,
       ...(cursor && {
         skip: 1,
-        cursor: { id: parseInt(cursor) },
+        cursor: { id: cursorId },
       }),
-      orderBy: { date: "desc" },
+      orderBy: [{ date: "desc" }, { id: "desc" }],
       select: {
         id: true,
+        accountId: true,
+        currency: true,
         date: true,
         balance: true,
         percentChange: true,
@@ -44,29 +327,70 @@ export const getSummary = async (req, res) => {
   }
 };
 
-// Get summary statistics
+// Get summary statistics over the daily balances of one account or all of
+// them, converted into baseCurrency (DEFAULT_CURRENCY unless given), with
+// days in `tz` (REPORTING_TIMEZONE unless given)
 export const getSummaryStats = async (req, res) => {
   try {
-    const stats = await prisma.dailySummary.aggregate({
-      _count: { id: true },
-      _avg: { balance: true, percentChange: true },
-      _max: { balance: true, percentChange: true },
-      _min: { balance: true, percentChange: true },
-    });
+    const { baseCurrency, tz: timezone } = req.query;
+    const accountFilter = req.query.accountId ?? null;
 
-    const latestSummary = await prisma.dailySummary.findFirst({
-      orderBy: { date: "desc" },
-    });
+    if (accountFilter && !(await findUserAccount(req.user.id, accountFilter))) {
+      return res.status(404).json({ message: "Account not found" });
+    }
+
+    const [stats] = await prisma.$queryRaw`
+      WITH totals AS (
+        ${convertedDailyTotalsSql(
+          req.user.id,
+          accountFilter,
+          baseCurrency,
+          timezone
+        )}
+      ),
+      changes AS (
+        SELECT
+          balance,
+          CASE
+            WHEN COALESCE(LAG(balance) OVER w, 0) = 0 THEN 0
+            ELSE (balance - LAG(balance) OVER w) / LAG(balance) OVER w * 100
+          END as percent_change
+        FROM totals
+        WINDOW w AS (ORDER BY date)
+      )
+      SELECT
+        (SELECT COUNT(*) FROM totals) as total_days,
+        (SELECT SUM(missing_rates) FROM totals) as missing_rates,
+        (SELECT balance FROM totals ORDER BY date DESC LIMIT 1)
+          as current_balance,
+        AVG(balance) as avg_balance,
+        MAX(balance) as max_balance,
+        MIN(balance) as min_balance,
+        AVG(percent_change) as avg_percent_change,
+        MAX(percent_change) as max_percent_change,
+        MIN(percent_change) as min_percent_change
+      FROM changes
+    `;
+
+    const missingRates = parseInt(stats.missing_rates) || 0;
+    if (missingRates > 0) {
+      return res
+        .status(422)
+        .json({ message: missingRatesMessage(missingRates, baseCurrency) });
+    }
 
     res.status(200).json({
-      totalDays: stats._count.id,
-      currentBalance: latestSummary?.balance || 0,
-      averageBalance: stats._avg.balance || 0,
-      maxBalance: stats._max.balance || 0,
-      minBalance: stats._min.balance || 0,
-      averagePercentChange: stats._avg.percentChange || 0,
-      maxPercentChange: stats._max.percentChange || 0,
-      minPercentChange: stats._min.percentChange || 0,
+      accountId: accountFilter,
+      currency: baseCurrency,
+      timezone,
+      totalDays: parseInt(stats.total_days) || 0,
+      currentBalance: formatMoney(stats.current_balance, baseCurrency),
+      averageBalance: formatMoney(stats.avg_balance, baseCurrency),
+      maxBalance: formatMoney(stats.max_balance, baseCurrency),
+      minBalance: formatMoney(stats.min_balance, baseCurrency),
+      averagePercentChange: toPercent(stats.avg_percent_change),
+      maxPercentChange: toPercent(stats.max_percent_change),
+      minPercentChange: toPercent(stats.min_percent_change),
     });
   } catch (error) {
     console.error("Error fetching summary stats:", error);
@@ -1,111 +1,115 @@
 import prisma from "../config/prisma.js";
-import { isFuture } from "date-fns";
-import { recalculateFromTimestamp } from "../utils/utility.js";
+import { Prisma } from "../../generated/prisma/index.js";
+import { queueRecalculation, queueBulkInsert } from "../queue/jobs.js";
 import redis from "../config/redis.js";
-
-// OPTIMIZED: Get balance at specific timestamp with caching
-const getBalanceAtTimestamp = async (timestamp) => {
-  const cacheKey = `balance:${timestamp.toISOString()}`;
-
-  // Check cache first
-  try {
-    const cachedBalance = await redis.get(cacheKey);
-    if (cachedBalance !== null) {
-      return parseFloat(cachedBalance);
-    }
-  } catch (err) {
-    console.warn("Redis cache miss:", err.message);
-  }
-
-  // Use raw SQL for better performance
-  const result = await prisma.$queryRaw`
-    SELECT COALESCE(
-      SUM(CASE WHEN type = 'IN' THEN amount ELSE -amount END), 
-      0
-    ) as balance
-    FROM "Transaction"
-    WHERE timestamp <= ${timestamp}
-  `;
-
-  console.log(`Calculating balance at ${timestamp.toISOString()}...`);
-
-  const balance = parseFloat(result[0].balance) || 0;
-
-  // Cache for 5 minutes
-  try {
-    await redis.setEx(cacheKey, 300, balance.toString());
-  } catch (err) {
-    console.warn("Redis cache set failed:", err.message);
-  }
-
-  return balance;
-};
-
-// OPTIMIZED: Batch balance calculation for multiple timestamps
-const getBalancesAtTimestamps = async (timestamps) => {
-  const uniqueTimestamps = [...new Set(timestamps.map((t) => t.toISOString()))];
-
-  const results = await prisma.$queryRaw`
-    SELECT 
-      timestamp_bucket,
-      COALESCE(
-        SUM(CASE WHEN type = 'IN' THEN amount ELSE -amount END) 
-        OVER (ORDER BY timestamp_bucket), 
-        0
-      ) as running_balance
-    FROM (
-      SELECT 
-        timestamp as timestamp_bucket
-      FROM "Transaction"
-      WHERE timestamp IN (${uniqueTimestamps.map((t) => new Date(t)).join(",")})
-      ORDER BY timestamp
-    ) buckets
-    LEFT JOIN "Transaction" t ON t.timestamp <= buckets.timestamp_bucket
-    GROUP BY timestamp_bucket
-    ORDER BY timestamp_bucket
-  `;
-
-  const balanceMap = new Map();
-  results.forEach((row) => {
-    balanceMap.set(
-      row.timestamp_bucket.toISOString(),
-      parseFloat(row.running_balance)
-    );
+import {
+  generationCacheKey,
+  getCached,
+  setCached,
+  invalidateBalanceCache,
+} from "../utils/cache.js";
+import { findUserAccount, findOwnedAccountIds } from "../utils/accounts.js";
+import { buildTransactionQuery } from "../utils/transaction-filters.js";
+import {
+  pickTransactionDetails,
+  userOwnsCategories,
+  findOwnedCategoryIds,
+} from "../utils/transaction-details.js";
+import { ZERO, toDecimal, roundMoney, formatMoney } from "../utils/money.js";
+import {
+  rateToBaseSql,
+  missingRatesMessage,
+} from "../utils/exchange-rates.js";
+import { checkTransactionPolicies } from "../utils/policies.js";
+import {
+  auditContext,
+  recordVersion,
+  recordCreates,
+  lockTransaction,
+} from "../utils/audit.js";
+import { purgeDate } from "../utils/trash.js";
+import { invalidateCheckpoints, lockLedgers } from "../utils/checkpoints.js";
+import { transactionEventData, WEBHOOK_EVENTS } from "../utils/webhooks.js";
+import { publishTransactionEvent } from "../utils/transaction-events.js";
+import {
+  findDuplicateEntries,
+  completeBulkRequest,
+} from "../utils/bulk-transactions.js";
+import { bulkConfig } from "../config/bulk.js";
+import { sendInvalidField } from "../middleware/validate.js";
+
+// Response body for a single transaction refused by policy
+const policyError = (violations) => ({
+  error: violations[0].message,
+  violations: violations.map(({ index, ...violation }) => violation),
+});
+
+const DUPLICATE_EXTERNAL_REF =
+  "A transaction with this externalRef already exists in the account";
+
+// The transaction holding `externalRef` in the account, trashed ones
+// included, since they keep their reference
+const findByExternalRef = (accountId, externalRef, excludeId = null) =>
+  prisma.transaction.findFirst({
+    where: {
+      accountId,
+      externalRef,
+      ...(excludeId && { id: { not: excludeId } }),
+    },
+    select: { id: true },
   });
 
-  return balanceMap;
-};
+// A unique constraint lost to a concurrent write
+const isUniqueViolation = (error) =>
+  error instanceof Prisma.PrismaClientKnownRequestError &&
+  error.code === "P2002";
 
 // OPTIMIZED: Get all transactions with better performance
+// Accepts the filters and sort options documented in buildTransactionQuery
 export const getAllTransactions = async (req, res) => {
   try {
-    const { cursor, limit = 50 } = req.query;
-    const take = Math.min(parseInt(limit), 100);
+    const { cursor, limit: take } = req.query;
+    const query = buildTransactionQuery(req.user.id, req.query);
 
     // Use index hint for better performance
     const transactions = await prisma.transaction.findMany({
+      where: query.where,
       take,
       ...(cursor && {
         skip: 1,
-        cursor: { id: parseInt(cursor) },
+        cursor: { id: cursor },
       }),
-      orderBy: [
-        { timestamp: "desc" },
-        { id: "desc" }, // Secondary sort for consistency
-      ],
+      orderBy: query.orderBy,
       select: {
         id: true,
+        accountId: true,
         timestamp: true,
         type: true,
         amount: true,
+        currency: true,
+        description: true,
+        counterparty: true,
+        tags: true,
+        externalRef: true,
+        recurringTransactionId: true,
+        category: {
+          select: { id: true, name: true },
+        },
         invalidTransaction: {
-          select: { reason: true },
+          select: { rule: true, reason: true },
         },
       },
     });
 
-    // Get invalid transaction count with caching
-    const invalidCount = await getInvalidTransactionCount();
+    // Unfiltered counts come from the cache, filtered ones are counted live
+    const invalidCount = query.hasFilters
+      ? await prisma.transaction.count({
+          where: { ...query.where, invalidTransaction: { isNot: null } },
+        })
+      : await getInvalidTransactionCount(
+          req.user.id,
+          query.where.accountId ?? null
+        );
 
     const nextCursor =
       transactions.length === take
@@ -125,78 +129,111 @@ export const getAllTransactions = async (req, res) => {
 };
 
 // OPTIMIZED: Create transaction with better validation
+// The body comes parsed by schemas/transaction.js
 export const createTransaction = async (req, res) => {
-  const { timestamp, type, amount } = req.body;
+  const {
+    accountId: numericAccountId,
+    timestamp: date,
+    type,
+    amount,
+    currency,
+  } = req.body;
+  const details = pickTransactionDetails(req.body);
 
   try {
-    // Input validation
-    if (!timestamp || !type || !amount) {
-      return res.status(400).json({ error: "Missing required fields" });
-    }
-
-    if (!["IN", "OUT"].includes(type)) {
-      return res.status(400).json({ error: "Invalid transaction type" });
+    // Input may carry more precision than the currency allows
+    const numericAmount = roundMoney(amount, currency);
+    if (numericAmount.isZero()) {
+      return sendInvalidField(res, "amount", `rounds to zero in ${currency}`);
     }
 
-    const date = new Date(timestamp);
-
-    if (isNaN(date.getTime())) {
-      return res.status(400).json({ error: "Invalid timestamp format" });
+    if (!(await findUserAccount(req.user.id, numericAccountId))) {
+      return res.status(404).json({ error: "Account not found" });
     }
 
-    if (isFuture(date)) {
-      return res.status(400).json({ error: "Cannot use future timestamp" });
+    if (
+      details.categoryId &&
+      !(await userOwnsCategories(req.user.id, [details.categoryId]))
+    ) {
+      return res.status(404).json({ error: "Category not found" });
     }
 
-    const numericAmount = parseFloat(amount);
-    if (isNaN(numericAmount) || numericAmount <= 0) {
-      return res
-        .status(400)
-        .json({ error: "Amount must be a positive number" });
+    if (details.externalRef) {
+      const duplicate = await findByExternalRef(
+        numericAccountId,
+        details.externalRef
+      );
+      if (duplicate) {
+        return res
+          .status(409)
+          .json({ error: DUPLICATE_EXTERNAL_REF, transactionId: duplicate.id });
+      }
     }
 
-    // Use transaction for atomicity
-    const result = await prisma.$transaction(async (tx) => {
-      // Check balance for OUT transactions
-      if (type === "OUT") {
-        const balanceAtTime = await getBalanceAtTimestamp(date);
-        if (numericAmount > balanceAtTime) {
-          throw new Error(
-            `Insufficient balance. Available: ${balanceAtTime}, Requested: ${numericAmount}`
-          );
-        }
+    // Use transaction for atomicity; the policies are checked in it, under
+    // the ledger's lock
+    const { violations, result } = await prisma.$transaction(async (tx) => {
+      const violations = await checkTransactionPolicies(
+        req.user.id,
+        [
+          {
+            accountId: numericAccountId,
+            currency,
+            timestamp: date,
+            type,
+            amount: numericAmount,
+          },
+        ],
+        { tx }
+      );
+      if (violations.length > 0) {
+        return { violations };
       }
 
       // Create transaction
       const newTxn = await tx.transaction.create({
         data: {
+          accountId: numericAccountId,
           timestamp: date,
           type,
           amount: numericAmount,
+          currency,
+          ...details,
         },
       });
 
-      return newTxn;
+      await recordCreates(tx, req.user.id, [newTxn], auditContext(req));
+      await invalidateCheckpoints(tx, [newTxn]);
+
+      return { violations, result: newTxn };
     });
+    if (violations.length > 0) {
+      return res.status(400).json(policyError(violations));
+    }
 
     // Invalidate cache for this timestamp and after
-    await invalidateBalanceCache(date);
+    await invalidateBalanceCache(req.user.id, numericAccountId, date);
 
     // Queue recalculation for better performance
-    setImmediate(async () => {
-      try {
-        await recalculateFromTimestamp(date);
-      } catch (error) {
-        console.error("Background recalculation failed:", error);
-      }
+    await queueRecalculation({
+      userId: req.user.id,
+      accountId: numericAccountId,
+      currency,
+      fromTimestamp: date,
     });
 
+    await publishTransactionEvent(
+      req.user.id,
+      WEBHOOK_EVENTS.TRANSACTION_CREATED,
+      transactionEventData(result)
+    );
+
     res.status(201).json(result);
   } catch (err) {
     console.error("Error creating transaction:", err);
 
-    if (err.message.includes("Insufficient balance")) {
-      return res.status(400).json({ error: err.message });
+    if (isUniqueViolation(err)) {
+      return res.status(409).json({ error: DUPLICATE_EXTERNAL_REF });
     }
 
     res.status(500).json({ error: "Failed to create transaction" });
@@ -204,140 +241,282 @@ export const createTransaction = async (req, res) => {
 };
 
 // OPTIMIZED: Update transaction with better performance
+// Fields left out of the body keep their value
 export const updateTransaction = async (req, res) => {
-  const { id } = req.params;
-  const { timestamp, type, amount } = req.body;
+  const { id: txnId } = req.params;
+  const { accountId, timestamp, type, amount, currency } = req.body;
+  const details = pickTransactionDetails(req.body);
 
   try {
-    const txnId = parseInt(id);
-
-    if (isNaN(txnId)) {
-      return res.status(400).json({ error: "Invalid transaction ID" });
-    }
-
-    const existing = await prisma.transaction.findUnique({
-      where: { id: txnId },
-      select: { id: true, timestamp: true, type: true, amount: true },
+    const existing = await prisma.transaction.findFirst({
+      where: { id: txnId, account: { userId: req.user.id }, deletedAt: null },
+      select: {
+        id: true,
+        accountId: true,
+        timestamp: true,
+        type: true,
+        amount: true,
+        currency: true,
+        externalRef: true,
+      },
     });
 
     if (!existing) {
       return res.status(404).json({ error: "Transaction not found" });
     }
 
-    // Validate inputs
-    const date = timestamp ? new Date(timestamp) : existing.timestamp;
-    const newType = type || existing.type;
-    const newAmount = amount ? parseFloat(amount) : existing.amount;
+    const newAccountId = accountId ?? existing.accountId;
+    const date = timestamp ?? existing.timestamp;
+    const newType = type ?? existing.type;
+    const newCurrency = currency ?? existing.currency;
+
+    // A kept amount is re-rounded in case the currency changed
+    const newAmount = roundMoney(amount ?? existing.amount, newCurrency);
+    if (newAmount.isZero()) {
+      return sendInvalidField(
+        res,
+        "amount",
+        `rounds to zero in ${newCurrency}`
+      );
+    }
 
-    if (timestamp && isNaN(date.getTime())) {
-      return res.status(400).json({ error: "Invalid timestamp format" });
+    if (
+      newAccountId !== existing.accountId &&
+      !(await findUserAccount(req.user.id, newAccountId))
+    ) {
+      return res.status(404).json({ error: "Account not found" });
     }
 
-    if (isFuture(date)) {
-      return res.status(400).json({ error: "Cannot use future timestamp" });
+    if (
+      details.categoryId &&
+      !(await userOwnsCategories(req.user.id, [details.categoryId]))
+    ) {
+      return res.status(404).json({ error: "Category not found" });
     }
 
-    if (amount && (isNaN(newAmount) || newAmount <= 0)) {
-      return res
-        .status(400)
-        .json({ error: "Amount must be a positive number" });
+    // The reference must stay unique in the account the transaction ends up in
+    const newExternalRef =
+      details.externalRef === undefined
+        ? existing.externalRef
+        : details.externalRef;
+    if (newExternalRef) {
+      const duplicate = await findByExternalRef(
+        newAccountId,
+        newExternalRef,
+        txnId
+      );
+      if (duplicate) {
+        return res
+          .status(409)
+          .json({ error: DUPLICATE_EXTERNAL_REF, transactionId: duplicate.id });
+      }
     }
 
+    const timestampChanged = date.getTime() !== existing.timestamp.getTime();
+    const amountChanged =
+      !newAmount.equals(existing.amount) || newCurrency !== existing.currency;
+
     // Use transaction for atomicity
-    const result = await prisma.$transaction(async (tx) => {
-      // Check balance for OUT transactions
-      if (newType === "OUT") {
-        const balanceExcludingThis = await getBalanceExcludingTransaction(
-          date,
-          txnId
+    const { violations, before, updated } = await prisma.$transaction(
+      async (tx) => {
+        // Lock the row so the audited before-state is the one replaced
+        await lockTransaction(tx, txnId);
+        const before = await tx.transaction.findUniqueOrThrow({
+          where: { id: txnId },
+        });
+
+        // Deleted since the checks above
+        if (before.deletedAt) {
+          throw new Error("Transaction not found");
+        }
+
+        // Both ledgers at once, so they're taken in the usual order
+        await lockLedgers(tx, [
+          before,
+          { accountId: newAccountId, currency: newCurrency },
+        ]);
+
+        // The transaction is judged as it would be after the update, without
+        // its current version. Rules that only look at unchanged fields are
+        // skipped, so old transactions stay editable.
+        const violations = await checkTransactionPolicies(
+          req.user.id,
+          [
+            {
+              accountId: newAccountId,
+              currency: newCurrency,
+              timestamp: date,
+              type: newType,
+              amount: newAmount,
+              skipRules: [
+                ...(amountChanged ? [] : ["MAX_AMOUNT"]),
+                ...(timestampChanged ? [] : ["MAX_BACKDATE", "TIME_WINDOW"]),
+              ],
+            },
+          ],
+          { excludeId: txnId, tx }
         );
-        if (newAmount > balanceExcludingThis) {
-          throw new Error(
-            `Insufficient balance for update. Available: ${balanceExcludingThis}, Requested: ${newAmount}`
-          );
+        if (violations.length > 0) {
+          return { violations };
         }
-      }
 
-      // Update transaction
-      const updated = await tx.transaction.update({
-        where: { id: txnId },
-        data: {
-          timestamp: date,
-          type: newType,
-          amount: newAmount,
-        },
-      });
+        // Update transaction
+        const updated = await tx.transaction.update({
+          where: { id: txnId },
+          data: {
+            accountId: newAccountId,
+            timestamp: date,
+            type: newType,
+            amount: newAmount,
+            currency: newCurrency,
+            ...details,
+          },
+        });
+
+        await recordVersion(
+          tx,
+          {
+            userId: req.user.id,
+            transactionId: txnId,
+            action: "UPDATE",
+            before,
+            after: updated,
+          },
+          auditContext(req)
+        );
+        await invalidateCheckpoints(tx, [before, updated]);
 
-      return updated;
-    });
+        return { violations, before, updated };
+      }
+    );
+    if (violations.length > 0) {
+      return res.status(400).json(policyError(violations));
+    }
 
     // Invalidate cache for affected timestamps
     const earliestDate = new Date(
       Math.min(existing.timestamp.getTime(), date.getTime())
     );
-    await invalidateBalanceCache(earliestDate);
+    await invalidateBalanceCache(req.user.id, newAccountId, earliestDate);
+    if (newAccountId !== existing.accountId) {
+      await invalidateBalanceCache(
+        req.user.id,
+        existing.accountId,
+        existing.timestamp
+      );
+    }
 
-    // Queue recalculation
-    setImmediate(async () => {
-      try {
-        await recalculateFromTimestamp(earliestDate);
-      } catch (error) {
-        console.error("Background recalculation failed:", error);
-      }
+    // Queue recalculation, including the ledger the transaction moved out of
+    const ledgerChanged =
+      newAccountId !== existing.accountId ||
+      newCurrency !== existing.currency;
+
+    if (ledgerChanged) {
+      await queueRecalculation({
+        userId: req.user.id,
+        accountId: existing.accountId,
+        currency: existing.currency,
+        fromTimestamp: existing.timestamp,
+      });
+    }
+    await queueRecalculation({
+      userId: req.user.id,
+      accountId: newAccountId,
+      currency: newCurrency,
+      fromTimestamp: ledgerChanged ? date : earliestDate,
     });
 
-    res.json(result);
+    await publishTransactionEvent(
+      req.user.id,
+      WEBHOOK_EVENTS.TRANSACTION_UPDATED,
+      {
+        ...transactionEventData(updated),
+        previous: transactionEventData(before),
+      }
+    );
+
+    res.json(updated);
   } catch (err) {
     console.error("Error updating transaction:", err);
 
-    if (err.message.includes("Insufficient balance")) {
-      return res.status(400).json({ error: err.message });
+    if (err.message === "Transaction not found") {
+      return res.status(404).json({ error: "Transaction not found" });
+    }
+
+    if (isUniqueViolation(err)) {
+      return res.status(409).json({ error: DUPLICATE_EXTERNAL_REF });
     }
 
     res.status(500).json({ error: "Failed to update transaction" });
   }
 };
 
+// Moves the transaction to the trash. It stops counting anywhere at once and
+// can be restored until it's purged.
 export const deleteTransaction = async (req, res) => {
-  const { id } = req.params;
+  const { id: txnId } = req.params;
 
   try {
-    const txnId = parseInt(id);
-
-    if (isNaN(txnId)) {
-      return res.status(400).json({ error: "Invalid transaction ID" });
-    }
-
     const result = await prisma.$transaction(async (tx) => {
-      const transaction = await tx.transaction.findUnique({
-        where: { id: txnId },
-        select: { id: true, timestamp: true },
+      await lockTransaction(tx, txnId);
+      const transaction = await tx.transaction.findFirst({
+        where: { id: txnId, account: { userId: req.user.id }, deletedAt: null },
       });
 
       if (!transaction) {
         throw new Error("Transaction not found");
       }
 
-      await tx.transaction.delete({
+      const deleted = await tx.transaction.update({
         where: { id: txnId },
+        data: { deletedAt: new Date() },
       });
 
-      return transaction;
+      await recordVersion(
+        tx,
+        {
+          userId: req.user.id,
+          transactionId: txnId,
+          action: "DELETE",
+          before: transaction,
+          after: null,
+        },
+        auditContext(req)
+      );
+      await invalidateCheckpoints(tx, [deleted]);
+
+      return deleted;
     });
 
     // Invalidate cache
-    await invalidateBalanceCache(result.timestamp);
+    await invalidateBalanceCache(
+      req.user.id,
+      result.accountId,
+      result.timestamp
+    );
 
     // Queue recalculation
-    setImmediate(async () => {
-      try {
-        await recalculateFromTimestamp(result.timestamp);
-      } catch (error) {
-        console.error("Background recalculation failed:", error);
-      }
+    await queueRecalculation({
+      userId: req.user.id,
+      accountId: result.accountId,
+      currency: result.currency,
+      fromTimestamp: result.timestamp,
     });
 
-    res.json({ message: "Transaction deleted successfully" });
+    await publishTransactionEvent(
+      req.user.id,
+      WEBHOOK_EVENTS.TRANSACTION_DELETED,
+      {
+        ...transactionEventData(result),
+        deletedAt: result.deletedAt.toISOString(),
+        purgeAt: purgeDate(result.deletedAt),
+      }
+    );
+
+    res.json({
+      message: "Transaction moved to trash",
+      purgeAt: purgeDate(result.deletedAt),
+    });
   } catch (error) {
     console.error("Error deleting transaction:", error);
 
@@ -349,194 +528,470 @@ export const deleteTransaction = async (req, res) => {
   }
 };
 
-const getBalanceExcludingTransaction = async (timestamp, excludeId) => {
-  const result = await prisma.$queryRaw`
-    SELECT COALESCE(
-      SUM(CASE WHEN type = 'IN' THEN amount ELSE -amount END), 
-      0
-    ) as balance
-    FROM "Transaction"
-    WHERE timestamp <= ${timestamp} AND id != ${excludeId}
-  `;
+// Deleted transactions not purged yet, most recently deleted first
+export const getTrash = async (req, res) => {
+  const { cursor, accountId, limit: take } = req.query;
 
-  return parseFloat(result[0].balance) || 0;
-};
+  try {
+    const transactions = await prisma.transaction.findMany({
+      where: {
+        account: { userId: req.user.id },
+        deletedAt: { not: null },
+        ...(accountId && { accountId }),
+      },
+      take,
+      ...(cursor && {
+        skip: 1,
+        cursor: { id: cursor },
+      }),
+      orderBy: [{ deletedAt: "desc" }, { id: "desc" }],
+      select: {
+        id: true,
+        accountId: true,
+        timestamp: true,
+        type: true,
+        amount: true,
+        currency: true,
+        description: true,
+        counterparty: true,
+        tags: true,
+        externalRef: true,
+        category: {
+          select: { id: true, name: true },
+        },
+        deletedAt: true,
+      },
+    });
 
-const getInvalidTransactionCount = async () => {
-  const cacheKey = "invalid_transaction_count";
+    const nextCursor =
+      transactions.length === take
+        ? transactions[transactions.length - 1].id
+        : null;
 
-  try {
-    const cachedCount = await redis.get(cacheKey);
-    if (cachedCount !== null) {
-      return parseInt(cachedCount);
-    }
+    res.json({
+      transactions: transactions.map((txn) => ({
+        ...txn,
+        purgeAt: purgeDate(txn.deletedAt),
+      })),
+      nextCursor,
+      hasMore: nextCursor !== null,
+    });
   } catch (err) {
-    console.warn("Redis cache miss for invalid count:", err.message);
+    console.error("Error fetching trash:", err);
+    res.status(500).json({ error: "Failed to fetch trash" });
   }
+};
 
-  const count = await prisma.invalidTransaction.count();
+// Takes a transaction back out of the trash. It has to pass the ledger
+// policies (overdraft, withdrawal limits) again, as the ledger may have
+// changed since it was deleted.
+export const restoreTransaction = async (req, res) => {
+  const { id: txnId } = req.params;
 
   try {
-    await redis.setEx(cacheKey, 60, count.toString()); // Cache for 1 minute
-  } catch (err) {
-    console.warn("Redis cache set failed for invalid count:", err.message);
-  }
+    const trashed = await prisma.transaction.findFirst({
+      where: {
+        id: txnId,
+        account: { userId: req.user.id },
+        deletedAt: { not: null },
+      },
+    });
 
-  return count;
-};
+    if (!trashed) {
+      return res.status(404).json({ error: "Transaction not found in trash" });
+    }
 
-const invalidateBalanceCache = async (fromDate) => {
-  try {
-    const keys = await redis.keys(`balance:*`);
+    const { violations, restored } = await prisma.$transaction(async (tx) => {
+      await lockTransaction(tx, txnId);
+      const current = await tx.transaction.findUnique({
+        where: { id: txnId },
+      });
+
+      // Restored or purged since the checks above
+      if (!current?.deletedAt) {
+        throw new Error("Transaction not found in trash");
+      }
 
-    const keysToDelete = keys.filter((key) => {
-      const dateStr = key.replace("balance:", "");
-      const keyDate = new Date(dateStr);
-      return keyDate >= fromDate;
+      const violations = await checkTransactionPolicies(
+        req.user.id,
+        [
+          {
+            accountId: current.accountId,
+            currency: current.currency,
+            timestamp: current.timestamp,
+            type: current.type,
+            amount: current.amount,
+            skipRules: ["MAX_AMOUNT", "MAX_BACKDATE", "TIME_WINDOW"],
+          },
+        ],
+        { tx }
+      );
+      if (violations.length > 0) {
+        return { violations };
+      }
+
+      const restored = await tx.transaction.update({
+        where: { id: txnId },
+        data: { deletedAt: null },
+      });
+
+      await recordVersion(
+        tx,
+        {
+          userId: req.user.id,
+          transactionId: txnId,
+          action: "RESTORE",
+          before: null,
+          after: restored,
+        },
+        auditContext(req)
+      );
+      await invalidateCheckpoints(tx, [restored]);
+
+      return { violations, restored };
     });
+    if (violations.length > 0) {
+      return res.status(400).json(policyError(violations));
+    }
+
+    await invalidateBalanceCache(
+      req.user.id,
+      restored.accountId,
+      restored.timestamp
+    );
 
-    if (keysToDelete.length > 0) {
-      await redis.del(keysToDelete);
+    await queueRecalculation({
+      userId: req.user.id,
+      accountId: restored.accountId,
+      currency: restored.currency,
+      fromTimestamp: restored.timestamp,
+    });
+
+    await publishTransactionEvent(
+      req.user.id,
+      WEBHOOK_EVENTS.TRANSACTION_RESTORED,
+      transactionEventData(restored)
+    );
+
+    res.json(restored);
+  } catch (error) {
+    console.error("Error restoring transaction:", error);
+
+    if (error.message === "Transaction not found in trash") {
+      return res.status(404).json({ error: error.message });
     }
 
-    // Also invalidate invalid count cache
-    await redis.del("invalid_transaction_count");
-  } catch (err) {
-    console.warn("Cache invalidation failed:", err.message);
+    res.status(500).json({ error: "Failed to restore transaction" });
   }
 };
 
-export const createBulkTransactions = async (req, res) => {
-  const { transactions } = req.body;
-
-  if (!Array.isArray(transactions) || transactions.length === 0) {
-    return res.status(400).json({ error: "Transactions array is required" });
+// Pass null for the count across all of the user's accounts
+const getInvalidTransactionCount = async (userId, accountId = null) => {
+  // Cached until the ledger changes or a recalculation flags transactions
+  const cacheKey = await generationCacheKey(
+    userId,
+    `invalid_transaction_count:${accountId ?? "all"}`
+  );
+
+  const cachedCount = await getCached(cacheKey);
+  if (cachedCount !== null) {
+    return parseInt(cachedCount);
   }
 
-  try {
-    const validatedTransactions = [];
-
-    // Validate all transactions first
-    for (const txn of transactions) {
-      const { timestamp, type, amount } = txn;
+  const count = await prisma.invalidTransaction.count({
+    where: {
+      transaction: {
+        account: { userId },
+        deletedAt: null,
+        ...(accountId && { accountId }),
+      },
+    },
+  });
 
-      if (!timestamp || !type || !amount) {
-        return res.status(400).json({ error: "Invalid transaction data" });
-      }
+  await setCached(cacheKey, count.toString(), 60); // Cache for 1 minute
 
-      if (!["IN", "OUT"].includes(type)) {
-        return res.status(400).json({ error: "Invalid transaction type" });
-      }
+  return count;
+};
 
-      const date = new Date(timestamp);
-      if (isNaN(date.getTime()) || isFuture(date)) {
-        return res.status(400).json({ error: "Invalid timestamp" });
-      }
+// A top-level accountId or currency applies to every row that doesn't name
+// its own. In atomic mode (the default) a bad row fails the whole request;
+// in best_effort mode it is reported by index and the rest are inserted.
+// Requests with more rows than the async threshold are inserted by a job:
+// they get a 202 with its id, and GET /api/jobs/:id shows its progress and
+// then the response body.
+export const createBulkTransactions = async (req, res) => {
+  const { mode } = req.body;
+  const atomic = mode === "atomic";
 
-      const numericAmount = parseFloat(amount);
-      if (isNaN(numericAmount) || numericAmount <= 0) {
-        return res.status(400).json({ error: "Invalid amount" });
+  try {
+    const entries = [];
+    const errors = [];
+
+    // Rows come parsed, with the top-level defaults filled in; only the
+    // rounding to each currency is left to check
+    for (const [index, txn] of req.body.transactions.entries()) {
+      const amount = roundMoney(txn.amount, txn.currency);
+      if (amount.isZero()) {
+        const message = `rounds to zero in ${txn.currency}`;
+        if (atomic) {
+          return sendInvalidField(res, `transactions.${index}.amount`, message);
+        }
+        errors.push({ index, field: "amount", message });
+        continue;
       }
 
-      validatedTransactions.push({
-        timestamp: date,
-        type,
-        amount: numericAmount,
+      entries.push({
+        index,
+        data: {
+          accountId: txn.accountId,
+          timestamp: txn.timestamp,
+          type: txn.type,
+          amount,
+          currency: txn.currency,
+          ...pickTransactionDetails(txn),
+        },
       });
     }
 
-    // Sort by timestamp
-    validatedTransactions.sort((a, b) => a.timestamp - b.timestamp);
-
-    // Process in batches
-    const batchSize = 1000;
-    let created = 0;
+    const ownedAccounts = await findOwnedAccountIds(req.user.id, [
+      ...new Set(entries.map(({ data }) => data.accountId)),
+    ]);
+    const ownedCategories = await findOwnedCategoryIds(
+      req.user.id,
+      entries
+        .map(({ data }) => data.categoryId)
+        .filter((id) => id !== undefined)
+    );
 
-    for (let i = 0; i < validatedTransactions.length; i += batchSize) {
-      const batch = validatedTransactions.slice(i, i + batchSize);
+    const accepted = [];
+    for (const entry of entries) {
+      const { accountId, categoryId } = entry.data;
+      const error = !ownedAccounts.has(accountId)
+        ? { field: "accountId", message: "Account not found" }
+        : categoryId != null && !ownedCategories.has(categoryId)
+          ? { field: "categoryId", message: "Category not found" }
+          : null;
+
+      if (error && atomic) {
+        return sendInvalidField(
+          res,
+          `transactions.${entry.index}.${error.field}`,
+          error.message
+        );
+      }
+      if (error) {
+        errors.push({ index: entry.index, ...error });
+      } else {
+        accepted.push(entry);
+      }
+    }
 
-      const result = await prisma.transaction.createMany({
-        data: batch,
-        skipDuplicates: true,
-      });
+    const duplicates = await findDuplicateEntries(accepted);
+    const request = {
+      userId: req.user.id,
+      mode,
+      context: auditContext(req),
+      entries: accepted.filter(({ index }) => !duplicates.has(index)),
+      errors,
+      skipped: duplicates.size,
+    };
 
-      created += result.count;
+    if (request.entries.length > bulkConfig.asyncThreshold) {
+      const jobId = await queueBulkInsert(request);
+      if (jobId !== null) {
+        return res.status(202).json({
+          message: "Bulk transactions queued",
+          mode,
+          count: request.entries.length,
+          jobId,
+        });
+      }
     }
 
-    // Invalidate all cache
-    await redis.flushDb();
-
-    res.status(201).json({
-      message: "Bulk transactions created successfully",
-      count: created,
-    });
+    const { status, body } = await completeBulkRequest(request);
+    res.status(status).json(body);
   } catch (error) {
     console.error("Error creating bulk transactions:", error);
     res.status(500).json({ error: "Failed to create bulk transactions" });
   }
 };
 
-// Get transaction statistics
+const summarizeTypeStats = (row, currency) => ({
+  count: row ? parseInt(row.count) : 0,
+  totalAmount: formatMoney(row?.total, currency),
+  averageAmount: formatMoney(row?.average, currency),
+  maxAmount: formatMoney(row?.max, currency),
+  minAmount: formatMoney(row?.min, currency),
+});
+
+// Get transaction statistics for one account, or consolidated across all.
+// Amounts are converted into `baseCurrency` (DEFAULT_CURRENCY unless given)
+// at the rate in effect on each transaction's date in `tz`
+// (REPORTING_TIMEZONE unless given).
 export const getTransactionStats = async (req, res) => {
   try {
-    const cacheKey = "transaction_stats";
+    const { accountId, baseCurrency, tz: timezone } = req.query;
+    const accountFilter = accountId ?? null;
+
+    const cacheKey = await generationCacheKey(
+      req.user.id,
+      `transaction_stats:${accountFilter ?? "all"}:${baseCurrency}:${timezone}`
+    );
 
     // Check cache first
-    try {
-      const cachedStats = await redis.get(cacheKey);
-      if (cachedStats) {
-        return res.json(JSON.parse(cachedStats));
-      }
-    } catch (err) {
-      console.warn("Redis cache miss for stats:", err.message);
+    const cachedStats = await getCached(cacheKey);
+    if (cachedStats) {
+      return res.json(JSON.parse(cachedStats));
     }
 
-    // Calculate stats
-    const [totalCount, inStats, outStats] = await Promise.all([
-      prisma.transaction.count(),
-      prisma.transaction.aggregate({
-        where: { type: "IN" },
-        _count: { id: true },
-        _sum: { amount: true },
-        _avg: { amount: true },
-        _max: { amount: true },
-        _min: { amount: true },
-      }),
-      prisma.transaction.aggregate({
-        where: { type: "OUT" },
-        _count: { id: true },
-        _sum: { amount: true },
-        _avg: { amount: true },
-        _max: { amount: true },
-        _min: { amount: true },
-      }),
-    ]);
+    if (accountFilter && !(await findUserAccount(req.user.id, accountFilter))) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    // One pass yields the totals per type, per account and per category
+    const groups = await prisma.$queryRaw`
+      WITH converted AS (
+        SELECT
+          t."accountId",
+          t."categoryId",
+          t.type,
+          t.amount * ${rateToBaseSql(
+            "t.currency",
+            Prisma.sql`(t.timestamp AT TIME ZONE ${timezone})::date`,
+            baseCurrency
+          )} as amount
+        FROM "Transaction" t
+        JOIN "Account" a ON a.id = t."accountId"
+        WHERE a."userId" = ${req.user.id}
+          AND (${accountFilter}::int IS NULL OR t."accountId" = ${accountFilter})
+          AND t."deletedAt" IS NULL
+      )
+      SELECT
+        GROUPING("accountId") = 0 as by_account,
+        GROUPING("categoryId") = 0 as by_category,
+        "accountId" as account_id,
+        "categoryId" as category_id,
+        type,
+        COUNT(*) as count,
+        COUNT(*) - COUNT(amount) as missing_rates,
+        SUM(amount) as total,
+        AVG(amount) as average,
+        MAX(amount) as max,
+        MIN(amount) as min
+      FROM converted
+      GROUP BY GROUPING SETS (
+        (type),
+        ("accountId", type),
+        ("categoryId", type)
+      )
+    `;
+
+    const totals = groups.filter((g) => !g.by_account && !g.by_category);
+    const missingRates = totals.reduce(
+      (sum, g) => sum + parseInt(g.missing_rates),
+      0
+    );
+    if (missingRates > 0) {
+      return res
+        .status(422)
+        .json({ error: missingRatesMessage(missingRates, baseCurrency) });
+    }
+
+    const inStats = totals.find((g) => g.type === "IN");
+    const outStats = totals.find((g) => g.type === "OUT");
+    const inTotal = toDecimal(inStats?.total) ?? ZERO;
+    const outTotal = toDecimal(outStats?.total) ?? ZERO;
 
     const stats = {
-      totalTransactions: totalCount,
-      inTransactions: {
-        count: inStats._count.id,
-        totalAmount: inStats._sum.amount || 0,
-        averageAmount: inStats._avg.amount || 0,
-        maxAmount: inStats._max.amount || 0,
-        minAmount: inStats._min.amount || 0,
-      },
-      outTransactions: {
-        count: outStats._count.id,
-        totalAmount: outStats._sum.amount || 0,
-        averageAmount: outStats._avg.amount || 0,
-        maxAmount: outStats._max.amount || 0,
-        minAmount: outStats._min.amount || 0,
-      },
-      currentBalance: (inStats._sum.amount || 0) - (outStats._sum.amount || 0),
+      accountId: accountFilter,
+      currency: baseCurrency,
+      totalTransactions: totals.reduce((sum, g) => sum + parseInt(g.count), 0),
+      inTransactions: summarizeTypeStats(inStats, baseCurrency),
+      outTransactions: summarizeTypeStats(outStats, baseCurrency),
+      currentBalance: formatMoney(inTotal.minus(outTotal), baseCurrency),
     };
 
-    try {
-      await redis.setEx(cacheKey, 300, JSON.stringify(stats));
-    } catch (err) {
-      console.warn("Redis cache set failed for stats:", err.message);
+    // Consolidated view also breaks the total down per account
+    if (!accountFilter) {
+      const accounts = new Map();
+      groups
+        .filter((g) => g.by_account)
+        .forEach((row) => {
+          if (!accounts.has(row.account_id)) {
+            accounts.set(row.account_id, {
+              accountId: row.account_id,
+              transactionCount: 0,
+              inAmount: ZERO,
+              outAmount: ZERO,
+            });
+          }
+
+          const entry = accounts.get(row.account_id);
+          const amount = toDecimal(row.total) ?? ZERO;
+          entry.transactionCount += parseInt(row.count);
+          if (row.type === "IN") {
+            entry.inAmount = entry.inAmount.plus(amount);
+          } else {
+            entry.outAmount = entry.outAmount.plus(amount);
+          }
+        });
+
+      stats.accounts = [...accounts.values()]
+        .sort((a, b) => a.accountId - b.accountId)
+        .map((entry) => ({
+          ...entry,
+          inAmount: formatMoney(entry.inAmount, baseCurrency),
+          outAmount: formatMoney(entry.outAmount, baseCurrency),
+          balance: formatMoney(
+            entry.inAmount.minus(entry.outAmount),
+            baseCurrency
+          ),
+        }));
     }
 
+    // IN/OUT totals per category, uncategorized rows are grouped under null
+    const categories = await prisma.category.findMany({
+      where: { userId: req.user.id },
+      select: { id: true, name: true },
+    });
+
+    const categoryNames = new Map(categories.map((c) => [c.id, c.name]));
+    const byCategory = new Map();
+    groups
+      .filter((g) => g.by_category)
+      .forEach((row) => {
+        if (!byCategory.has(row.category_id)) {
+          byCategory.set(row.category_id, {
+            categoryId: row.category_id,
+            name: categoryNames.get(row.category_id) ?? "Uncategorized",
+            inCount: 0,
+            inAmount: ZERO,
+            outCount: 0,
+            outAmount: ZERO,
+          });
+        }
+
+        const entry = byCategory.get(row.category_id);
+        const amount = toDecimal(row.total) ?? ZERO;
+        if (row.type === "IN") {
+          entry.inCount += parseInt(row.count);
+          entry.inAmount = entry.inAmount.plus(amount);
+        } else {
+          entry.outCount += parseInt(row.count);
+          entry.outAmount = entry.outAmount.plus(amount);
+        }
+      });
+
+    stats.categories = [...byCategory.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((entry) => ({
+        ...entry,
+        inAmount: formatMoney(entry.inAmount, baseCurrency),
+        outAmount: formatMoney(entry.outAmount, baseCurrency),
+      }));
+
+    await setCached(cacheKey, JSON.stringify(stats), 300);
+
     res.json(stats);
   } catch (error) {
     console.error("Error fetching transaction stats:", error);
@@ -0,0 +1,266 @@
+import prisma from "../config/prisma.js";
+import { webhookConfig } from "../config/webhooks.js";
+import { userOwnsAccounts } from "../utils/accounts.js";
+import {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  replayDelivery,
+  webhookUrlError,
+} from "../utils/webhooks.js";
+import { sendInvalidField } from "../middleware/validate.js";
+
+const EVENT_TYPES = Object.values(WEBHOOK_EVENTS);
+
+// The secret is only shown when it's created or rotated
+const endpointSelect = {
+  id: true,
+  url: true,
+  events: true,
+  balanceThresholds: true,
+  description: true,
+  enabled: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+const deliverySelect = {
+  id: true,
+  endpointId: true,
+  eventId: true,
+  event: true,
+  status: true,
+  attempts: true,
+  responseStatus: true,
+  lastError: true,
+  lastAttemptAt: true,
+  deliveredAt: true,
+  replayOfId: true,
+  createdAt: true,
+};
+
+const findUserEndpoint = (userId, id) =>
+  prisma.webhookEndpoint.findFirst({
+    where: { id, userId },
+    select: endpointSelect,
+  });
+
+const findUserDelivery = (userId, id) =>
+  prisma.webhookDelivery.findFirst({
+    where: { id, endpoint: { userId } },
+  });
+
+// Thresholds may only name the user's own accounts
+const thresholdAccountsOwned = (userId, thresholds = []) => {
+  const accountIds = new Set(
+    thresholds.map((threshold) => threshold.accountId).filter(Boolean)
+  );
+  return userOwnsAccounts(userId, [...accountIds]);
+};
+
+export const getWebhookEndpoints = async (req, res) => {
+  try {
+    const endpoints = await prisma.webhookEndpoint.findMany({
+      where: { userId: req.user.id },
+      orderBy: { id: "asc" },
+      select: endpointSelect,
+    });
+
+    res.json({ endpoints, eventTypes: EVENT_TYPES });
+  } catch (error) {
+    console.error("Error fetching webhook endpoints:", error);
+    res.status(500).json({ error: "Failed to fetch webhook endpoints" });
+  }
+};
+
+export const getWebhookEndpoint = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const endpoint = await findUserEndpoint(req.user.id, id);
+    if (!endpoint) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    res.json(endpoint);
+  } catch (error) {
+    console.error("Error fetching webhook endpoint:", error);
+    res.status(500).json({ error: "Failed to fetch webhook endpoint" });
+  }
+};
+
+// Takes url, events, and optionally balanceThresholds, description and
+// enabled. The response carries the signing secret, shown only this once.
+export const createWebhookEndpoint = async (req, res) => {
+  try {
+    const data = req.body;
+    const urlError = await webhookUrlError(data.url);
+    if (urlError) {
+      return sendInvalidField(res, "url", urlError);
+    }
+    if (!(await thresholdAccountsOwned(req.user.id, data.balanceThresholds))) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const count = await prisma.webhookEndpoint.count({
+      where: { userId: req.user.id },
+    });
+    if (count >= webhookConfig.maxEndpoints) {
+      return res.status(400).json({
+        error: `At most ${webhookConfig.maxEndpoints} webhooks per user`,
+      });
+    }
+
+    const endpoint = await prisma.webhookEndpoint.create({
+      data: { userId: req.user.id, secret: generateSecret(), ...data },
+      select: { ...endpointSelect, secret: true },
+    });
+
+    res.status(201).json(endpoint);
+  } catch (error) {
+    console.error("Error creating webhook endpoint:", error);
+    res.status(500).json({ error: "Failed to create webhook endpoint" });
+  }
+};
+
+export const updateWebhookEndpoint = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!(await findUserEndpoint(req.user.id, id))) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    const data = req.body;
+    const urlError = data.url && (await webhookUrlError(data.url));
+    if (urlError) {
+      return sendInvalidField(res, "url", urlError);
+    }
+    if (!(await thresholdAccountsOwned(req.user.id, data.balanceThresholds))) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const endpoint = await prisma.webhookEndpoint.update({
+      where: { id },
+      data,
+      select: endpointSelect,
+    });
+
+    res.json(endpoint);
+  } catch (error) {
+    console.error("Error updating webhook endpoint:", error);
+    res.status(500).json({ error: "Failed to update webhook endpoint" });
+  }
+};
+
+// Its delivery log goes with it
+export const deleteWebhookEndpoint = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!(await findUserEndpoint(req.user.id, id))) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    await prisma.webhookEndpoint.delete({ where: { id } });
+
+    res.json({ message: "Webhook deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting webhook endpoint:", error);
+    res.status(500).json({ error: "Failed to delete webhook endpoint" });
+  }
+};
+
+// Replaces the signing secret at once; attempts from then on use the new one
+export const rotateWebhookSecret = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!(await findUserEndpoint(req.user.id, id))) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    const endpoint = await prisma.webhookEndpoint.update({
+      where: { id },
+      data: { secret: generateSecret() },
+      select: { ...endpointSelect, secret: true },
+    });
+
+    res.json(endpoint);
+  } catch (error) {
+    console.error("Error rotating webhook secret:", error);
+    res.status(500).json({ error: "Failed to rotate webhook secret" });
+  }
+};
+
+// The endpoint's delivery log, newest first. Filters: status, event.
+// Paginated with the id cursor.
+export const getWebhookDeliveries = async (req, res) => {
+  const { id } = req.params;
+  const { status, event, cursor, limit: take } = req.query;
+
+  try {
+    if (!(await findUserEndpoint(req.user.id, id))) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    const deliveries = await prisma.webhookDelivery.findMany({
+      where: {
+        endpointId: id,
+        ...(status && { status }),
+        ...(event && { event }),
+      },
+      take,
+      ...(cursor && {
+        skip: 1,
+        cursor: { id: cursor },
+      }),
+      orderBy: { id: "desc" },
+      select: deliverySelect,
+    });
+
+    const nextCursor =
+      deliveries.length === take ? deliveries[deliveries.length - 1].id : null;
+
+    res.json({ deliveries, nextCursor, hasMore: nextCursor !== null });
+  } catch (error) {
+    console.error("Error fetching webhook deliveries:", error);
+    res.status(500).json({ error: "Failed to fetch webhook deliveries" });
+  }
+};
+
+// One delivery with the payload it sent
+export const getWebhookDelivery = async (req, res) => {
+  const { deliveryId: id } = req.params;
+
+  try {
+    const delivery = await findUserDelivery(req.user.id, id);
+    if (!delivery) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    console.error("Error fetching webhook delivery:", error);
+    res.status(500).json({ error: "Failed to fetch webhook delivery" });
+  }
+};
+
+// Sends the delivery's payload again, as a new delivery with the same
+// event id, signed with the endpoint's current secret
+export const replayWebhookDelivery = async (req, res) => {
+  const { deliveryId: id } = req.params;
+
+  try {
+    const delivery = await findUserDelivery(req.user.id, id);
+    if (!delivery) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+
+    const replay = await replayDelivery(req.user.id, delivery);
+
+    res.status(202).json(replay);
+  } catch (error) {
+    console.error("Error replaying webhook delivery:", error);
+    res.status(500).json({ error: "Failed to replay webhook delivery" });
+  }
+};
@@ -3,7 +3,22 @@ import dotenv from "dotenv";
 import cors from "cors";
 import router from "./routes/transaction.js";
 import summaryRouter from "./routes/summary.js";
-import prisma from "./config/prisma.js";
+import accountRouter from "./routes/account.js";
+import authRouter from "./routes/auth.js";
+import categoryRouter from "./routes/category.js";
+import exchangeRateRouter from "./routes/exchange-rate.js";
+import jobRouter from "./routes/job.js";
+import policyRouter from "./routes/policy.js";
+import auditRouter from "./routes/audit.js";
+import recurringRouter from "./routes/recurring.js";
+import webhookRouter from "./routes/webhook.js";
+import feedRouter from "./routes/feed.js";
+import { docsRouter } from "./routes/docs.js";
+import { closeFeedStreams } from "./controller/feed-controller.js";
+import { requestId } from "./middleware/request-id.js";
+import { queueConfig } from "./config/queue.js";
+import { startWorker } from "./queue/worker.js";
+import { handleShutdown } from "./utils/shutdown.js";
 
 dotenv.config();
 
@@ -11,6 +26,7 @@ const app = express();
 
 app.use(cors());
 app.use(express.json({ limit: "10mb" }));
+app.use(requestId);
 
 app.use((req, res, next) => {
   const start = Date.now();
@@ -21,14 +37,31 @@ app.use((req, res, next) => {
     const method = req.method;
     const url = req.url;
 
-    console.log(`${method} ${url} - ${status} - ${duration}ms`);
+    console.log(`${method} ${url} - ${status} - ${duration}ms [${req.id}]`);
   });
 
   next();
 });
 
-app.use("/api/transactions", router);
-app.use("/api/summary", summaryRouter);
+const mounts = [
+  ["/api/auth", authRouter],
+  ["/api/transactions", router],
+  ["/api/summary", summaryRouter],
+  ["/api/accounts", accountRouter],
+  ["/api/categories", categoryRouter],
+  ["/api/exchange-rates", exchangeRateRouter],
+  ["/api/jobs", jobRouter],
+  ["/api/policies", policyRouter],
+  ["/api/audit", auditRouter],
+  ["/api/recurring", recurringRouter],
+  ["/api/webhooks", webhookRouter],
+  ["/api/feed", feedRouter],
+];
+
+mounts.forEach(([path, mountedRouter]) => app.use(path, mountedRouter));
+
+// OpenAPI document and interactive viewer, built from the route schemas
+app.use("/api/docs", docsRouter(mounts));
 
 app.use((error, req, res, next) => {
   console.error("Global error:", error);
@@ -51,11 +84,14 @@ const server = app.listen(PORT, "0.0.0.0", () => {
   console.log(`🚀 Server running on http://0.0.0.0:${PORT}`);
 });
 
-// Graceful shutdown
-process.on("SIGTERM", () => {
-  console.log("🔄 SIGTERM received, shutting down gracefully");
-  server.close(() => {
-    console.log("✅ Server closed");
-    process.exit(0);
-  });
+// Background jobs run in the API process unless EMBEDDED_WORKER=false
+const worker = queueConfig.embeddedWorker ? startWorker() : null;
+
+// Graceful shutdown: stop taking requests, let running jobs finish
+handleShutdown(async () => {
+  // Open feeds would otherwise keep the server from closing
+  await closeFeedStreams();
+  await new Promise((resolve) => server.close(resolve));
+  console.log("✅ Server closed");
+  await worker?.stop();
 });
@@ -0,0 +1,80 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import prisma from "../config/prisma.js";
+import { authConfig } from "../config/auth.js";
+
+export const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex");
+
+const getCredential = (req) => {
+  const header = req.headers.authorization;
+  if (header && header.startsWith("Bearer ")) {
+    return header.slice("Bearer ".length).trim();
+  }
+
+  return req.headers["x-api-key"] || null;
+};
+
+const authenticateApiKey = async (key) => {
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashApiKey(key) },
+    select: {
+      id: true,
+      revokedAt: true,
+      user: { select: { id: true, email: true } },
+    },
+  });
+
+  if (!apiKey || apiKey.revokedAt) {
+    return null;
+  }
+
+  // Usage tracking must never fail the request
+  prisma.apiKey
+    .update({ where: { id: apiKey.id }, data: { lastUsedAt: new Date() } })
+    .catch((err) => console.warn("API key usage update failed:", err.message));
+
+  return { ...apiKey.user, apiKeyId: apiKey.id };
+};
+
+const authenticateToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, authConfig.jwtSecret);
+  } catch {
+    return null;
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: parseInt(payload.sub) },
+    select: { id: true, email: true },
+  });
+
+  return user;
+};
+
+// Accepts "Authorization: Bearer <jwt|api key>" or "X-API-Key: <api key>"
+// and sets req.user for the rest of the chain
+export const authenticate = async (req, res, next) => {
+  const credential = getCredential(req);
+
+  if (!credential) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  try {
+    const user = credential.startsWith(authConfig.apiKeyPrefix)
+      ? await authenticateApiKey(credential)
+      : await authenticateToken(credential);
+
+    if (!user) {
+      return res.status(401).json({ error: "Invalid or expired credentials" });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error("Authentication failed:", error);
+    res.status(500).json({ error: "Failed to authenticate request" });
+  }
+};
@@ -0,0 +1,130 @@
+import crypto from "crypto";
+import redis from "../config/redis.js";
+import { idempotencyConfig } from "../config/idempotency.js";
+
+const VALID_KEY = /^[\x21-\x7e]{1,255}$/;
+
+const recordKey = (userId, key) =>
+  `${idempotencyConfig.prefix}${userId}:${key}`;
+
+// Identifies the request a key was first used for
+const fingerprint = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path}\n`)
+    .update(JSON.stringify(req.body ?? null))
+    .digest("hex");
+
+const unavailable = (res) =>
+  res
+    .status(503)
+    .json({ error: "Idempotency keys are unavailable, try again later" });
+
+// Honours an `Idempotency-Key` header; runs after authenticate, as keys are
+// scoped to the user. The first request with a key runs normally and its
+// successful response is kept for idempotencyConfig.ttlSeconds:
+//
+//   same key, same body       the kept response is sent again, with an
+//                             Idempotent-Replayed: true header
+//   same key, different body  409
+//   first one still running   409, retry later
+//
+// Error responses aren't kept: the key is released so the request can be
+// retried once fixed. Without Redis, keyed requests get 503 rather than
+// running unprotected. Redis commands would wait for a reconnect while it is
+// down, so its state is checked before each one.
+export const idempotent = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) return next();
+
+  if (!VALID_KEY.test(key)) {
+    return res.status(400).json({
+      error: "Idempotency-Key must be 1-255 printable ASCII characters",
+    });
+  }
+
+  const redisKey = recordKey(req.user.id, key);
+  const requestFingerprint = fingerprint(req);
+
+  if (!redis.isReady) return unavailable(res);
+
+  let claimed;
+  try {
+    claimed = await redis.set(
+      redisKey,
+      JSON.stringify({ state: "processing", fingerprint: requestFingerprint }),
+      {
+        expiration: { type: "EX", value: idempotencyConfig.lockSeconds },
+        condition: "NX",
+      }
+    );
+  } catch (error) {
+    console.error("Idempotency store unavailable:", error.message);
+    return unavailable(res);
+  }
+
+  if (!claimed) {
+    if (!redis.isReady) return unavailable(res);
+
+    let record;
+    try {
+      record = JSON.parse(await redis.get(redisKey));
+    } catch (error) {
+      console.error("Idempotency store unavailable:", error.message);
+      return unavailable(res);
+    }
+
+    // Expired or released between the two calls
+    if (!record) return idempotent(req, res, next);
+
+    if (record.fingerprint !== requestFingerprint) {
+      return res.status(409).json({
+        error: "Idempotency-Key was already used for a different request",
+      });
+    }
+
+    if (record.state === "processing") {
+      return res.status(409).json({
+        error: "A request with this Idempotency-Key is still in progress",
+      });
+    }
+
+    res.set("Idempotent-Replayed", "true");
+    return res.status(record.status).json(record.body);
+  }
+
+  // Keep the response before sending it, so a retry arriving right after
+  // sees it. If Redis went away meanwhile it is sent unkept, and the key
+  // stays claimed until its lock expires.
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    if (!redis.isReady) {
+      console.warn("Could not store idempotent response: Redis is down");
+      return send(body);
+    }
+
+    const saved =
+      res.statusCode >= 200 && res.statusCode < 300
+        ? redis.set(
+            redisKey,
+            JSON.stringify({
+              state: "done",
+              fingerprint: requestFingerprint,
+              status: res.statusCode,
+              body,
+            }),
+            { expiration: { type: "EX", value: idempotencyConfig.ttlSeconds } }
+          )
+        : redis.del(redisKey);
+
+    saved
+      .catch((error) =>
+        console.warn("Could not store idempotent response:", error.message)
+      )
+      .finally(() => send(body));
+
+    return res;
+  };
+
+  next();
+};
@@ -0,0 +1,17 @@
+import crypto from "crypto";
+
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Tags each request with an id for logs and the audit trail: the caller's
+// X-Request-Id when it looks sane, a fresh UUID otherwise. The id is echoed
+// back in the response.
+export const requestId = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id =
+    incoming && VALID_REQUEST_ID.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+
+  res.setHeader("X-Request-Id", req.id);
+  next();
+};
@@ -0,0 +1,18 @@
+import multer from "multer";
+
+// Uploads (statements, rate sheets) are parsed in memory, so keep them to a
+// sensible size
+const fileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 },
+});
+
+// Accepts a single file in the "file" field; upload problems are client errors
+export const uploadFile = (req, res, next) => {
+  fileUpload.single("file")(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    next();
+  });
+};
@@ -0,0 +1,73 @@
+// Checks a request against its route's schemas (see utils/openapi.js) and
+// replaces req.params, req.query and req.body with what they parse to, so
+// controllers get ids as numbers, currencies upper-cased, amounts as
+// Decimals and so on. Empty query params count as absent.
+//
+// Every 400 for malformed input has the same shape, listing each offending
+// field:
+//
+//   {
+//     "error": "Invalid request",
+//     "errors": [
+//       { "in": "body", "path": "transactions.0.amount",
+//         "message": "must be a positive number" }
+//     ]
+//   }
+
+const LOCATIONS = ["params", "query", "body"];
+
+const withoutEmpty = (query) =>
+  Object.fromEntries(Object.entries(query).filter(([, value]) => value !== ""));
+
+// `errors` is a list of { in, path, message }; `in` is params, query, body
+// or header
+export const sendInvalid = (res, errors) =>
+  res.status(400).json({ error: "Invalid request", errors });
+
+// For checks a schema can't make, e.g. ones that depend on stored data
+export const sendInvalidField = (res, path, message, location = "body") =>
+  sendInvalid(res, [{ in: location, path, message }]);
+
+export const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+  const parsed = {};
+
+  LOCATIONS.forEach((location) => {
+    const schema = schemas[location];
+    if (!schema) return;
+
+    const input =
+      location === "query" ? withoutEmpty(req.query) : (req[location] ?? {});
+    const result = schema.safeParse(input);
+
+    if (result.success) {
+      parsed[location] = result.data;
+    } else {
+      result.error.issues.forEach((issue) =>
+        errors.push({
+          in: location,
+          path: issue.path.join("."),
+          message: issue.message,
+        })
+      );
+    }
+  });
+
+  if (errors.length > 0) {
+    return sendInvalid(res, errors);
+  }
+
+  if (parsed.params) req.params = parsed.params;
+  if (parsed.body) req.body = parsed.body;
+  // Express 5 computes req.query on every read
+  if (parsed.query) {
+    Object.defineProperty(req, "query", {
+      value: parsed.query,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,412 @@
+import redis from "../config/redis.js";
+import { queueConfig } from "../config/queue.js";
+
+// Redis-backed job queue. Every job is a hash under `<prefix>job:<id>`:
+//
+//   queued     waiting in `<prefix>scheduled`, scored by when it may run
+//   active     claimed by a worker, in `<prefix>active` scored by lease expiry
+//   completed  finished, the hash expires after a day
+//   failed     out of attempts, listed in `<prefix>failed` for a week
+//   merged     folded into a newer queued job with the same dedupe key
+//
+// A dedupe key (e.g. one per ledger) does two things: while a job with that
+// key is queued, new jobs with the key are merged into it instead of being
+// added, and at most one job per key runs at a time.
+//
+// A running job may record its progress, and a handler's return value is
+// kept as the job's result; both are JSON.
+//
+// The scripts build key names from the prefix, so the queue needs a single
+// Redis node rather than a cluster.
+
+const { prefix } = queueConfig;
+
+const keys = {
+  job: (id) => `${prefix}job:${id}`,
+  scheduled: `${prefix}scheduled`,
+  active: `${prefix}active`,
+  failed: `${prefix}failed`,
+  user: (userId) => `${prefix}user:${userId}`,
+};
+
+// How many of the user's most recent jobs are kept listable
+const USER_HISTORY = 100;
+
+// Shared Lua helpers. `mergeInto` applies the job's merge rule: the merge
+// field keeps the smallest value (ISO timestamps compare as strings).
+const LUA_HELPERS = `
+local prefix = ARGV[1]
+
+local function jobKey(id)
+  return prefix .. "job:" .. id
+end
+
+local function mergeInto(targetId, payloadJson)
+  local key = jobKey(targetId)
+  local field = redis.call("HGET", key, "mergeField")
+  if not field or field == "" then
+    return
+  end
+
+  local current = cjson.decode(redis.call("HGET", key, "payload"))
+  local incoming = cjson.decode(payloadJson)
+  if incoming[field] ~= nil
+    and (current[field] == nil or incoming[field] < current[field]) then
+    current[field] = incoming[field]
+    redis.call("HSET", key, "payload", cjson.encode(current))
+  end
+end
+
+local function releaseLock(id)
+  local dedupe = redis.call("HGET", jobKey(id), "dedupeKey")
+  if dedupe and dedupe ~= "" then
+    local lock = prefix .. "lock:" .. dedupe
+    if redis.call("GET", lock) == id then
+      redis.call("DEL", lock)
+    end
+  end
+end
+
+-- Puts a job back in line, or folds it into the queued job that took over
+-- its dedupe key in the meantime
+local function requeue(id, runAt, now, ttl)
+  local key = jobKey(id)
+  local dedupe = redis.call("HGET", key, "dedupeKey")
+
+  if dedupe and dedupe ~= "" then
+    local dedupeKey = prefix .. "dedupe:" .. dedupe
+    local otherId = redis.call("GET", dedupeKey)
+    if otherId and otherId ~= id
+      and redis.call("HGET", jobKey(otherId), "status") == "queued" then
+      mergeInto(otherId, redis.call("HGET", key, "payload"))
+      redis.call("HSET", key, "status", "merged", "mergedInto", otherId,
+        "finishedAt", now, "updatedAt", now)
+      redis.call("EXPIRE", key, ttl)
+      return "merged"
+    end
+    redis.call("SET", dedupeKey, id)
+  end
+
+  redis.call("HSET", key, "status", "queued", "runAt", runAt,
+    "updatedAt", now)
+  redis.call("ZADD", prefix .. "scheduled", runAt, id)
+  return "queued"
+end
+`;
+
+// ARGV: prefix, type, payload, runAt, maxAttempts, now, dedupeKey,
+// mergeField, userId, userHistory
+const ENQUEUE_SCRIPT = `${LUA_HELPERS}
+local dedupe = ARGV[7]
+if dedupe ~= "" then
+  local existingId = redis.call("GET", prefix .. "dedupe:" .. dedupe)
+  if existingId
+    and redis.call("HGET", jobKey(existingId), "status") == "queued" then
+    mergeInto(existingId, ARGV[3])
+    redis.call("HSET", jobKey(existingId), "updatedAt", ARGV[6])
+    return {existingId, 1}
+  end
+end
+
+local id = tostring(redis.call("INCR", prefix .. "next-id"))
+redis.call("HSET", jobKey(id),
+  "id", id, "type", ARGV[2], "payload", ARGV[3], "status", "queued",
+  "attempts", 0, "maxAttempts", ARGV[5], "runAt", ARGV[4],
+  "dedupeKey", dedupe, "mergeField", ARGV[8], "userId", ARGV[9],
+  "createdAt", ARGV[6], "updatedAt", ARGV[6])
+redis.call("ZADD", prefix .. "scheduled", ARGV[4], id)
+
+if dedupe ~= "" then
+  redis.call("SET", prefix .. "dedupe:" .. dedupe, id)
+end
+
+if ARGV[9] ~= "" then
+  local history = prefix .. "user:" .. ARGV[9]
+  redis.call("ZADD", history, ARGV[6], id)
+  redis.call("ZREMRANGEBYRANK", history, 0, -tonumber(ARGV[10]) - 1)
+end
+
+return {id, 0}
+`;
+
+// ARGV: prefix, now, leaseMs, scanLimit
+// Skips due jobs whose dedupe key is locked by a running job
+const CLAIM_SCRIPT = `${LUA_HELPERS}
+local now = tonumber(ARGV[2])
+local due = redis.call("ZRANGEBYSCORE", prefix .. "scheduled", "-inf", now,
+  "LIMIT", 0, tonumber(ARGV[4]))
+
+for _, id in ipairs(due) do
+  local key = jobKey(id)
+  local dedupe = redis.call("HGET", key, "dedupeKey")
+  local locked = false
+
+  if dedupe and dedupe ~= "" then
+    locked = not redis.call("SET", prefix .. "lock:" .. dedupe, id, "NX")
+  end
+
+  if not locked then
+    redis.call("ZREM", prefix .. "scheduled", id)
+    redis.call("ZADD", prefix .. "active", now + tonumber(ARGV[3]), id)
+
+    -- Jobs enqueued from now on must not merge into one that already started
+    if dedupe and dedupe ~= ""
+      and redis.call("GET", prefix .. "dedupe:" .. dedupe) == id then
+      redis.call("DEL", prefix .. "dedupe:" .. dedupe)
+    end
+
+    redis.call("HINCRBY", key, "attempts", 1)
+    redis.call("HSET", key, "status", "active", "startedAt", now,
+      "updatedAt", now)
+    return redis.call("HGETALL", key)
+  end
+end
+
+return false
+`;
+
+// ARGV: prefix, id, now, ttl, result ("" for none)
+const COMPLETE_SCRIPT = `${LUA_HELPERS}
+local id = ARGV[2]
+if redis.call("ZREM", prefix .. "active", id) == 0 then
+  return 0
+end
+
+releaseLock(id)
+if ARGV[5] ~= "" then
+  redis.call("HSET", jobKey(id), "result", ARGV[5])
+end
+redis.call("HSET", jobKey(id), "status", "completed", "finishedAt", ARGV[3],
+  "updatedAt", ARGV[3])
+redis.call("EXPIRE", jobKey(id), tonumber(ARGV[4]))
+return 1
+`;
+
+// ARGV: prefix, id, now, error, retryAt ("" when out of attempts),
+// completedTtl, failedTtl
+const FAIL_SCRIPT = `${LUA_HELPERS}
+local id = ARGV[2]
+local now = tonumber(ARGV[3])
+if redis.call("ZREM", prefix .. "active", id) == 0 then
+  return "lost"
+end
+
+releaseLock(id)
+redis.call("HSET", jobKey(id), "lastError", ARGV[4], "updatedAt", now)
+
+if ARGV[5] == "" then
+  local failedTtl = tonumber(ARGV[7])
+  redis.call("HSET", jobKey(id), "status", "failed", "finishedAt", now)
+  redis.call("EXPIRE", jobKey(id), failedTtl)
+  redis.call("ZADD", prefix .. "failed", now, id)
+  redis.call("ZREMRANGEBYSCORE", prefix .. "failed", "-inf",
+    now - failedTtl * 1000)
+  return "failed"
+end
+
+return requeue(id, ARGV[5], now, tonumber(ARGV[6]))
+`;
+
+// ARGV: prefix, now, completedTtl, failedTtl, batch
+// Jobs whose worker died go back in line until they run out of attempts
+const REQUEUE_EXPIRED_SCRIPT = `${LUA_HELPERS}
+local now = tonumber(ARGV[2])
+local expired = redis.call("ZRANGEBYSCORE", prefix .. "active", "-inf", now,
+  "LIMIT", 0, tonumber(ARGV[5]))
+
+for _, id in ipairs(expired) do
+  local key = jobKey(id)
+  redis.call("ZREM", prefix .. "active", id)
+  releaseLock(id)
+  redis.call("HSET", key, "lastError",
+    "Lease expired before the job finished", "updatedAt", now)
+
+  local attempts = tonumber(redis.call("HGET", key, "attempts"))
+  if attempts >= tonumber(redis.call("HGET", key, "maxAttempts")) then
+    redis.call("HSET", key, "status", "failed", "finishedAt", now)
+    redis.call("EXPIRE", key, tonumber(ARGV[4]))
+    redis.call("ZADD", prefix .. "failed", now, id)
+  else
+    requeue(id, now, now, tonumber(ARGV[3]))
+  end
+end
+
+return #expired
+`;
+
+const runScript = (script, args) =>
+  redis.eval(script, { arguments: [prefix, ...args.map(String)] });
+
+const DATE_FIELDS = [
+  "runAt",
+  "createdAt",
+  "updatedAt",
+  "startedAt",
+  "finishedAt",
+];
+
+// Redis hash -> job object with numbers, dates and parsed JSON fields
+const toJob = (hash) => {
+  if (!hash || !hash.id) return null;
+
+  const { mergeField, ...fields } = hash;
+  const job = {
+    ...fields,
+    payload: JSON.parse(hash.payload),
+    progress: hash.progress ? JSON.parse(hash.progress) : null,
+    result: hash.result ? JSON.parse(hash.result) : null,
+    attempts: parseInt(hash.attempts),
+    maxAttempts: parseInt(hash.maxAttempts),
+    userId: hash.userId ? parseInt(hash.userId) : null,
+    dedupeKey: hash.dedupeKey || null,
+  };
+
+  DATE_FIELDS.forEach((field) => {
+    if (hash[field] !== undefined) {
+      job[field] = new Date(parseInt(hash[field]));
+    }
+  });
+
+  return job;
+};
+
+// HGETALL from a script arrives as a flat [field, value, ...] list
+const pairsToHash = (pairs) => {
+  const hash = {};
+  for (let i = 0; i < pairs.length; i += 2) {
+    hash[pairs[i]] = pairs[i + 1];
+  }
+  return hash;
+};
+
+// Exponential backoff with jitter: ~5s, 10s, 20s, ... capped at backoffMaxMs
+export const backoffDelay = (attempts) => {
+  const delay = Math.min(
+    queueConfig.backoffBaseMs * 2 ** Math.max(attempts - 1, 0),
+    queueConfig.backoffMaxMs
+  );
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Adds a job, or merges it into the queued job with the same dedupeKey.
+// `mergeField` names the payload field that keeps the smaller value when
+// two jobs merge. Resolves to `{ id, merged }`. Rejects right away while
+// Redis is disconnected, rather than waiting in the client's offline queue
+// for it to come back, so callers can fall back to doing the work
+// themselves.
+export const enqueueJob = async (
+  type,
+  payload,
+  {
+    dedupeKey = null,
+    mergeField = null,
+    userId = null,
+    delayMs = 0,
+    maxAttempts = queueConfig.maxAttempts,
+  } = {}
+) => {
+  if (!redis.isReady) throw new Error("Redis is not connected");
+
+  const now = Date.now();
+  const [id, merged] = await runScript(ENQUEUE_SCRIPT, [
+    type,
+    JSON.stringify(payload),
+    now + delayMs,
+    maxAttempts,
+    now,
+    dedupeKey ?? "",
+    mergeField ?? "",
+    userId ?? "",
+    USER_HISTORY,
+  ]);
+
+  return { id, merged: merged === 1 };
+};
+
+// Hands out the next due job (marked active under a lease), or null
+export const claimJob = async () => {
+  const pairs = await runScript(CLAIM_SCRIPT, [
+    Date.now(),
+    queueConfig.leaseMs,
+    50,
+  ]);
+  return pairs ? toJob(pairsToHash(pairs)) : null;
+};
+
+// Pushes the lease of a running job forward. False if the lease was lost.
+export const extendLease = async (id) => {
+  const expiresAt = Date.now() + queueConfig.leaseMs;
+  const updated = await redis.zAdd(
+    keys.active,
+    { score: expiresAt, value: String(id) },
+    { condition: "XX", CH: true }
+  );
+  return updated === 1;
+};
+
+// Keeps `result`, if given, with the finished job
+export const completeJob = async (id, result) =>
+  (await runScript(COMPLETE_SCRIPT, [
+    id,
+    Date.now(),
+    queueConfig.completedTtlSeconds,
+    result === undefined ? "" : JSON.stringify(result),
+  ])) === 1;
+
+// Records how far a running job has got, e.g. { processed, total }
+export const setJobProgress = (id, progress) =>
+  redis.hSet(keys.job(id), {
+    progress: JSON.stringify(progress),
+    updatedAt: Date.now(),
+  });
+
+// Schedules a retry at `retryAt`, or marks the job failed when retryAt is
+// null. Resolves to "queued", "merged", "failed" or "lost".
+export const failJob = (id, errorMessage, retryAt) =>
+  runScript(FAIL_SCRIPT, [
+    id,
+    Date.now(),
+    errorMessage,
+    retryAt ?? "",
+    queueConfig.completedTtlSeconds,
+    queueConfig.failedTtlSeconds,
+  ]);
+
+export const requeueExpiredJobs = () =>
+  runScript(REQUEUE_EXPIRED_SCRIPT, [
+    Date.now(),
+    queueConfig.completedTtlSeconds,
+    queueConfig.failedTtlSeconds,
+    100,
+  ]);
+
+export const getJob = async (id) => toJob(await redis.hGetAll(keys.job(id)));
+
+// The user's most recent jobs, newest first
+export const listUserJobs = async (userId, limit = 20) => {
+  const ids = await redis.zRange(keys.user(userId), 0, limit - 1, {
+    REV: true,
+  });
+  const hashes = await Promise.all(
+    ids.map((id) => redis.hGetAll(keys.job(id)))
+  );
+
+  return hashes.map(toJob).filter(Boolean);
+};
+
+export const getQueueStats = async () => {
+  const now = Date.now();
+  const [scheduled, waiting, active, failed] = await Promise.all([
+    redis.zCard(keys.scheduled),
+    redis.zCount(keys.scheduled, "-inf", now),
+    redis.zCard(keys.active),
+    redis.zCard(keys.failed),
+  ]);
+
+  return {
+    waiting,
+    delayed: scheduled - waiting,
+    active,
+    failed,
+  };
+};
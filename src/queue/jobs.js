@@ -0,0 +1,166 @@
+import { enqueueJob } from "./job-queue.js";
+import { recalculateFromTimestamp } from "../utils/utility.js";
+import { purgeExpiredTransactions } from "../utils/trash.js";
+import { materializeDueTransactions } from "../utils/recurring.js";
+import { deliverWebhook } from "../utils/webhooks.js";
+import { runBulkInsertJob } from "../utils/bulk-transactions.js";
+import { trashConfig } from "../config/trash.js";
+import { recurringConfig } from "../config/recurring.js";
+import { webhookConfig } from "../config/webhooks.js";
+
+const JOB_TYPES = {
+  RECALCULATE_LEDGER: "recalculate-ledger",
+  PURGE_TRASH: "purge-trash",
+  MATERIALIZE_RECURRING: "materialize-recurring",
+  DELIVER_WEBHOOK: "deliver-webhook",
+  BULK_INSERT: "bulk-insert-transactions",
+};
+
+// Jobs that run every `intervalMs` while a worker is up
+const PERIODIC_JOBS = {
+  [JOB_TYPES.PURGE_TRASH]: {
+    intervalMs: trashConfig.purgeIntervalMs,
+    run: () => purgeExpiredTransactions(),
+  },
+  [JOB_TYPES.MATERIALIZE_RECURRING]: {
+    intervalMs: recurringConfig.intervalMs,
+    run: () => materializeDueTransactions(),
+  },
+};
+
+// Queues a run of a periodic job `delayMs` from now. While one is already
+// waiting, that one is kept and nothing is added.
+const schedulePeriodicJob = (type, delayMs = PERIODIC_JOBS[type].intervalMs) =>
+  enqueueJob(type, {}, { dedupeKey: type, delayMs });
+
+// Starts every periodic schedule, or keeps the runs already queued
+export const schedulePeriodicJobs = () =>
+  Promise.all(
+    Object.keys(PERIODIC_JOBS).map((type) => schedulePeriodicJob(type, 0))
+  );
+
+// What each job type does with its payload; run by the worker. A periodic
+// job queues its next run first, so a failed run doesn't end the schedule
+// (its retry merges into the next run).
+export const jobHandlers = {
+  [JOB_TYPES.RECALCULATE_LEDGER]: ({ accountId, currency, fromTimestamp }) =>
+    recalculateFromTimestamp(accountId, currency, new Date(fromTimestamp)),
+  [JOB_TYPES.DELIVER_WEBHOOK]: (payload, job) => deliverWebhook(payload, job),
+  [JOB_TYPES.BULK_INSERT]: (payload, job) => runBulkInsertJob(payload, job),
+  ...Object.fromEntries(
+    Object.entries(PERIODIC_JOBS).map(([type, { run }]) => [
+      type,
+      async () => {
+        await schedulePeriodicJob(type);
+        await run();
+      },
+    ])
+  ),
+};
+
+// Queues a rebuild of one ledger's summaries from `fromTimestamp` on. While
+// a rebuild of the same ledger is still waiting, this only moves its start
+// back to the earlier of the two timestamps.
+//
+// If Redis is unreachable the rebuild runs in this process instead, so the
+// change isn't left without summaries.
+export const queueRecalculation = async ({
+  userId,
+  accountId,
+  currency,
+  fromTimestamp,
+}) => {
+  try {
+    const { id, merged } = await enqueueJob(
+      JOB_TYPES.RECALCULATE_LEDGER,
+      {
+        accountId,
+        currency,
+        fromTimestamp: new Date(fromTimestamp).toISOString(),
+      },
+      {
+        dedupeKey: `recalculate:${accountId}:${currency}`,
+        mergeField: "fromTimestamp",
+        userId,
+      }
+    );
+
+    console.log(
+      merged
+        ? `📥 Merged recalculation of account ${accountId} (${currency}) into job ${id}`
+        : `📥 Queued recalculation of account ${accountId} (${currency}) as job ${id}`
+    );
+
+    return id;
+  } catch (error) {
+    console.warn(
+      "Job queue unavailable, recalculating in-process:",
+      error.message
+    );
+
+    setImmediate(async () => {
+      try {
+        await recalculateFromTimestamp(accountId, currency, fromTimestamp);
+      } catch (err) {
+        console.error("Background recalculation failed:", err);
+      }
+    });
+
+    return null;
+  }
+};
+
+// Queues one attempt at a webhook delivery, retried up to the webhook
+// config's maxAttempts. Without Redis a single attempt is made in-process;
+// if that fails the delivery is left FAILED for a replay.
+export const queueWebhookDelivery = async (userId, deliveryId) => {
+  try {
+    const { id } = await enqueueJob(
+      JOB_TYPES.DELIVER_WEBHOOK,
+      { deliveryId },
+      { userId, maxAttempts: webhookConfig.maxAttempts }
+    );
+    return id;
+  } catch (error) {
+    console.warn(
+      "Job queue unavailable, delivering webhook in-process:",
+      error.message
+    );
+
+    setImmediate(async () => {
+      try {
+        await deliverWebhook({ deliveryId });
+      } catch (err) {
+        console.error("Background webhook delivery failed:", err.message);
+      }
+    });
+
+    return null;
+  }
+};
+
+// Queues a bulk insert too large to make the client wait for (see
+// utils/bulk-transactions.js). A retry could write rows again that a failed
+// best-effort attempt already committed, so it gets one attempt. Resolves
+// to the job id, or null when Redis is unreachable and the caller should
+// insert the rows itself.
+export const queueBulkInsert = async (request) => {
+  try {
+    const { id } = await enqueueJob(JOB_TYPES.BULK_INSERT, request, {
+      userId: request.userId,
+      maxAttempts: 1,
+    });
+
+    console.log(
+      `📥 Queued bulk insert of ${request.entries.length} transactions as job ${id}`
+    );
+
+    return id;
+  } catch (error) {
+    console.warn(
+      "Job queue unavailable, inserting bulk transactions in-process:",
+      error.message
+    );
+    return null;
+  }
+};
@@ -0,0 +1,103 @@
+import { queueConfig } from "../config/queue.js";
+import { jobHandlers, schedulePeriodicJobs } from "./jobs.js";
+import {
+  claimJob,
+  completeJob,
+  failJob,
+  extendLease,
+  requeueExpiredJobs,
+  backoffDelay,
+} from "./job-queue.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const runJob = async (job) => {
+  const handler = jobHandlers[job.type];
+
+  // Keep the lease alive while the handler runs
+  const heartbeat = setInterval(() => {
+    extendLease(job.id).catch((err) =>
+      console.warn(`Could not extend lease of job ${job.id}:`, err.message)
+    );
+  }, Math.max(queueConfig.leaseMs / 3, 1000));
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler for job type "${job.type}"`);
+    }
+
+    console.log(
+      `⚙️  Running job ${job.id} (${job.type}), attempt ${job.attempts}/${job.maxAttempts}`
+    );
+    const result = await handler(job.payload, job);
+    await completeJob(job.id, result);
+    console.log(`✅ Job ${job.id} (${job.type}) completed`);
+  } catch (error) {
+    const retryAt =
+      handler && job.attempts < job.maxAttempts
+        ? Date.now() + backoffDelay(job.attempts)
+        : null;
+
+    console.error(`❌ Job ${job.id} (${job.type}) failed:`, error);
+
+    try {
+      const outcome = await failJob(job.id, error.message, retryAt);
+      if (outcome === "queued") {
+        console.log(
+          `🔁 Job ${job.id} retries at ${new Date(retryAt).toISOString()}`
+        );
+      }
+    } catch (err) {
+      // The lease runs out and the job is handed out again
+      console.error(`Could not record failure of job ${job.id}:`, err.message);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+// Starts `concurrency` loops that claim and run jobs until stopped.
+// `stop()` resolves once the jobs in flight have finished.
+export const startWorker = ({ concurrency = queueConfig.concurrency } = {}) => {
+  let stopping = false;
+
+  // The periodic schedules are (re)started from the poll loop until that
+  // works once, so a worker started while Redis was down still runs them
+  let scheduled = false;
+  const ensureScheduled = async () => {
+    if (scheduled) return;
+    await schedulePeriodicJobs();
+    scheduled = true;
+  };
+
+  const loop = async () => {
+    while (!stopping) {
+      let job = null;
+
+      try {
+        await requeueExpiredJobs();
+        await ensureScheduled();
+        job = await claimJob();
+      } catch (error) {
+        console.warn("Job queue unavailable:", error.message);
+      }
+
+      if (job) {
+        await runJob(job);
+      } else {
+        await sleep(queueConfig.pollIntervalMs);
+      }
+    }
+  };
+
+  const loops = Array.from({ length: concurrency }, loop);
+  console.log(`👷 Job worker started (concurrency ${concurrency})`);
+
+  return {
+    stop: async () => {
+      stopping = true;
+      await Promise.all(loops);
+      console.log("👷 Job worker stopped");
+    },
+  };
+};
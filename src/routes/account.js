@@ -0,0 +1,32 @@
+import express from "express";
+import {
+  getAccounts,
+  getAccount,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  getAccountBalance,
+  getAccountBalanceSeries,
+} from "../controller/account-controller.js";
+import { authenticate } from "../middleware/auth.js";
+import { documentRoutes } from "../utils/openapi.js";
+import * as schemas from "../schemas/account.js";
+
+const router = express.Router();
+const routes = documentRoutes(router, "Accounts");
+
+router.use(authenticate);
+
+routes.get("/", schemas.getAccounts, getAccounts);
+routes.get("/:id", schemas.getAccount, getAccount);
+routes.get("/:id/balance", schemas.getAccountBalance, getAccountBalance);
+routes.get(
+  "/:id/balance/series",
+  schemas.getAccountBalanceSeries,
+  getAccountBalanceSeries
+);
+routes.post("/", schemas.createAccount, createAccount);
+routes.put("/:id", schemas.updateAccount, updateAccount);
+routes.delete("/:id", schemas.deleteAccount, deleteAccount);
+
+export default router;
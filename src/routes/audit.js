@@ -0,0 +1,14 @@
+import express from "express";
+import { getAuditLog } from "../controller/audit-controller.js";
+import { authenticate } from "../middleware/auth.js";
+import { documentRoutes } from "../utils/openapi.js";
+import * as schemas from "../schemas/audit.js";
+
+const router = express.Router();
+const routes = documentRoutes(router, "Audit");
+
+router.use(authenticate);
+
+routes.get("/", schemas.getAuditLog, getAuditLog);
+
+export default router;
@@ -0,0 +1,32 @@
+import express from "express";
+import {
+  register,
+  login,
+  getCurrentUser,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+} from "../controller/auth-controller.js";
+import { authenticate } from "../middleware/auth.js";
+import { documentRoutes } from "../utils/openapi.js";
+import * as schemas from "../schemas/auth.js";
+
+const router = express.Router();
+const routes = documentRoutes(router, "Auth");
+
+routes.post("/register", schemas.register, register);
+routes.post("/login", schemas.login, login);
+
+routes.get("/me", schemas.getCurrentUser, authenticate, getCurrentUser);
+
+// Long-lived keys for scripts
+routes.get("/api-keys", schemas.getApiKeys, authenticate, getApiKeys);
+routes.post("/api-keys", schemas.createApiKey, authenticate, createApiKey);
+routes.delete(
+  "/api-keys/:id",
+  schemas.revokeApiKey,
+  authenticate,
+  revokeApiKey
+);
+
+export default router;
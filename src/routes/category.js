@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} from "../controller/category-controller.js";
+import { authenticate } from "../middleware/auth.js";
+import { documentRoutes } from "../utils/openapi.js";
+import * as schemas from "../schemas/category.js";
+
+const router = express.Router();
+const routes = documentRoutes(router, "Categories");
+
+router.use(authenticate);
+
+routes.get("/", schemas.getCategories, getCategories);
+routes.post("/", schemas.createCategory, createCategory);
+routes.put("/:id", schemas.updateCategory, updateCategory);
+routes.delete("/:id", schemas.deleteCategory, deleteCategory);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from "express";
+import swaggerUi from "swagger-ui-express";
+import { buildOpenApiDocument } from "../utils/openapi.js";
+
+// Serves the OpenAPI document for the routers in `mounts` and a Swagger UI
+// to try them out. Both are public.
+export const docsRouter = (mounts) => {
+  const document = buildOpenApiDocument(mounts);
+  const router = express.Router();
+
+  router.get("/openapi.json", (req, res) => res.json(document));
+  router.use("/", swaggerUi.serve, swaggerUi.setup(document));
+
+  return router;
+};
@@ -0,0 +1,28 @@
+import express from "express";
+import {
+  getExchangeRates,
+  saveExchangeRates,
+  importExchangeRates,
+  deleteExchangeRate,
+} from "../controller/exchange-rate-controller.js";
+import { authenticate } from "../middleware/auth.js";
+import { uploadFile } from "../middleware/upload.js";
+import { documentRoutes } from "../utils/openapi.js";
+import * as schemas from "../schemas/exchange-rate.js";
+
+const router = express.Router();
+const routes = documentRoutes(router, "Exchange rates");
+
+router.use(authenticate);
+
+routes.get("/", schemas.getExchangeRates, getExchangeRates);
+routes.post("/", schemas.saveExchangeRates, saveExchangeRates);
+routes.post(
+  "/import",
+  schemas.importExchangeRates,
+  uploadFile,
+  importExchangeRates
+);
+routes.delete("/:id", schemas.deleteExchangeRate, deleteExchangeRate);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from "express";
+import { streamFeed } from "../controller/feed-controller.js";
+import { authenticate } from "../middleware/auth.js";
+import { documentRoutes } from "../utils/openapi.js";
+import * as schemas from "../schemas/feed.js";
+
+const router = express.Router();
+const routes = documentRoutes(router, "Feed");
+
+router.use(authenticate);
+
+routes.get("/", schemas.streamFeed, streamFeed);
+
+export default router;
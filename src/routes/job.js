@@ -0,0 +1,15 @@
+import express from "express";
+import { getJobs, getJobById } from "../controller/job-controller.js";
+import { authenticate } from "../middleware/auth.js";
+import { documentRoutes } from "../utils/openapi.js";
+import * as schemas from "../schemas/job.js";
+
+const router = express.Router();
+const routes = documentRoutes(router, "Jobs");
+
+router.use(authenticate);
+
+routes.get("/", schemas.getJobs, getJobs);
+routes.get("/:id", schemas.getJobById, getJobById);
+
+export default router;
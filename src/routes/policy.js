@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  getPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+} from "../controller/policy-controller.js";
+import { authenticate } from "../middleware/auth.js";
+import { documentRoutes } from "../utils/openapi.js";
+import * as schemas from "../schemas/policy.js";
+
+const router = express.Router();
+const routes = documentRoutes(router, "Policies");
+
+router.use(authenticate);
+
+routes.get("/", schemas.getPolicies, getPolicies);
+routes.post("/", schemas.createPolicy, createPolicy);
+routes.put("/:id", schemas.updatePolicy, updatePolicy);
+routes.delete("/:id", schemas.deletePolicy, deletePolicy);
+
+export default router;
@@ -0,0 +1,60 @@
+import express from "express";
+import {
+  getRecurringTransactions,
+  getRecurringTransaction,
+  createRecurringTransaction,
+  updateRecurringTransaction,
+  deleteRecurringTransaction,
+  previewRecurringTransaction,
+  pauseRecurringTransaction,
+  resumeRecurringTransaction,
+  skipRecurringOccurrence,
+} from "../controller/recurring-controller.js";
+import { authenticate } from "../middleware/auth.js";
+import { documentRoutes } from "../utils/openapi.js";
+import * as schemas from "../schemas/recurring.js";
+
+const router = express.Router();
+const routes = documentRoutes(router, "Recurring transactions");
+
+router.use(authenticate);
+
+routes.get("/", schemas.getRecurringTransactions, getRecurringTransactions);
+routes.post(
+  "/",
+  schemas.createRecurringTransaction,
+  createRecurringTransaction
+);
+routes.get("/:id", schemas.getRecurringTransaction, getRecurringTransaction);
+routes.put(
+  "/:id",
+  schemas.updateRecurringTransaction,
+  updateRecurringTransaction
+);
+routes.delete(
+  "/:id",
+  schemas.deleteRecurringTransaction,
+  deleteRecurringTransaction
+);
+routes.get(
+  "/:id/preview",
+  schemas.previewRecurringTransaction,
+  previewRecurringTransaction
+);
+routes.post(
+  "/:id/pause",
+  schemas.pauseRecurringTransaction,
+  pauseRecurringTransaction
+);
+routes.post(
+  "/:id/resume",
+  schemas.resumeRecurringTransaction,
+  resumeRecurringTransaction
+);
+routes.post(
+  "/:id/skip",
+  schemas.skipRecurringOccurrence,
+  skipRecurringOccurrence
+);
+
+export default router;
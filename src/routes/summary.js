@@ -3,12 +3,22 @@ import {
   getSummary,
   getSummaryStats,
 } from "../controller/summary-controller.js";
+import { exportSummaries } from "../controller/export-controller.js";
+import { authenticate } from "../middleware/auth.js";
+import { documentRoutes } from "../utils/openapi.js";
+import * as schemas from "../schemas/summary.js";
 
 const router = express.Router();
+const routes = documentRoutes(router, "Summaries");
 
-router.get("/", getSummary);
+router.use(authenticate);
+
+routes.get("/", schemas.getSummary, getSummary);
 
 // Get summary statistics
-router.get("/stats", getSummaryStats);
+routes.get("/stats", schemas.getSummaryStats, getSummaryStats);
+
+// Stream daily summaries as CSV, NDJSON or XLSX
+routes.get("/export", schemas.exportSummaries, exportSummaries);
 
 export default router;
@@ -5,21 +5,53 @@ import {
   getAllTransactions,
   updateTransaction,
   deleteTransaction,
+  getTrash,
+  restoreTransaction,
   getTransactionStats,
   healthCheck,
 } from "../controller/transaction-controller.js";
+import { importTransactions } from "../controller/import-controller.js";
+import { exportTransactions } from "../controller/export-controller.js";
+import { getTransactionHistory } from "../controller/audit-controller.js";
+import { authenticate } from "../middleware/auth.js";
+import { uploadFile } from "../middleware/upload.js";
+import { idempotent } from "../middleware/idempotency.js";
+import { documentRoutes } from "../utils/openapi.js";
+import * as schemas from "../schemas/transaction.js";
 
 const router = express.Router();
+const routes = documentRoutes(router, "Transactions");
 
 // Health check
-router.get("/health", healthCheck);
+routes.get("/health", schemas.healthCheck, healthCheck);
 
-router.get("/stats", getTransactionStats);
+router.use(authenticate);
 
-router.post("/", createTransaction);
-router.post("/bulk", createBulkTransactions);
-router.get("/", getAllTransactions);
-router.put("/:id", updateTransaction);
-router.delete("/:id", deleteTransaction);
+routes.get("/stats", schemas.getTransactionStats, getTransactionStats);
+routes.get("/export", schemas.exportTransactions, exportTransactions);
+routes.get("/trash", schemas.getTrash, getTrash);
+
+routes.post("/", schemas.createTransaction, idempotent, createTransaction);
+routes.post(
+  "/bulk",
+  schemas.createBulkTransactions,
+  idempotent,
+  createBulkTransactions
+);
+routes.post(
+  "/import",
+  schemas.importTransactions,
+  uploadFile,
+  importTransactions
+);
+routes.get("/", schemas.getAllTransactions, getAllTransactions);
+routes.get(
+  "/:id/history",
+  schemas.getTransactionHistory,
+  getTransactionHistory
+);
+routes.put("/:id", schemas.updateTransaction, updateTransaction);
+routes.delete("/:id", schemas.deleteTransaction, deleteTransaction);
+routes.post("/:id/restore", schemas.restoreTransaction, restoreTransaction);
 
 export default router;
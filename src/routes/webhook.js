@@ -0,0 +1,48 @@
+import express from "express";
+import {
+  getWebhookEndpoints,
+  getWebhookEndpoint,
+  createWebhookEndpoint,
+  updateWebhookEndpoint,
+  deleteWebhookEndpoint,
+  rotateWebhookSecret,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery,
+} from "../controller/webhook-controller.js";
+import { authenticate } from "../middleware/auth.js";
+import { documentRoutes } from "../utils/openapi.js";
+import * as schemas from "../schemas/webhook.js";
+
+const router = express.Router();
+const routes = documentRoutes(router, "Webhooks");
+
+router.use(authenticate);
+
+routes.get("/", schemas.getWebhookEndpoints, getWebhookEndpoints);
+routes.post("/", schemas.createWebhookEndpoint, createWebhookEndpoint);
+routes.get(
+  "/deliveries/:deliveryId",
+  schemas.getWebhookDelivery,
+  getWebhookDelivery
+);
+routes.post(
+  "/deliveries/:deliveryId/replay",
+  schemas.replayWebhookDelivery,
+  replayWebhookDelivery
+);
+routes.get("/:id", schemas.getWebhookEndpoint, getWebhookEndpoint);
+routes.put("/:id", schemas.updateWebhookEndpoint, updateWebhookEndpoint);
+routes.delete("/:id", schemas.deleteWebhookEndpoint, deleteWebhookEndpoint);
+routes.post(
+  "/:id/rotate-secret",
+  schemas.rotateWebhookSecret,
+  rotateWebhookSecret
+);
+routes.get(
+  "/:id/deliveries",
+  schemas.getWebhookDeliveries,
+  getWebhookDeliveries
+);
+
+export default router;
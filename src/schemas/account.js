@@ -0,0 +1,81 @@
+import { z } from "zod";
+import { idParams, currency, timestamp, timezone, choice } from "./common.js";
+import { SERIES_INTERVALS } from "../utils/balances.js";
+import { DEFAULT_CURRENCY } from "../config/currency.js";
+import { REPORTING_TIMEZONE } from "../config/timezone.js";
+
+const MAX_SERIES_POINTS = 2000;
+
+const name = z.string().trim().min(1, "cannot be empty");
+
+export const getAccounts = {
+  summary: "List accounts with their balances",
+};
+
+export const getAccount = {
+  summary: "One account with its balances",
+  params: idParams,
+};
+
+export const getAccountBalance = {
+  summary: "Balance of one currency at a point in time",
+  description: "Counts transactions at or before `at`, which defaults to now.",
+  params: idParams,
+  query: z.object({
+    at: timestamp.optional(),
+    currency: currency.default(DEFAULT_CURRENCY),
+  }),
+};
+
+export const getAccountBalanceSeries = {
+  summary: "Balances sampled every hour or day, for charting",
+  description:
+    "Days start at midnight in tz. `to` defaults to now. At most 2000 points per series.",
+  params: idParams,
+  query: z
+    .object({
+      from: timestamp,
+      to: timestamp.optional(),
+      interval: choice(SERIES_INTERVALS, false).default("day"),
+      currency: currency.default(DEFAULT_CURRENCY),
+      tz: timezone.default(REPORTING_TIMEZONE),
+    })
+    .transform((query) => ({ ...query, to: query.to ?? new Date() }))
+    .refine((query) => query.from <= query.to, {
+      message: "must be before to",
+      path: ["from"],
+    })
+    // Days are never shorter than 23 hours
+    .refine(
+      ({ from, to, interval }) =>
+        (to - from) / (60 * 60 * 1000) / (interval === "hour" ? 1 : 23) <=
+        MAX_SERIES_POINTS,
+      {
+        message: `spans more than ${MAX_SERIES_POINTS} points; narrow the range or use a longer interval`,
+        path: ["from"],
+      }
+    ),
+};
+
+export const createAccount = {
+  summary: "Create an account",
+  body: z.object({
+    name,
+    description: z.string().nullable().optional(),
+  }),
+  status: 201,
+};
+
+export const updateAccount = {
+  summary: "Rename or describe an account",
+  params: idParams,
+  body: z.object({
+    name: name.optional(),
+    description: z.string().nullable().optional(),
+  }),
+};
+
+export const deleteAccount = {
+  summary: "Delete an account without transactions",
+  params: idParams,
+};
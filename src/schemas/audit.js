@@ -0,0 +1,15 @@
+import { z } from "zod";
+import { id, timestamp, choice, orderedRange, pageQuery } from "./common.js";
+
+const AUDIT_ACTIONS = ["CREATE", "UPDATE", "DELETE", "RESTORE", "PURGE"];
+
+export const getAuditLog = {
+  summary: "The user's changes across all transactions, newest first",
+  description: "from is inclusive, to exclusive.",
+  query: orderedRange(timestamp).safeExtend({
+    action: choice(AUDIT_ACTIONS).optional(),
+    accountId: id.optional(),
+    transactionId: id.optional(),
+    ...pageQuery,
+  }),
+};
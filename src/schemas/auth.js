@@ -0,0 +1,55 @@
+import { z } from "zod";
+import { idParams } from "./common.js";
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const email = z
+  .string()
+  .trim()
+  .toLowerCase()
+  .regex(/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "must be an email address");
+
+export const register = {
+  summary: "Create a user and get a token",
+  body: z.object({
+    email,
+    password: z
+      .string()
+      .min(
+        MIN_PASSWORD_LENGTH,
+        `must be at least ${MIN_PASSWORD_LENGTH} characters`
+      ),
+    name: z.string().nullable().optional(),
+  }),
+  status: 201,
+  public: true,
+};
+
+export const login = {
+  summary: "Exchange email and password for a token",
+  body: z.object({
+    email: z.string().trim().toLowerCase().min(1, "is required"),
+    password: z.string().min(1, "is required"),
+  }),
+  public: true,
+};
+
+export const getCurrentUser = {
+  summary: "The user the credentials belong to",
+};
+
+export const getApiKeys = {
+  summary: "List API keys",
+};
+
+export const createApiKey = {
+  summary: "Create an API key",
+  description: "The key itself is only returned here.",
+  body: z.object({ name: z.string().trim().min(1, "cannot be empty") }),
+  status: 201,
+};
+
+export const revokeApiKey = {
+  summary: "Revoke an API key",
+  params: idParams,
+};
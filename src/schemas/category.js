@@ -0,0 +1,34 @@
+import { z } from "zod";
+import { idParams } from "./common.js";
+
+const MAX_NAME_LENGTH = 100;
+
+const name = z
+  .string()
+  .trim()
+  .min(1, "cannot be empty")
+  .max(MAX_NAME_LENGTH, `must be at most ${MAX_NAME_LENGTH} characters`);
+
+const color = z.string().nullable().optional();
+
+export const getCategories = {
+  summary: "List categories with their transaction counts",
+};
+
+export const createCategory = {
+  summary: "Create a category",
+  body: z.object({ name, color }),
+  status: 201,
+};
+
+export const updateCategory = {
+  summary: "Rename or recolor a category",
+  params: idParams,
+  body: z.object({ name: name.optional(), color }),
+};
+
+export const deleteCategory = {
+  summary: "Delete a category",
+  description: "Its transactions become uncategorized.",
+  params: idParams,
+};
@@ -0,0 +1,165 @@
+import { z } from "zod";
+import { toDecimal } from "../utils/money.js";
+import { parseTimezone } from "../utils/timezone.js";
+import { parseDay } from "../utils/recurrence.js";
+
+// Building blocks for the request schemas. Inputs are read the way the API
+// always has: ids and numbers may come as strings, timestamps as anything
+// Date parses, amounts as strings or numbers (kept as Decimals).
+
+export const INVALID_CURRENCY = "must be a three-letter ISO 4217 code";
+
+// Missing fields read "is required" rather than naming the type expected,
+// and choices list the values allowed
+z.config({
+  customError: (issue) => {
+    if (
+      issue.input === undefined &&
+      (issue.code === "invalid_type" || issue.code === "invalid_union")
+    ) {
+      return "is required";
+    }
+    if (issue.code === "invalid_value") {
+      return `must be one of: ${issue.values.join(", ")}`;
+    }
+    return undefined;
+  },
+});
+
+// Fails with `text` wherever zod would use its own message
+const message = (text) => ({
+  error: (issue) => (issue.input === undefined ? "is required" : text),
+});
+
+const INVALID_ID = "must be a positive integer ID";
+
+export const id = z
+  .union([z.number(), z.string()], message(INVALID_ID))
+  .pipe(
+    z.coerce
+      .number(message(INVALID_ID))
+      .int(message(INVALID_ID))
+      .positive(message(INVALID_ID))
+  );
+
+export const idParams = z.object({ id });
+
+export const currency = z
+  .string()
+  .trim()
+  .regex(/^[A-Za-z]{3}$/, INVALID_CURRENCY)
+  .toUpperCase();
+
+export const timestamp = z
+  .union([z.string(), z.number()], message("must be a valid timestamp"))
+  .pipe(z.coerce.date(message("must be a valid timestamp")))
+  .describe("ISO 8601 timestamp");
+
+export const pastTimestamp = timestamp.refine(
+  (date) => date <= new Date(),
+  "cannot be in the future"
+);
+
+// YYYY-MM-DD, as a Date at UTC midnight
+export const day = z
+  .string()
+  .transform((value, ctx) => {
+    const date = parseDay(value);
+    if (!date) {
+      ctx.addIssue({ code: "custom", message: "must be a YYYY-MM-DD date" });
+      return z.NEVER;
+    }
+    return date;
+  })
+  .describe("YYYY-MM-DD");
+
+export const timezone = z
+  .string()
+  .transform((value, ctx) => {
+    const parsed = parseTimezone(value);
+    if (!parsed) {
+      ctx.addIssue({
+        code: "custom",
+        message: "must be an IANA timezone, e.g. Asia/Karachi",
+      });
+      return z.NEVER;
+    }
+    return parsed;
+  })
+  .describe("IANA timezone, e.g. Asia/Karachi");
+
+export const time = z
+  .string()
+  .regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'must be "HH:MM"');
+
+// Decimal amounts; currency rounding is left to the caller, which knows
+// the currency
+const decimal = (check, text) =>
+  z
+    .union([z.string(), z.number()], message(text))
+    .transform((value, ctx) => {
+      const parsed = toDecimal(value);
+      if (!parsed || !check(parsed)) {
+        ctx.addIssue({ code: "custom", message: text });
+        return z.NEVER;
+      }
+      return parsed;
+    })
+    .describe("Decimal number, preferably as a string");
+
+export const decimalAmount = decimal(() => true, "must be a number");
+
+export const positiveAmount = decimal(
+  (amount) => amount.isPositive() && !amount.isZero(),
+  "must be a positive number"
+);
+
+export const nonNegativeAmount = decimal(
+  (amount) => !amount.isNegative(),
+  "must be a non-negative number"
+);
+
+export const transactionType = z.enum(
+  ["IN", "OUT"],
+  message("must be IN or OUT")
+);
+
+// true/false, also as strings for query params and form fields
+export const flag = z.union(
+  [
+    z.boolean(),
+    z.enum(["true", "false"]).transform((value) => value === "true"),
+  ],
+  message("must be true or false")
+);
+
+// Case-insensitive choice, normalized to the case of `values`
+export const choice = (values, upper = true) =>
+  z
+    .string()
+    .transform((value) => (upper ? value.toUpperCase() : value.toLowerCase()))
+    .pipe(z.enum(values, message(`must be one of: ${values.join(", ")}`)))
+    .describe(`One of: ${values.join(", ")} (any case)`);
+
+// ?limit=, capped at `max` rather than refused above it
+export const limit = (fallback = 50, max = 100) =>
+  z.coerce
+    .number(message("must be a positive integer"))
+    .int(message("must be a positive integer"))
+    .positive(message("must be a positive integer"))
+    .default(fallback)
+    .transform((value) => Math.min(value, max));
+
+export const pageQuery = {
+  cursor: id.optional(),
+  limit: limit(),
+};
+
+// from/to filters; `to` may not come before `from`
+export const orderedRange = (schema) =>
+  z
+    .object({ from: schema.optional(), to: schema.optional() })
+    .refine((range) => !range.from || !range.to || range.from <= range.to, {
+      message: "must not be after to",
+      path: ["from"],
+    });
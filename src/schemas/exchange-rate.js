@@ -0,0 +1,80 @@
+import { z } from "zod";
+import {
+  idParams,
+  currency,
+  timestamp,
+  positiveAmount,
+  orderedRange,
+  pageQuery,
+} from "./common.js";
+
+// One rate as sent to the API or read from a CSV row. The date is cut to
+// its UTC day.
+export const exchangeRate = z
+  .object({
+    baseCurrency: currency,
+    quoteCurrency: currency,
+    date: timestamp.transform(
+      (date) => new Date(date.toISOString().slice(0, 10))
+    ),
+    rate: positiveAmount,
+  })
+  .refine((rate) => rate.baseCurrency !== rate.quoteCurrency, {
+    message: "must differ from baseCurrency",
+    path: ["quoteCurrency"],
+  });
+
+const rateList = z.object({
+  rates: z.array(exchangeRate).min(1, "must list at least one rate"),
+});
+
+const inputJsonSchema = (schema) => {
+  const { $schema, ...rest } = z.toJSONSchema(schema, { io: "input" });
+  return rest;
+};
+
+export const getExchangeRates = {
+  summary: "List exchange rates, newest first",
+  query: orderedRange(timestamp).safeExtend({
+    baseCurrency: currency.optional(),
+    quoteCurrency: currency.optional(),
+    ...pageQuery,
+  }),
+};
+
+// Either form parses to { rates }. The form is picked by whether `rates`
+// is there, so errors point into the body that was sent rather than
+// zod's "Invalid input" for a union.
+export const saveExchangeRates = {
+  summary: "Save one exchange rate or several",
+  description:
+    "Send one rate, or { rates: [...] } for several. A rate already stored for the pair and date is replaced.",
+  body: z
+    .unknown()
+    .transform((body, ctx) => {
+      const list = body?.rates !== undefined;
+      const result = (list ? rateList : exchangeRate).safeParse(body);
+      if (!result.success) {
+        result.error.issues.forEach((issue) => ctx.addIssue(issue));
+        return z.NEVER;
+      }
+      return list ? result.data : { rates: [result.data] };
+    })
+    .meta({
+      anyOf: [inputJsonSchema(exchangeRate), inputJsonSchema(rateList)],
+    }),
+  status: 201,
+};
+
+export const importExchangeRates = {
+  summary: "Import exchange rates from CSV",
+  description:
+    "The CSV needs a header row: date, baseCurrency, quoteCurrency, rate. Valid rows are saved; the report says why the others were rejected.",
+  upload: "file",
+  status: 201,
+};
+
+export const deleteExchangeRate = {
+  summary: "Delete an exchange rate",
+  params: idParams,
+};
@@ -0,0 +1,18 @@
+import { z } from "zod";
+import { id } from "./common.js";
+import { isFeedId } from "../utils/feed.js";
+
+const feedId = z
+  .string()
+  .refine(isFeedId, "must be an id from the feed")
+  .describe("Id of the last event received");
+
+export const streamFeed = {
+  summary: "Ledger events as Server-Sent Events",
+  description:
+    "A client reconnecting with the Last-Event-ID header (or lastEventId) first gets what it missed; when that has been trimmed it gets a `reset` event and should reload its state.",
+  query: z.object({
+    lastEventId: feedId.optional(),
+    accountId: id.optional(),
+  }),
+};
@@ -0,0 +1,12 @@
+import { z } from "zod";
+import { idParams, limit } from "./common.js";
+
+export const getJobs = {
+  summary: "Queue depth and the user's most recent jobs",
+  query: z.object({ limit: limit(20) }),
+};
+
+export const getJobById = {
+  summary: "One background job",
+  params: idParams,
+};
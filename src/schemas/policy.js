@@ -0,0 +1,58 @@
+import { z } from "zod";
+import { id, idParams, currency, choice } from "./common.js";
+import {
+  POLICY_RULES,
+  POLICY_ACTIONS,
+  parsePolicyParams,
+} from "../utils/policies.js";
+
+// Depends on the rule, see parsePolicyParams
+const params = z
+  .record(z.string(), z.unknown())
+  .describe(
+    "OVERDRAFT: { allowance }; MAX_AMOUNT, DAILY_OUT_LIMIT, MONTHLY_OUT_LIMIT: { amount }; MAX_BACKDATE: { days }; TIME_WINDOW: { timezone, windows }"
+  );
+
+export const getPolicies = {
+  summary: "List policies",
+};
+
+export const createPolicy = {
+  summary: "Create a policy",
+  description:
+    "A policy is scoped by optional accountId and currency; each scope holds at most one policy per rule.",
+  body: z
+    .object({
+      rule: choice(POLICY_RULES),
+      action: choice(POLICY_ACTIONS).default("REJECT"),
+      params: params.default({}),
+      enabled: z.boolean().default(true),
+      accountId: id.nullable().default(null),
+      currency: currency.nullable().default(null),
+    })
+    .transform((body, ctx) => {
+      const { params, error } = parsePolicyParams(body.rule, body.params);
+      if (error) {
+        ctx.addIssue({ code: "custom", message: error, path: ["params"] });
+        return z.NEVER;
+      }
+      return { ...body, params };
+    }),
+  status: 201,
+};
+
+export const updatePolicy = {
+  summary: "Change a policy's action, params or enabled flag",
+  description: "The rule and scope are fixed.",
+  params: idParams,
+  body: z.object({
+    action: choice(POLICY_ACTIONS).optional(),
+    params: params.optional(),
+    enabled: z.boolean().optional(),
+  }),
+};
+
+export const deletePolicy = {
+  summary: "Delete a policy",
+  params: idParams,
+};
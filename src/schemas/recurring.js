@@ -0,0 +1,137 @@
+import { z } from "zod";
+import {
+  id,
+  idParams,
+  currency,
+  positiveAmount,
+  transactionType,
+  day,
+  time,
+  timezone,
+  choice,
+  limit,
+} from "./common.js";
+import { transactionDetailFields } from "./transaction.js";
+import { FREQUENCIES, MAX_INTERVAL } from "../utils/recurrence.js";
+import { DEFAULT_CURRENCY } from "../config/currency.js";
+
+const MAX_PREVIEW = 100;
+
+const wholeNumber = (max, text) =>
+  z.coerce
+    .number({ error: text })
+    .int({ error: text })
+    .min(1, { error: text })
+    .max(max, { error: text });
+
+// The fields of utils/recurrence.js, each checked on its own; the ones that
+// depend on each other are settled by resolveSchedule
+const scheduleFields = {
+  frequency: choice(FREQUENCIES),
+  interval: wholeNumber(
+    MAX_INTERVAL,
+    `must be a whole number from 1 to ${MAX_INTERVAL}`
+  ).optional(),
+  weekdays: z
+    .array(wholeNumber(7, "must be an ISO weekday from 1 to 7"))
+    .nullable()
+    .optional()
+    .describe("ISO weekdays, 1 = Monday; WEEKLY only"),
+  monthDay: wholeNumber(31, "must be a day of the month from 1 to 31")
+    .nullable()
+    .optional()
+    .describe("MONTHLY only"),
+  startDate: day,
+  endDate: day.nullable().optional(),
+  count: wholeNumber(Infinity, "must be a positive whole number")
+    .nullable()
+    .optional(),
+  time: time.optional(),
+  timezone: timezone.optional(),
+};
+
+const { externalRef, ...detailFields } = transactionDetailFields;
+
+const templateFields = {
+  accountId: id,
+  type: transactionType,
+  amount: positiveAmount,
+  currency: currency.default(DEFAULT_CURRENCY),
+  ...detailFields,
+  // Strict rather than dropped silently
+  externalRef: z
+    .undefined({ error: "is set on each scheduled transaction" })
+    .optional()
+    .describe("Not accepted: each scheduled transaction gets its own"),
+};
+
+export const getRecurringTransactions = {
+  summary: "List recurring transactions",
+  query: z.object({ accountId: id.optional() }),
+};
+
+export const getRecurringTransaction = {
+  summary: "One recurring transaction",
+  params: idParams,
+};
+
+export const createRecurringTransaction = {
+  summary: "Create a recurring transaction",
+  description:
+    "Takes the fields of a transaction plus a schedule. Occurrences due before now are not created.",
+  body: z.object({ ...templateFields, ...scheduleFields }),
+  status: 201,
+};
+
+export const updateRecurringTransaction = {
+  summary: "Update a recurring transaction",
+  description:
+    "Only the fields given change. Changes apply from the next occurrence on.",
+  params: idParams,
+  body: z
+    .object({ ...templateFields, ...scheduleFields })
+    .partial({
+      accountId: true,
+      type: true,
+      amount: true,
+      frequency: true,
+      startDate: true,
+    })
+    .safeExtend({ currency: currency.optional() }),
+};
+
+export const deleteRecurringTransaction = {
+  summary: "Delete a recurring transaction",
+  description:
+    "Transactions already created stay, without the link to the template.",
+  params: idParams,
+};
+
+export const previewRecurringTransaction = {
+  summary: "The next occurrences, skipped ones included and marked",
+  params: idParams,
+  query: z.object({ limit: limit(10, MAX_PREVIEW) }),
+};
+
+export const pauseRecurringTransaction = {
+  summary: "Pause a recurring transaction",
+  description:
+    "Occurrences that fall due while paused are dropped, not caught up on resume.",
+  params: idParams,
+};
+
+export const resumeRecurringTransaction = {
+  summary: "Resume a paused recurring transaction",
+  params: idParams,
+};
+
+export const skipRecurringOccurrence = {
+  summary: "Skip one upcoming occurrence",
+  description:
+    "Skips `date`, or the next occurrence when no date is given. Send skip: false to take a skipped date back.",
+  params: idParams,
+  body: z.object({
+    date: day.optional(),
+    skip: z.boolean().default(true),
+  }),
+};
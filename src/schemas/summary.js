@@ -0,0 +1,55 @@
+import { z } from "zod";
+import {
+  id,
+  currency,
+  timestamp,
+  timezone,
+  choice,
+  limit,
+  orderedRange,
+} from "./common.js";
+import { EXPORT_FORMATS } from "../utils/export-writer.js";
+import { DEFAULT_CURRENCY } from "../config/currency.js";
+import { REPORTING_TIMEZONE } from "../config/timezone.js";
+
+const GRANULARITIES = ["day", "week", "month", "quarter", "year"];
+
+// Days (YYYY-MM-DD) of the timestamps given, both inclusive
+const dayRange = orderedRange(
+  timestamp.transform((date) => date.toISOString().slice(0, 10))
+);
+
+export const getSummary = {
+  summary: "Daily summaries, or rollups per week, month, quarter or year",
+  description:
+    "Without an accountId, or with a baseCurrency, the rows of every ledger involved are converted into baseCurrency and added up per date. An accountId alone lists the account's rows in their own currencies. tz picks the timezone days are cut in.",
+  query: dayRange.safeExtend({
+    accountId: id.optional(),
+    granularity: choice(GRANULARITIES, false).default("day"),
+    baseCurrency: currency.optional(),
+    tz: timezone.default(REPORTING_TIMEZONE),
+    cursor: z.string().optional().describe("nextCursor of the previous page"),
+    limit: limit(),
+  }),
+};
+
+export const getSummaryStats = {
+  summary: "Statistics over the daily balances",
+  description:
+    "Balances of one account or all of them, converted into baseCurrency, with days in tz.",
+  query: z.object({
+    accountId: id.optional(),
+    baseCurrency: currency.default(DEFAULT_CURRENCY),
+    tz: timezone.default(REPORTING_TIMEZONE),
+  }),
+};
+
+export const exportSummaries = {
+  summary: "Stream daily summaries as CSV, NDJSON or XLSX",
+  description: "baseCurrency only applies to consolidated exports.",
+  query: orderedRange(timestamp).safeExtend({
+    format: z.enum(Object.keys(EXPORT_FORMATS)).default("csv"),
+    accountId: id.optional(),
+    baseCurrency: currency.default(DEFAULT_CURRENCY),
+  }),
+};
@@ -0,0 +1,227 @@
+import { z } from "zod";
+import {
+  id,
+  idParams,
+  currency,
+  timestamp,
+  pastTimestamp,
+  positiveAmount,
+  nonNegativeAmount,
+  transactionType,
+  timezone,
+  flag,
+  choice,
+  orderedRange,
+  pageQuery,
+} from "./common.js";
+import { EXPORT_FORMATS } from "../utils/export-writer.js";
+import { BULK_MODES } from "../utils/bulk-transactions.js";
+import { DEFAULT_CURRENCY } from "../config/currency.js";
+import { REPORTING_TIMEZONE } from "../config/timezone.js";
+
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_COUNTERPARTY_LENGTH = 200;
+const MAX_EXTERNAL_REF_LENGTH = 255;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+// Trimmed; blank means none
+const optionalText = (maxLength) =>
+  z
+    .string()
+    .trim()
+    .max(maxLength, `must be at most ${maxLength} characters`)
+    .transform((value) => value || null)
+    .nullable()
+    .optional();
+
+const tags = z
+  .array(
+    z
+      .string()
+      .trim()
+      .max(MAX_TAG_LENGTH, `must be at most ${MAX_TAG_LENGTH} characters`)
+  )
+  .transform((values) => [...new Set(values.filter(Boolean))])
+  .pipe(z.array(z.string()).max(MAX_TAGS, `at most ${MAX_TAGS} tags`));
+
+// The optional descriptive fields of a transaction. Only the keys present
+// in the input come out, so updates leave the rest alone.
+export const transactionDetailFields = {
+  description: optionalText(MAX_DESCRIPTION_LENGTH),
+  counterparty: optionalText(MAX_COUNTERPARTY_LENGTH),
+  categoryId: id.nullable().optional(),
+  tags: tags.optional(),
+  externalRef: optionalText(MAX_EXTERNAL_REF_LENGTH),
+};
+
+export const transactionDetails = z.object(transactionDetailFields);
+
+// Kept in the audit trail; the X-Audit-Reason header works too
+const reason = z.string().optional();
+
+const transactionFields = {
+  accountId: id,
+  timestamp: pastTimestamp,
+  type: transactionType,
+  amount: positiveAmount,
+  currency: currency.default(DEFAULT_CURRENCY),
+  ...transactionDetailFields,
+};
+
+// Filters shared by the list and the export
+const filterQuery = orderedRange(timestamp)
+  .safeExtend({
+    accountId: id.optional(),
+    type: transactionType.optional(),
+    currency: currency.optional(),
+    minAmount: nonNegativeAmount.optional(),
+    maxAmount: nonNegativeAmount.optional(),
+    categoryId: z.union([z.literal("none"), id]).optional(),
+    tag: z.string().optional(),
+    externalRef: z.string().optional(),
+    invalidOnly: flag.default(false),
+    sortBy: z
+      .enum(["timestamp", "amount", "createdAt", "id"])
+      .default("timestamp"),
+    sortOrder: z.enum(["asc", "desc"]).default("desc"),
+  })
+  .refine(
+    (query) =>
+      !query.minAmount ||
+      !query.maxAmount ||
+      query.minAmount.lte(query.maxAmount),
+    { message: "must not exceed maxAmount", path: ["minAmount"] }
+  );
+
+export const healthCheck = {
+  summary: "Check the database and Redis connections",
+  public: true,
+};
+
+export const getTransactionStats = {
+  summary: "Totals per type, account and category",
+  description:
+    "Amounts are converted into baseCurrency at the rate of each transaction's date in tz.",
+  query: z.object({
+    accountId: id.optional(),
+    baseCurrency: currency.default(DEFAULT_CURRENCY),
+    tz: timezone.default(REPORTING_TIMEZONE),
+  }),
+};
+
+export const exportTransactions = {
+  summary: "Stream transactions as CSV, NDJSON or XLSX",
+  description: "Takes the filters of the transaction list.",
+  query: filterQuery.safeExtend({
+    format: z.enum(Object.keys(EXPORT_FORMATS)).default("csv"),
+  }),
+};
+
+export const getTrash = {
+  summary: "Deleted transactions not purged yet",
+  query: z.object({ accountId: id.optional(), ...pageQuery }),
+};
+
+export const createTransaction = {
+  summary: "Create a transaction",
+  description: "Honours an Idempotency-Key header.",
+  body: z.object({ ...transactionFields, reason }),
+  status: 201,
+};
+
+// A top-level accountId or currency applies to every row that doesn't name
+// its own; rows come out with both filled in
+export const createBulkTransactions = {
+  summary: "Create many transactions at once",
+  description:
+    "A top-level accountId or currency applies to every row that doesn't name its own. Rows are checked against the user's policies in timestamp order. In atomic mode any bad row fails the request and nothing is written; in best_effort mode the valid rows are written and the rest listed in errors by index. Requests over the async threshold are answered 202 with a jobId to follow at /api/jobs/{id}. Honours an Idempotency-Key header.",
+  body: z
+    .object({
+      transactions: z
+        .array(
+          z.object({
+            ...transactionFields,
+            accountId: id.optional(),
+            currency: currency.optional(),
+          })
+        )
+        .min(1, "must list at least one transaction"),
+      accountId: id.optional(),
+      currency: currency.default(DEFAULT_CURRENCY),
+      mode: choice(BULK_MODES, false).default("atomic"),
+      reason,
+    })
+    .transform((body, ctx) => {
+      body.transactions.forEach((txn, index) => {
+        if (txn.accountId === undefined && body.accountId === undefined) {
+          ctx.addIssue({
+            code: "custom",
+            message: "is required",
+            path: ["transactions", index, "accountId"],
+          });
+        }
+      });
+
+      return {
+        ...body,
+        transactions: body.transactions.map((txn) => ({
+          ...txn,
+          accountId: txn.accountId ?? body.accountId,
+          currency: txn.currency ?? body.currency,
+        })),
+      };
+    }),
+  status: 201,
+};
+
+export const importTransactions = {
+  summary: "Import a CSV or OFX bank statement",
+  description:
+    "Rows already in the account are skipped as duplicates, and rows that break a policy are rejected. mapping is a JSON column mapping for CSV files.",
+  upload: "file",
+  body: z.object({
+    accountId: id,
+    format: choice(["csv", "ofx"], false).optional(),
+    mapping: z.string().optional(),
+    currency: currency.optional(),
+    dryRun: flag.default(false),
+    reason,
+  }),
+  status: 201,
+};
+
+export const getAllTransactions = {
+  summary: "List transactions",
+  query: filterQuery.safeExtend(pageQuery),
+};
+
+export const getTransactionHistory = {
+  summary: "Every version of one transaction",
+  params: idParams,
+};
+
+export const updateTransaction = {
+  summary: "Update a transaction",
+  description: "Only the fields given change.",
+  params: idParams,
+  body: z.object({
+    accountId: id.optional(),
+    timestamp: pastTimestamp.optional(),
+    type: transactionType.optional(),
+    amount: positiveAmount.optional(),
+    currency: currency.optional(),
+    ...transactionDetailFields,
+    reason,
+  }),
+};
+
+export const deleteTransaction = {
+  summary: "Move a transaction to the trash",
+  params: idParams,
+};
+
+export const restoreTransaction = {
+  summary: "Take a transaction back out of the trash",
+  params: idParams,
+};
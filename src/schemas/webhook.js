@@ -0,0 +1,132 @@
+import { z } from "zod";
+import {
+  id,
+  idParams,
+  currency,
+  decimalAmount,
+  choice,
+  pageQuery,
+} from "./common.js";
+import { WEBHOOK_EVENTS } from "../utils/webhooks.js";
+import { roundMoney } from "../utils/money.js";
+
+const EVENT_TYPES = Object.values(WEBHOOK_EVENTS);
+const DELIVERY_STATUSES = ["PENDING", "RETRYING", "SUCCEEDED", "FAILED"];
+const MAX_URL_LENGTH = 2048;
+const MAX_DESCRIPTION_LENGTH = 255;
+const MAX_THRESHOLDS = 20;
+
+const url = z
+  .string()
+  .max(MAX_URL_LENGTH, `must be at most ${MAX_URL_LENGTH} characters`)
+  .transform((value, ctx) => {
+    try {
+      const parsed = new URL(value);
+      if (["http:", "https:"].includes(parsed.protocol)) {
+        return parsed.toString();
+      }
+    } catch {
+      // reported below
+    }
+    ctx.addIssue({ code: "custom", message: "must be an http(s) URL" });
+    return z.NEVER;
+  });
+
+const events = z
+  .array(
+    z.enum(EVENT_TYPES, { error: `must be one of: ${EVENT_TYPES.join(", ")}` })
+  )
+  .min(1, "must list at least one event")
+  .transform((values) => [...new Set(values)]);
+
+// Amounts rounded by the currency, kept as strings in the JSON column
+const balanceThresholds = z
+  .array(
+    z
+      .object({
+        currency,
+        amount: decimalAmount,
+        accountId: id.nullable().optional(),
+      })
+      .transform(({ currency, amount, accountId }) => ({
+        currency,
+        amount: roundMoney(amount, currency).toString(),
+        ...(accountId && { accountId }),
+      }))
+  )
+  .max(MAX_THRESHOLDS, `at most ${MAX_THRESHOLDS} thresholds`);
+
+const endpointFields = {
+  url,
+  events,
+  balanceThresholds: balanceThresholds.optional(),
+  description: z
+    .string()
+    .max(
+      MAX_DESCRIPTION_LENGTH,
+      `must be at most ${MAX_DESCRIPTION_LENGTH} characters`
+    )
+    .nullable()
+    .optional(),
+  enabled: z.boolean().optional(),
+};
+
+export const getWebhookEndpoints = {
+  summary: "List webhooks and the event types they can subscribe to",
+};
+
+export const getWebhookEndpoint = {
+  summary: "One webhook",
+  params: idParams,
+};
+
+export const createWebhookEndpoint = {
+  summary: "Create a webhook",
+  description:
+    "url must resolve to public addresses only. The response carries the signing secret, shown only this once.",
+  body: z.object(endpointFields),
+  status: 201,
+};
+
+export const updateWebhookEndpoint = {
+  summary: "Update a webhook",
+  description: "Only the fields given change.",
+  params: idParams,
+  body: z.object(endpointFields).partial({ url: true, events: true }),
+};
+
+export const deleteWebhookEndpoint = {
+  summary: "Delete a webhook and its delivery log",
+  params: idParams,
+};
+
+export const rotateWebhookSecret = {
+  summary: "Replace a webhook's signing secret",
+  description: "Attempts from then on use the new secret.",
+  params: idParams,
+};
+
+export const getWebhookDeliveries = {
+  summary: "A webhook's delivery log, newest first",
+  params: idParams,
+  query: z.object({
+    status: choice(DELIVERY_STATUSES).optional(),
+    event: z.string().optional(),
+    ...pageQuery,
+  }),
+};
+
+const deliveryParams = z.object({ deliveryId: id });
+
+export const getWebhookDelivery = {
+  summary: "One delivery with the payload it sent",
+  params: deliveryParams,
+};
+
+export const replayWebhookDelivery = {
+  summary: "Send a delivery's payload again",
+  description:
+    "Creates a new delivery with the same event id, signed with the current secret.",
+  params: deliveryParams,
+  status: 202,
+};
@@ -0,0 +1,26 @@
+import prisma from "../config/prisma.js";
+
+// Returns the account only if it belongs to the given user
+export const findUserAccount = async (userId, accountId) =>
+  prisma.account.findFirst({
+    where: { id: accountId, userId },
+    select: { id: true, userId: true, name: true },
+  });
+
+export const userOwnsAccounts = async (userId, accountIds) => {
+  const owned = await prisma.account.count({
+    where: { id: { in: accountIds }, userId },
+  });
+
+  return owned === accountIds.length;
+};
+
+// The ids among `accountIds` of accounts the user owns, as a Set
+export const findOwnedAccountIds = async (userId, accountIds) => {
+  const owned = await prisma.account.findMany({
+    where: { id: { in: accountIds }, userId },
+    select: { id: true },
+  });
+
+  return new Set(owned.map(({ id }) => id));
+};
@@ -0,0 +1,85 @@
+// Transaction audit trail. Every write to a transaction records a
+// TransactionVersion through the same `tx` client, so the change and its
+// history commit or roll back together.
+
+const MAX_REASON_LENGTH = 500;
+
+// Who is making the change, and why. The reason comes from the
+// X-Audit-Reason header, or a `reason` field in the body.
+export const auditContext = (req) => {
+  const reason = req.get("X-Audit-Reason") ?? req.body?.reason;
+
+  return {
+    actorId: req.user?.id ?? null,
+    apiKeyId: req.user?.apiKeyId ?? null,
+    requestId: req.id ?? null,
+    reason:
+      typeof reason === "string" && reason.trim()
+        ? reason.trim().slice(0, MAX_REASON_LENGTH)
+        : null,
+  };
+};
+
+// The audited fields of a transaction, JSON-safe (amounts as strings)
+export const snapshotTransaction = (txn) => ({
+  accountId: txn.accountId,
+  timestamp: txn.timestamp.toISOString(),
+  type: txn.type,
+  amount: txn.amount.toString(),
+  currency: txn.currency,
+  description: txn.description ?? null,
+  counterparty: txn.counterparty ?? null,
+  categoryId: txn.categoryId ?? null,
+  tags: txn.tags ?? [],
+  externalRef: txn.externalRef ?? null,
+});
+
+// Records changes to existing transactions, each as the next version of
+// its transaction. Callers lock the rows first (lockTransaction) so
+// concurrent changes get distinct versions.
+export const recordVersions = async (tx, changes, context) => {
+  const latest = await tx.transactionVersion.groupBy({
+    by: ["transactionId"],
+    where: {
+      transactionId: { in: changes.map((change) => change.transactionId) },
+    },
+    _max: { version: true },
+  });
+  const versions = new Map(
+    latest.map((row) => [row.transactionId, row._max.version])
+  );
+
+  return tx.transactionVersion.createMany({
+    data: changes.map(({ userId, transactionId, action, before, after }) => ({
+      transactionId,
+      version: (versions.get(transactionId) ?? 0) + 1,
+      action,
+      userId,
+      accountId: (after ?? before).accountId,
+      ...(before && { before: snapshotTransaction(before) }),
+      ...(after && { after: snapshotTransaction(after) }),
+      ...context,
+    })),
+  });
+};
+
+export const recordVersion = (tx, change, context) =>
+  recordVersions(tx, [change], context);
+
+// Version 1 of each newly created transaction
+export const recordCreates = (tx, userId, transactions, context) =>
+  tx.transactionVersion.createMany({
+    data: transactions.map((txn) => ({
+      transactionId: txn.id,
+      version: 1,
+      action: "CREATE",
+      userId,
+      accountId: txn.accountId,
+      after: snapshotTransaction(txn),
+      ...context,
+    })),
+  });
+
+// Row lock held until the surrounding database transaction ends
+export const lockTransaction = (tx, transactionId) =>
+  tx.$queryRaw`SELECT id FROM "Transaction" WHERE id = ${transactionId} FOR UPDATE`;
@@ -0,0 +1,121 @@
+import prisma from "../config/prisma.js";
+import { getCachedBalance, setCachedBalance } from "./cache.js";
+import { ZERO, toDecimal } from "./money.js";
+import { localDate, zonedTime } from "./timezone.js";
+import { balanceAt } from "./checkpoints.js";
+
+// Point-in-time balances of one ledger (account and currency). A balance
+// "at" a time includes every transaction at or before it.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const SERIES_INTERVALS = ["hour", "day"];
+
+// The balance of one currency in an account at `timestamp`, cached for
+// 5 minutes (invalidateBalanceCache drops it when the ledger changes)
+export const getBalanceAtTimestamp = async (
+  userId,
+  accountId,
+  currency,
+  timestamp
+) => {
+  const cached = await getCachedBalance(userId, accountId, currency, timestamp);
+  if (cached !== null) {
+    return toDecimal(cached);
+  }
+
+  const balance =
+    toDecimal(await balanceAt(accountId, currency, timestamp)) ?? ZERO;
+
+  await setCachedBalance(
+    userId,
+    accountId,
+    currency,
+    timestamp,
+    balance.toString()
+  );
+
+  return balance;
+};
+
+// Balances of one ledger at each of `timestamps` in a single query, keyed
+// by ISO timestamp. Each transaction is summed into the first point at or
+// after it, and a running total over the points, from the last balance
+// checkpoint before the first one, turns those into balances; the ledger
+// is scanned once however many points there are.
+export const getBalancesAtTimestamps = async (
+  accountId,
+  currency,
+  timestamps
+) => {
+  const points = [...new Set(timestamps.map((t) => t.toISOString()))];
+  if (points.length === 0) return new Map();
+
+  const rows = await prisma.$queryRaw`
+    WITH points AS (
+      SELECT
+        at,
+        LAG(at) OVER (ORDER BY at) as previous
+      FROM unnest(${points}::timestamptz[]) as points(at)
+    ),
+    checkpoint AS (
+      SELECT at, balance
+      FROM "BalanceCheckpoint"
+      WHERE "accountId" = ${accountId} AND currency = ${currency}
+        AND at <= (SELECT MIN(at) FROM points)
+      ORDER BY at DESC
+      LIMIT 1
+    ),
+    increments AS (
+      SELECT
+        points.at,
+        COALESCE(SUM(
+          CASE WHEN t.type = 'IN' THEN t.amount ELSE -t.amount END
+        ), 0) as amount
+      FROM points
+      LEFT JOIN "Transaction" t
+        ON t."accountId" = ${accountId} AND t.currency = ${currency}
+        AND t."deletedAt" IS NULL
+        AND t.timestamp <= points.at
+        AND t.timestamp > COALESCE(points.previous, '-infinity')
+        AND t.timestamp >= COALESCE((SELECT at FROM checkpoint), '-infinity')
+      GROUP BY points.at
+    )
+    SELECT
+      at,
+      COALESCE((SELECT balance FROM checkpoint), 0)
+        + SUM(amount) OVER (ORDER BY at) as balance
+    FROM increments
+    ORDER BY at
+  `;
+
+  return new Map(
+    rows.map((row) => [row.at.toISOString(), toDecimal(row.balance) ?? ZERO])
+  );
+};
+
+// Sample times from `from` to `to`, both inclusive: each whole hour, or
+// each midnight in `timezone` (so days around DST changes are 23 or 25
+// hours apart)
+export const seriesTimes = (from, to, interval, timezone) => {
+  const times = [];
+
+  if (interval === "hour") {
+    const first = Math.ceil(from.getTime() / HOUR_MS) * HOUR_MS;
+    for (let t = first; t <= to.getTime(); t += HOUR_MS) {
+      times.push(new Date(t));
+    }
+    return times;
+  }
+
+  let day = localDate(from, timezone);
+  for (;;) {
+    const midnight = zonedTime(day, "00:00", timezone);
+    if (midnight > to) break;
+    if (midnight >= from) times.push(midnight);
+
+    day = new Date(Date.parse(day) + DAY_MS).toISOString().slice(0, 10);
+  }
+  return times;
+};
@@ -0,0 +1,285 @@
+import prisma from "../config/prisma.js";
+import { queueRecalculation } from "../queue/jobs.js";
+import { setJobProgress } from "../queue/job-queue.js";
+import { invalidateBalanceCache } from "./cache.js";
+import { checkTransactionPolicies } from "./policies.js";
+import { recordCreates } from "./audit.js";
+import { invalidateCheckpoints } from "./checkpoints.js";
+import { transactionEventData, WEBHOOK_EVENTS } from "./webhooks.js";
+import { publishTransactionEvents } from "./transaction-events.js";
+import { toDecimal } from "./money.js";
+import { bulkConfig } from "../config/bulk.js";
+
+// Bulk inserts (POST /api/transactions/bulk) come in two modes:
+//
+//   atomic       all rows are written or none: a row that breaks a policy
+//                fails the request
+//   best_effort  rows that break a policy are left out and reported by
+//                index, and the rest are written
+//
+// A row whose externalRef a concurrent write took after the duplicate check
+// fails an atomic request with a 409, and is skipped in best-effort mode.
+//
+// Either way the rows are checked together in timestamp order, each seeing
+// the balance left by the rows dated before it, and written in the same
+// database transaction, which holds their ledgers' locks throughout. Each
+// ledger touched gets one cache invalidation and one rebuild of its
+// summaries and invalid flags, from its earliest new row.
+//
+// Rows travel as `{ index, data }`, `index` pointing into the request's
+// transactions array.
+
+export const BULK_MODES = ["atomic", "best_effort"];
+
+// Rows whose externalRef is already taken in their account (trashed rows
+// included), or by an earlier row of the request. They are skipped, as the
+// rows of a re-sent upload would be, and left out of the balance checks.
+export const findDuplicateEntries = async (entries) => {
+  const withRef = entries.filter(({ data }) => data.externalRef);
+  if (withRef.length === 0) return new Set();
+
+  const taken = await prisma.transaction.findMany({
+    where: {
+      accountId: {
+        in: [...new Set(withRef.map(({ data }) => data.accountId))],
+      },
+      externalRef: {
+        in: [...new Set(withRef.map(({ data }) => data.externalRef))],
+      },
+    },
+    select: { accountId: true, externalRef: true },
+  });
+
+  const seen = new Set(
+    taken.map(({ accountId, externalRef }) => `${accountId}:${externalRef}`)
+  );
+  const duplicates = new Set();
+
+  withRef.forEach(({ index, data }) => {
+    const key = `${data.accountId}:${data.externalRef}`;
+    if (seen.has(key)) {
+      duplicates.add(index);
+    } else {
+      seen.add(key);
+    }
+  });
+
+  return duplicates;
+};
+
+// Rows whose externalRef a concurrent write took in the meantime are skipped
+const insertBatch = async (tx, userId, rows, context) => {
+  const inserted = await tx.transaction.createManyAndReturn({
+    data: rows,
+    skipDuplicates: true,
+  });
+  await recordCreates(tx, userId, inserted, context);
+  await invalidateCheckpoints(tx, inserted);
+  return inserted;
+};
+
+// The entries of a batch that insertBatch skipped
+const skippedEntries = (batch, inserted) => {
+  const refs = new Set(
+    inserted.map(({ accountId, externalRef }) => `${accountId}:${externalRef}`)
+  );
+  return batch.filter(
+    ({ data }) =>
+      data.externalRef && !refs.has(`${data.accountId}:${data.externalRef}`)
+  );
+};
+
+// Checks and writes `entries` for `userId`; `onProgress` hears
+// `{ processed, total }` after each batch. Resolves to `{ created,
+// skipped, violations, duplicates }`, where in atomic mode any violation or
+// duplicate means nothing was created. `duplicates` are the indexes of rows
+// that lost their externalRef to a concurrent write.
+//
+// Such a row rolls the attempt back, as the policy check counted it. Atomic
+// mode then fails; best-effort mode tries again without it, so the other
+// rows are checked against what is actually written.
+const insertEntries = async (
+  userId,
+  entries,
+  { mode, context, onProgress }
+) => {
+  const { batchSize } = bulkConfig;
+  const lost = new Set();
+
+  const attempt = () =>
+    prisma.$transaction(
+      async (tx) => {
+        const remaining = entries.filter(({ index }) => !lost.has(index));
+        const violations = (
+          await checkTransactionPolicies(
+            userId,
+            remaining.map(({ data }) => data),
+            { dropRejected: mode === "best_effort", tx }
+          )
+        ).map((violation) => ({
+          ...violation,
+          index: remaining[violation.index].index,
+        }));
+
+        if (mode === "atomic" && violations.length > 0) {
+          return { created: [], violations };
+        }
+
+        const rejected = new Set(violations.map(({ index }) => index));
+        const rows = remaining
+          .filter(({ index }) => !rejected.has(index))
+          .sort((a, b) => a.data.timestamp - b.data.timestamp);
+        const created = [];
+
+        for (let i = 0; i < rows.length; i += batchSize) {
+          const batch = rows.slice(i, i + batchSize);
+          const inserted = await insertBatch(
+            tx,
+            userId,
+            batch.map(({ data }) => data),
+            context
+          );
+
+          if (inserted.length < batch.length) {
+            skippedEntries(batch, inserted).forEach(({ index }) =>
+              lost.add(index)
+            );
+            throw new Error("Bulk insert lost an externalRef to another write");
+          }
+
+          created.push(...inserted);
+          await onProgress({
+            processed: Math.min(i + batchSize, rows.length),
+            total: rows.length,
+          });
+        }
+
+        return { created, violations };
+      },
+      { timeout: bulkConfig.transactionTimeoutMs }
+    );
+
+  // Each failed attempt loses at least one row, so this ends
+  let result = null;
+  while (!result) {
+    const lostBefore = lost.size;
+    result = await attempt().catch((error) => {
+      if (lost.size === lostBefore) throw error;
+      return null;
+    });
+
+    if (!result && mode === "atomic") {
+      return { created: [], violations: [], duplicates: [...lost] };
+    }
+  }
+
+  const { created, violations } = result;
+  if (mode === "atomic" && violations.length > 0) {
+    return { created: [], violations, duplicates: [] };
+  }
+
+  // The earliest new row of each ledger
+  const ledgers = new Map();
+  created.forEach((txn) => {
+    const key = `${txn.accountId}:${txn.currency}`;
+    const earliest = ledgers.get(key);
+    if (!earliest || txn.timestamp < earliest.timestamp) {
+      ledgers.set(key, txn);
+    }
+  });
+
+  for (const txn of ledgers.values()) {
+    await invalidateBalanceCache(userId, txn.accountId, txn.timestamp);
+    await queueRecalculation({
+      userId,
+      accountId: txn.accountId,
+      currency: txn.currency,
+      fromTimestamp: txn.timestamp,
+    });
+  }
+
+  await publishTransactionEvents(
+    userId,
+    WEBHOOK_EVENTS.TRANSACTION_CREATED,
+    created.map(transactionEventData)
+  );
+
+  return { created, skipped: lost.size, violations, duplicates: [] };
+};
+
+// Inserts the rows of a bulk request that passed the request-level checks
+// and resolves to the response, `{ status, body }`. `errors` are the rows
+// those checks already turned down (best-effort mode), as `{ index, field,
+// message }`; `skipped` counts the duplicates left out.
+export const completeBulkRequest = async (
+  { userId, mode, context, entries, errors = [], skipped = 0 },
+  onProgress = () => {}
+) => {
+  const result = await insertEntries(userId, entries, {
+    mode,
+    context,
+    onProgress,
+  });
+
+  if (result.duplicates.length > 0) {
+    const message =
+      "A transaction with this externalRef already exists in the account";
+    return {
+      status: 409,
+      body: {
+        error: `Transaction ${result.duplicates[0]}: ${message}`,
+        errors: result.duplicates.map((index) => ({
+          index,
+          field: "externalRef",
+          message,
+        })),
+      },
+    };
+  }
+
+  if (mode === "atomic" && result.violations.length > 0) {
+    const [{ index, message }] = result.violations;
+    return {
+      status: 400,
+      body: {
+        error: `Transaction ${index} violates policy: ${message}`,
+        violations: result.violations,
+      },
+    };
+  }
+
+  return {
+    status: 201,
+    body: {
+      message: "Bulk transactions created successfully",
+      mode,
+      count: result.created.length,
+      skipped: skipped + result.skipped,
+      ...(mode === "best_effort" && {
+        errors: [...errors, ...result.violations].sort(
+          (a, b) => a.index - b.index
+        ),
+      }),
+    },
+  };
+};
+
+// Job handler for bulk requests over the async threshold. The payload is
+// the request queueBulkInsert stored, with dates and amounts as JSON
+// strings; the job's result is the response body.
+export const runBulkInsertJob = async (payload, job) => {
+  const entries = payload.entries.map(({ index, data }) => ({
+    index,
+    data: {
+      ...data,
+      timestamp: new Date(data.timestamp),
+      amount: toDecimal(data.amount),
+    },
+  }));
+
+  const { body } = await completeBulkRequest(
+    { ...payload, entries },
+    (progress) => setJobProgress(job.id, progress)
+  );
+  return body;
+};
@@ -0,0 +1,224 @@
+import redis from "../config/redis.js";
+import { cacheConfig } from "../config/cache.js";
+
+// Cache layer over Redis. Every entry sits under the configured prefix and
+// is namespaced by the user it was computed for; nothing here scans the
+// keyspace or flushes the database. Two ways of invalidating:
+//
+//   balances     each account's cached balances are indexed in a sorted set
+//                scored by timestamp, so dropping every balance from a date
+//                on is one script
+//   generations  entries computed from the whole ledger (stats, invalid
+//                counts) carry the user's generation in their key; a write
+//                moves the user to the next one, and the old entries are
+//                never read again and expire
+//
+// While Redis is not connected, entries go to a small map in this process's
+// memory instead, so requests keep getting cached answers rather than
+// waiting on Redis or failing. The map is per process: an invalidation made
+// by one instance can't reach another's, which is why fallback entries live
+// at most `fallbackTtlSeconds`. Invalidations made during an outage don't
+// reach Redis either, so once it's back it can serve entries written before
+// the outage until their own TTL runs out.
+//
+// The scripts delete entries named in the index, so like the job queue the
+// cache needs a single Redis node rather than a cluster.
+
+const BALANCE_TTL_SECONDS = 5 * 60;
+
+// Longer than any entry lives, so a generation that expires and starts
+// over can't bring back entries written under the same number
+const GENERATION_TTL_SECONDS = 24 * 60 * 60;
+
+export const userCacheKey = (userId, key) =>
+  `${cacheConfig.prefix}user:${userId}:${key}`;
+
+const balanceKey = (userId, accountId, currency, timestamp) =>
+  userCacheKey(
+    userId,
+    `balance:${accountId}:${currency}:${timestamp.toISOString()}`
+  );
+
+const balanceIndexKey = (userId, accountId) =>
+  userCacheKey(userId, `balance-index:${accountId}`);
+
+const generationKey = (userId) => userCacheKey(userId, "generation");
+
+// Stores the balance and indexes it by timestamp. Past the per-account
+// limit the entries with the earliest timestamps are evicted, so the index
+// can't grow with every point ever asked for. The index always lives as
+// long as its newest entry.
+const SET_BALANCE = `
+redis.call("SET", KEYS[2], ARGV[2], "EX", ARGV[3])
+redis.call("ZADD", KEYS[1], ARGV[1], KEYS[2])
+redis.call("EXPIRE", KEYS[1], ARGV[3])
+
+local extra = redis.call("ZCARD", KEYS[1]) - tonumber(ARGV[4])
+if extra > 0 then
+  local evicted = redis.call("ZPOPMIN", KEYS[1], extra)
+  for i = 1, #evicted, 2 do
+    redis.call("DEL", evicted[i])
+  end
+end
+`;
+
+// Deletes every indexed balance at or after ARGV[1] (ms)
+const INVALIDATE_BALANCES = `
+local keys = redis.call("ZRANGEBYSCORE", KEYS[1], ARGV[1], "+inf")
+for i = 1, #keys, 500 do
+  redis.call("DEL", unpack(keys, i, math.min(i + 499, #keys)))
+end
+redis.call("ZREMRANGEBYSCORE", KEYS[1], ARGV[1], "+inf")
+return #keys
+`;
+
+// In-process fallback: key -> { value, expiresAt, index, score }. Maps keep
+// insertion order, so the first entry is the one to evict.
+const memory = new Map();
+const memoryGenerations = new Map();
+
+const memoryGet = (key) => {
+  const entry = memory.get(key);
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    memory.delete(key);
+    return null;
+  }
+  return entry.value;
+};
+
+const memorySet = (key, value, ttlSeconds, index = null, score = null) => {
+  const seconds = Math.min(ttlSeconds, cacheConfig.fallbackTtlSeconds);
+
+  memory.delete(key);
+  memory.set(key, {
+    value,
+    expiresAt: Date.now() + seconds * 1000,
+    index,
+    score,
+  });
+
+  if (memory.size > cacheConfig.fallbackMaxEntries) {
+    memory.delete(memory.keys().next().value);
+  }
+};
+
+// The string cached under `key`, or null. A null key is always a miss.
+export const getCached = async (key) => {
+  if (key === null) return null;
+  if (!redis.isReady) return memoryGet(key);
+
+  try {
+    return await redis.get(key);
+  } catch (err) {
+    console.warn("Redis cache miss:", err.message);
+    return null;
+  }
+};
+
+export const setCached = async (key, value, ttlSeconds) => {
+  if (key === null) return;
+  if (!redis.isReady) return memorySet(key, value, ttlSeconds);
+
+  try {
+    await redis.setEx(key, ttlSeconds, value);
+  } catch (err) {
+    console.warn("Redis cache set failed:", err.message);
+  }
+};
+
+// Key for an entry that holds until the user's ledger next changes
+// (bumpCacheGeneration). Null when the generation can't be read, so the
+// entry is neither read nor written.
+export const generationCacheKey = async (userId, key) => {
+  let generation = memoryGenerations.get(userId) ?? 0;
+
+  if (redis.isReady) {
+    try {
+      generation = (await redis.get(generationKey(userId))) ?? 0;
+    } catch (err) {
+      console.warn("Redis cache generation read failed:", err.message);
+      return null;
+    }
+  }
+
+  return userCacheKey(userId, `g${generation}:${key}`);
+};
+
+// Leaves every generation-keyed entry of the user behind
+export const bumpCacheGeneration = async (userId) => {
+  memoryGenerations.set(userId, (memoryGenerations.get(userId) ?? 0) + 1);
+  if (!redis.isReady) return;
+
+  try {
+    const key = generationKey(userId);
+    await redis.multi().incr(key).expire(key, GENERATION_TTL_SECONDS).exec();
+  } catch (err) {
+    console.warn("Cache generation bump failed:", err.message);
+  }
+};
+
+export const getCachedBalance = (userId, accountId, currency, timestamp) =>
+  getCached(balanceKey(userId, accountId, currency, timestamp));
+
+export const setCachedBalance = async (
+  userId,
+  accountId,
+  currency,
+  timestamp,
+  balance
+) => {
+  const key = balanceKey(userId, accountId, currency, timestamp);
+  const index = balanceIndexKey(userId, accountId);
+
+  if (!redis.isReady) {
+    return memorySet(
+      key,
+      balance,
+      BALANCE_TTL_SECONDS,
+      index,
+      timestamp.getTime()
+    );
+  }
+
+  try {
+    await redis.eval(SET_BALANCE, {
+      keys: [index, key],
+      arguments: [
+        String(timestamp.getTime()),
+        balance,
+        String(BALANCE_TTL_SECONDS),
+        String(cacheConfig.maxBalancesPerAccount),
+      ],
+    });
+  } catch (err) {
+    console.warn("Redis cache set failed:", err.message);
+  }
+};
+
+// Drops cached balances of the account, in every currency, from `fromDate`
+// on, and moves the user to a new generation, since their stats and
+// invalid counts may have changed too
+export const invalidateBalanceCache = async (userId, accountId, fromDate) => {
+  const index = balanceIndexKey(userId, accountId);
+  const from = fromDate.getTime();
+
+  memory.forEach((entry, key) => {
+    if (entry.index === index && entry.score >= from) {
+      memory.delete(key);
+    }
+  });
+
+  await bumpCacheGeneration(userId);
+  if (!redis.isReady) return;
+
+  try {
+    await redis.eval(INVALIDATE_BALANCES, {
+      keys: [index],
+      arguments: [String(from)],
+    });
+  } catch (err) {
+    console.warn("Cache invalidation failed:", err.message);
+  }
+};
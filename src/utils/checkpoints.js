@@ -0,0 +1,217 @@
+import prisma from "../config/prisma.js";
+import { Prisma } from "../../generated/prisma/index.js";
+import { checkpointConfig } from "../config/checkpoints.js";
+
+// Balance checkpoints. Time is cut into fixed intervals counted from the
+// epoch, and each interval of a ledger that has transactions gets a
+// checkpoint at its end holding the balance of everything dated before it.
+// A balance at any time is then the latest checkpoint at or before that
+// time plus the transactions since, which are never more than one
+// interval's worth.
+//
+// Every write to a ledger drops the checkpoints after its earliest
+// timestamp in the same database transaction (invalidateCheckpoints), so a
+// lookup never sees a stale one; the recalculation that follows puts them
+// back (rebuildCheckpoints). Both take a per-ledger advisory lock so a
+// rebuild can't write checkpoints from data a concurrent write changes.
+
+const signed = Prisma.sql`CASE WHEN type = 'IN' THEN amount ELSE -amount END`;
+
+// End of the interval `timestamp` falls in
+const intervalEnd = () => {
+  const seconds = checkpointConfig.intervalSeconds;
+  return Prisma.sql`to_timestamp(
+    (floor(extract(epoch FROM timestamp) / ${seconds}::int) + 1) * ${seconds}::int
+  )`;
+};
+
+const lockLedger = (tx, accountId, currency) =>
+  tx.$executeRaw`SELECT pg_advisory_xact_lock(${accountId}::int, hashtext(${currency}))`;
+
+// Takes the advisory lock of every ledger `rows` (with accountId and
+// currency) touch, held until the database transaction `tx` ends. Writes
+// lock before reading what they check, so concurrent writes to a ledger are
+// checked one after another. Ledgers are locked in a fixed order so
+// concurrent writes to several ledgers can't deadlock; taking a lock again
+// in the same transaction is a no-op.
+export const lockLedgers = async (tx, rows) => {
+  const ledgers = new Map();
+  rows.forEach(({ accountId, currency }) =>
+    ledgers.set(`${accountId}:${currency}`, { accountId, currency })
+  );
+
+  const sorted = [...ledgers.values()].sort(
+    (a, b) => a.accountId - b.accountId || a.currency.localeCompare(b.currency)
+  );
+  for (const { accountId, currency } of sorted) {
+    await lockLedger(tx, accountId, currency);
+  }
+};
+
+// Call inside the database transaction that writes `transactions` (rows
+// with accountId, currency and timestamp; for an update, both the old and
+// the new row). Ledgers are locked in a fixed order so concurrent writes to
+// several ledgers can't deadlock.
+export const invalidateCheckpoints = async (tx, transactions) => {
+  const earliest = new Map();
+  transactions.forEach(({ accountId, currency, timestamp }) => {
+    const key = `${accountId}:${currency}`;
+    const current = earliest.get(key);
+    if (!current || timestamp < current.timestamp) {
+      earliest.set(key, { accountId, currency, timestamp });
+    }
+  });
+
+  const ledgers = [...earliest.values()].sort(
+    (a, b) => a.accountId - b.accountId || a.currency.localeCompare(b.currency)
+  );
+  for (const { accountId, currency, timestamp } of ledgers) {
+    await lockLedger(tx, accountId, currency);
+    await tx.balanceCheckpoint.deleteMany({
+      where: { accountId, currency, at: { gt: timestamp } },
+    });
+  }
+};
+
+// Recomputes the ledger's checkpoints after `fromTimestamp`, starting from
+// the last one still standing. Resolves to how many were written.
+export const rebuildCheckpoints = (accountId, currency, fromTimestamp) =>
+  prisma.$transaction(
+    async (tx) => {
+      await lockLedger(tx, accountId, currency);
+      await tx.balanceCheckpoint.deleteMany({
+        where: { accountId, currency, at: { gt: fromTimestamp } },
+      });
+
+      return tx.$executeRaw`
+        WITH seed AS (
+          SELECT at, balance
+          FROM "BalanceCheckpoint"
+          WHERE "accountId" = ${accountId} AND currency = ${currency}
+            AND at <= ${fromTimestamp}
+          ORDER BY at DESC
+          LIMIT 1
+        ),
+        intervals AS (
+          SELECT ${intervalEnd()} as at, SUM(${signed}) as amount
+          FROM "Transaction"
+          WHERE "accountId" = ${accountId} AND currency = ${currency}
+            AND "deletedAt" IS NULL
+            AND timestamp >= COALESCE((SELECT at FROM seed), '-infinity')
+          GROUP BY 1
+        )
+        INSERT INTO "BalanceCheckpoint" (
+          "accountId", currency, at, balance, "updatedAt"
+        )
+        SELECT
+          ${accountId}::int,
+          ${currency},
+          at,
+          COALESCE((SELECT balance FROM seed), 0)
+            + SUM(amount) OVER (ORDER BY at),
+          NOW()
+        FROM intervals
+        ON CONFLICT ("accountId", currency, at) DO UPDATE SET
+          balance = EXCLUDED.balance,
+          "updatedAt" = EXCLUDED."updatedAt"
+      `;
+    },
+    // A first build scans the whole ledger
+    { timeout: 60 * 1000 }
+  );
+
+// Balance of a ledger at `timestamp`: transactions at or before it, or
+// with `before` only those strictly before. `excludeId` leaves one
+// transaction out, as if it weren't in the ledger. `client` is a database
+// transaction to read in, if any.
+export const balanceAt = async (
+  accountId,
+  currency,
+  timestamp,
+  { before = false, excludeId = null, client = prisma } = {}
+) => {
+  const upTo = before
+    ? Prisma.sql`timestamp < ${timestamp}`
+    : Prisma.sql`timestamp <= ${timestamp}`;
+
+  const [{ balance }] = await client.$queryRaw`
+    WITH checkpoint AS (
+      SELECT at, balance
+      FROM "BalanceCheckpoint"
+      WHERE "accountId" = ${accountId} AND currency = ${currency}
+        AND at <= ${timestamp}
+      ORDER BY at DESC
+      LIMIT 1
+    )
+    SELECT
+      COALESCE((SELECT balance FROM checkpoint), 0)
+      + COALESCE((
+        SELECT SUM(${signed})
+        FROM "Transaction"
+        WHERE "accountId" = ${accountId} AND currency = ${currency}
+          AND "deletedAt" IS NULL
+          AND timestamp >= COALESCE((SELECT at FROM checkpoint), '-infinity')
+          AND ${upTo}
+      ), 0)
+      - COALESCE((
+        SELECT ${signed}
+        FROM "Transaction"
+        WHERE id = ${excludeId}::int
+          AND "accountId" = ${accountId} AND currency = ${currency}
+          AND "deletedAt" IS NULL
+          AND ${upTo}
+      ), 0) as balance
+  `;
+
+  return balance;
+};
+
+// Checks every stored checkpoint of the ledger against a sum of its
+// transactions. Resolves to `{ checked, wrong, missing }`: wrong lists the
+// checkpoints whose balance is off, missing counts intervals with
+// transactions but no checkpoint (normal while a recalculation is queued).
+export const verifyCheckpoints = async (accountId, currency) => {
+  const wrong = await prisma.$queryRaw`
+    WITH stored AS (
+      SELECT at, balance, LAG(at) OVER (ORDER BY at) as previous
+      FROM "BalanceCheckpoint"
+      WHERE "accountId" = ${accountId} AND currency = ${currency}
+    ),
+    increments AS (
+      SELECT stored.at, COALESCE(SUM(${signed}), 0) as amount
+      FROM stored
+      LEFT JOIN "Transaction" t
+        ON t."accountId" = ${accountId} AND t.currency = ${currency}
+        AND t."deletedAt" IS NULL
+        AND t.timestamp < stored.at
+        AND (stored.previous IS NULL OR t.timestamp >= stored.previous)
+      GROUP BY stored.at
+    ),
+    expected AS (
+      SELECT at, SUM(amount) OVER (ORDER BY at) as balance
+      FROM increments
+    )
+    SELECT stored.at, stored.balance as stored, expected.balance as expected
+    FROM stored
+    JOIN expected USING (at)
+    WHERE stored.balance <> expected.balance
+    ORDER BY stored.at
+  `;
+
+  const [{ checked, missing }] = await prisma.$queryRaw`
+    SELECT
+      (SELECT COUNT(*) FROM "BalanceCheckpoint"
+       WHERE "accountId" = ${accountId} AND currency = ${currency}) as checked,
+      (SELECT COUNT(DISTINCT ${intervalEnd()})
+       FROM "Transaction"
+       WHERE "accountId" = ${accountId} AND currency = ${currency}
+         AND "deletedAt" IS NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM "BalanceCheckpoint" bc
+           WHERE bc."accountId" = ${accountId} AND bc.currency = ${currency}
+             AND bc.at = ${intervalEnd()}
+         )) as missing
+  `;
+
+  return { checked: Number(checked), wrong, missing: Number(missing) };
+};
@@ -0,0 +1,80 @@
+import { Prisma } from "../../generated/prisma/index.js";
+import { REPORTING_TIMEZONE } from "../config/timezone.js";
+import { localDate } from "./timezone.js";
+
+// Daily rows of every ledger (one account, or all the user's accounts) with
+// days in `timezone`, shaped like DailySummary: "accountId", currency,
+// date, balance, "transactionCount", "inAmount", "outAmount".
+//
+// Stored summaries are only kept for REPORTING_TIMEZONE. For any other
+// timezone the same rows are computed from the transactions, one per day
+// from each ledger's first transaction through today; that scans the whole
+// ledger, so it's slower.
+export const dailyRowsSql = (
+  userId,
+  accountId,
+  timezone = REPORTING_TIMEZONE
+) => {
+  if (timezone === REPORTING_TIMEZONE) {
+    return Prisma.sql`
+      SELECT
+        ds."accountId",
+        ds.currency,
+        ds.date,
+        ds.balance,
+        ds."transactionCount",
+        ds."inAmount",
+        ds."outAmount"
+      FROM "DailySummary" ds
+      JOIN "Account" a ON a.id = ds."accountId"
+      WHERE a."userId" = ${userId}
+        AND (${accountId}::int IS NULL OR ds."accountId" = ${accountId})
+        AND ds.timezone = ${timezone}
+    `;
+  }
+
+  const today = localDate(new Date(), timezone);
+
+  return Prisma.sql`
+    WITH daily AS (
+      SELECT
+        t."accountId",
+        t.currency,
+        (t.timestamp AT TIME ZONE ${timezone})::date as date,
+        COUNT(*) as transaction_count,
+        SUM(CASE WHEN t.type = 'IN' THEN t.amount ELSE 0 END) as in_amount,
+        SUM(CASE WHEN t.type = 'OUT' THEN t.amount ELSE 0 END) as out_amount
+      FROM "Transaction" t
+      JOIN "Account" a ON a.id = t."accountId"
+      WHERE a."userId" = ${userId}
+        AND (${accountId}::int IS NULL OR t."accountId" = ${accountId})
+        AND t."deletedAt" IS NULL
+      GROUP BY 1, 2, 3
+    ),
+    ledgers AS (
+      SELECT "accountId", currency, MIN(date) as first_day
+      FROM daily
+      GROUP BY 1, 2
+    )
+    SELECT
+      l."accountId",
+      l.currency,
+      days.date::date as date,
+      SUM(COALESCE(d.in_amount, 0) - COALESCE(d.out_amount, 0)) OVER (
+        PARTITION BY l."accountId", l.currency ORDER BY days.date
+      ) as balance,
+      COALESCE(d.transaction_count, 0) as "transactionCount",
+      COALESCE(d.in_amount, 0) as "inAmount",
+      COALESCE(d.out_amount, 0) as "outAmount"
+    FROM ledgers l
+    CROSS JOIN LATERAL generate_series(
+      l.first_day::timestamp,
+      ${today}::date::timestamp,
+      interval '1 day'
+    ) as days(date)
+    LEFT JOIN daily d
+      ON d."accountId" = l."accountId"
+      AND d.currency = l.currency
+      AND d.date = days.date::date
+  `;
+};
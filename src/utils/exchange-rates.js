@@ -0,0 +1,77 @@
+import { Prisma } from "../../generated/prisma/index.js";
+import { exchangeRate } from "../schemas/exchange-rate.js";
+import { dailyRowsSql } from "./daily-summaries.js";
+
+// SQL expression for the rate that converts `currencyColumn` into
+// `baseCurrency` on `dateExpression`: the latest rate on or before that
+// date, looked up in either direction of the pair. NULL when no rate is
+// known, so callers can tell missing rates apart from real amounts.
+// `dateExpression` is raw SQL text or a Prisma.sql fragment.
+export const rateToBaseSql = (currencyColumn, dateExpression, baseCurrency) => {
+  const currency = Prisma.raw(currencyColumn);
+  const date =
+    typeof dateExpression === "string"
+      ? Prisma.raw(dateExpression)
+      : dateExpression;
+
+  return Prisma.sql`
+    CASE WHEN ${currency} = ${baseCurrency} THEN 1 ELSE (
+      SELECT rates.rate
+      FROM (
+        SELECT er.date, er.rate
+        FROM "ExchangeRate" er
+        WHERE er."baseCurrency" = ${currency}
+          AND er."quoteCurrency" = ${baseCurrency}
+          AND er.date <= ${date}
+        UNION ALL
+        SELECT er.date, 1 / er.rate
+        FROM "ExchangeRate" er
+        WHERE er."baseCurrency" = ${baseCurrency}
+          AND er."quoteCurrency" = ${currency}
+          AND er.date <= ${date}
+      ) rates
+      ORDER BY rates.date DESC
+      LIMIT 1
+    ) END
+  `;
+};
+
+// Daily rows of every ledger (one account, or all the user's accounts)
+// converted into `baseCurrency` at each day's rate and added up per date.
+// Days are in `timezone`, see dailyRowsSql.
+export const convertedDailyTotalsSql = (
+  userId,
+  accountId,
+  baseCurrency,
+  timezone
+) =>
+  Prisma.sql`
+    SELECT
+      date,
+      SUM(ds.balance * r.rate) as balance,
+      SUM("transactionCount") as transaction_count,
+      SUM("inAmount" * r.rate) as in_amount,
+      SUM("outAmount" * r.rate) as out_amount,
+      COUNT(*) - COUNT(r.rate) as missing_rates
+    FROM (${dailyRowsSql(userId, accountId, timezone)}) ds
+    CROSS JOIN LATERAL (
+      SELECT ${rateToBaseSql("ds.currency", "ds.date", baseCurrency)} as rate
+    ) r
+    GROUP BY date
+  `;
+
+export const missingRatesMessage = (count, baseCurrency) =>
+  `${count} rows have no exchange rate to ${baseCurrency} on or before their ` +
+  "date; load the missing rates through /api/exchange-rates";
+
+// Validates one rate read from a CSV row. Returns `{ rate }` ready for the
+// database or `{ error }`.
+export const parseRateInput = (input) => {
+  const result = exchangeRate.safeParse(input);
+  if (!result.success) {
+    const [issue] = result.error.issues;
+    return { error: `${issue.path.join(".")} ${issue.message}` };
+  }
+
+  return { rate: result.data };
+};
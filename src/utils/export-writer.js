@@ -0,0 +1,100 @@
+import ExcelJS from "exceljs";
+import { isDecimal } from "./money.js";
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson", extension: "ndjson" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+const toCell = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.join(";");
+  return value;
+};
+
+const escapeCsv = (value) => {
+  const text = String(toCell(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Respect backpressure so a slow client doesn't buffer the whole export.
+// A client that goes away never drains, so closing ends the wait too.
+const writeChunk = async (res, chunk) => {
+  if (res.destroyed || res.write(chunk)) return;
+
+  await new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+};
+
+// Streams rows straight into the response in the requested format.
+// `columns` is a list of { key, header } describing each row object.
+export const createExportWriter = (res, { format, columns, filename }) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+
+  res.setHeader("Content-Type", contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename}.${extension}"`
+  );
+
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: res,
+      useStyles: false,
+      useSharedStrings: false,
+    });
+    const sheet = workbook.addWorksheet(filename);
+    sheet.columns = columns.map(({ key, header }) => ({ key, header }));
+
+    return {
+      writeRow: async (row) => {
+        const values = {};
+        columns.forEach(({ key }) => {
+          const value = row[key];
+          // Spreadsheets only know floats; CSV and NDJSON keep exact strings
+          values[key] = Array.isArray(value)
+            ? value.join(";")
+            : isDecimal(value)
+            ? value.toNumber()
+            : value;
+        });
+        sheet.addRow(values).commit();
+      },
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+
+  if (format === "ndjson") {
+    return {
+      writeRow: (row) => writeChunk(res, JSON.stringify(row) + "\n"),
+      end: async () => res.end(),
+    };
+  }
+
+  res.write(columns.map(({ header }) => escapeCsv(header)).join(",") + "\n");
+
+  return {
+    writeRow: (row) =>
+      writeChunk(
+        res,
+        columns.map(({ key }) => escapeCsv(row[key])).join(",") + "\n"
+      ),
+    end: async () => res.end(),
+  };
+};
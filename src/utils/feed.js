@@ -0,0 +1,165 @@
+import redis from "../config/redis.js";
+import { feedConfig } from "../config/feed.js";
+
+// Live feed of a user's ledger events, for GET /api/feed. Each event is
+// appended to the user's capped Redis stream, which gives it its id and
+// lets clients resume after reconnecting, then published on the user's
+// channel so every API instance can push it to its open connections.
+//
+// Event types:
+//   transaction.created / updated / deleted / restored   the transaction
+//   balance.updated          { accountId, currency, balance } after a rebuild
+//   recalculation.completed  { accountId, currency, fromDate, toDate }
+
+export const FEED_EVENTS = {
+  TRANSACTION_CREATED: "transaction.created",
+  TRANSACTION_UPDATED: "transaction.updated",
+  TRANSACTION_DELETED: "transaction.deleted",
+  TRANSACTION_RESTORED: "transaction.restored",
+  BALANCE_UPDATED: "balance.updated",
+  RECALCULATION_COMPLETED: "recalculation.completed",
+};
+
+// The stream and the channel share a name; Redis keeps them apart
+const feedKey = (userId) => `${feedConfig.prefix}${userId}`;
+
+// Stream ids are "<ms>-<seq>"
+const STREAM_ID = /^\d+-\d+$/;
+
+export const isFeedId = (value) =>
+  typeof value === "string" && STREAM_ID.test(value);
+
+export const compareFeedIds = (a, b) => {
+  const [aMs, aSeq] = a.split("-").map(BigInt);
+  const [bMs, bSeq] = b.split("-").map(BigInt);
+  if (aMs !== bMs) return aMs < bMs ? -1 : 1;
+  return aSeq === bSeq ? 0 : aSeq < bSeq ? -1 : 1;
+};
+
+// Appends `events` ({ type, data }) to the user's feed. Like webhooks, this
+// runs after the change has committed and never fails it. While Redis is
+// down the events are dropped, rather than left waiting for it to come back
+// with the request that made them.
+export const publishFeedEvents = async (userId, events) => {
+  if (events.length === 0) return;
+  if (!redis.isReady) {
+    console.warn("Feed unavailable, dropped", events.length, "events");
+    return;
+  }
+
+  try {
+    const key = feedKey(userId);
+
+    const append = redis.multi();
+    events.forEach(({ type, data }) =>
+      append.xAdd(
+        key,
+        "*",
+        { type, data: JSON.stringify(data) },
+        {
+          TRIM: {
+            strategy: "MAXLEN",
+            strategyModifier: "~",
+            threshold: feedConfig.maxLength,
+          },
+        }
+      )
+    );
+    append.expire(key, feedConfig.retentionSeconds);
+    const ids = (await append.exec()).slice(0, events.length);
+
+    // Published once stored, so a client that resumes from the stream
+    // can't miss an event it was sent live
+    const publish = redis.multi();
+    events.forEach(({ type, data }, i) =>
+      publish.publish(key, JSON.stringify({ id: ids[i], type, data }))
+    );
+    await publish.exec();
+  } catch (error) {
+    console.error("Error publishing feed events:", error.message);
+  }
+};
+
+// Events stored after `lastId`, oldest first, as `{ events, gap }`. `gap`
+// is true when events after `lastId` may already have been trimmed away,
+// so the client should reload its state instead.
+export const readFeedSince = async (userId, lastId) => {
+  const key = feedKey(userId);
+  const [oldest] = await redis.xRange(key, "-", "+", { COUNT: 1 });
+  const entries = await redis.xRange(key, `(${lastId}`, "+");
+
+  return {
+    events: entries.map(({ id, message }) => ({
+      id,
+      type: message.type,
+      data: JSON.parse(message.data),
+    })),
+    gap: oldest !== undefined && compareFeedIds(oldest.id, lastId) > 0,
+  };
+};
+
+// Pub/sub needs a connection of its own, shared by every feed in this
+// process. Each user's channel is subscribed while someone listens to it.
+let subscriber = null;
+const channels = new Map();
+
+const getSubscriber = () => {
+  subscriber ??= (async () => {
+    const client = redis.duplicate();
+    client.on("error", (err) => {
+      console.error("❌ Redis feed subscriber error:", err.message);
+    });
+    await client.connect();
+    return client;
+  })().catch((error) => {
+    subscriber = null;
+    throw error;
+  });
+
+  return subscriber;
+};
+
+// Calls `listener` with each event published to the user's feed from now
+// on. Resolves once subscribed, to a function that stops listening.
+export const subscribeFeed = async (userId, listener) => {
+  const client = await getSubscriber();
+  const key = feedKey(userId);
+
+  let channel = channels.get(key);
+  if (!channel) {
+    const listeners = new Set();
+    const onMessage = (message) => {
+      const event = JSON.parse(message);
+      listeners.forEach((notify) => notify(event));
+    };
+    channel = {
+      listeners,
+      onMessage,
+      ready: client.subscribe(key, onMessage).catch((error) => {
+        channels.delete(key);
+        throw error;
+      }),
+    };
+    channels.set(key, channel);
+  }
+
+  channel.listeners.add(listener);
+  await channel.ready;
+
+  return async () => {
+    channel.listeners.delete(listener);
+    if (channel.listeners.size === 0 && channels.get(key) === channel) {
+      channels.delete(key);
+      await client.unsubscribe(key, channel.onMessage);
+    }
+  };
+};
+
+export const closeFeedSubscriber = async () => {
+  if (!subscriber) return;
+
+  const client = await subscriber.catch(() => null);
+  subscriber = null;
+  channels.clear();
+  await client?.close();
+};
@@ -0,0 +1,55 @@
+import { Prisma } from "../../generated/prisma/index.js";
+import { getCurrencyRules, DEFAULT_CURRENCY } from "../config/currency.js";
+
+// All money arithmetic goes through Decimal; never parseFloat an amount.
+// Amounts leave the API as strings so JSON clients can't lose precision.
+const { Decimal } = Prisma;
+
+const ROUNDING_MODES = {
+  HALF_UP: Decimal.ROUND_HALF_UP,
+  HALF_EVEN: Decimal.ROUND_HALF_EVEN,
+  DOWN: Decimal.ROUND_DOWN,
+};
+
+export const ZERO = new Decimal(0);
+
+export const isDecimal = (value) => Decimal.isDecimal(value);
+
+// Anything Decimal can read (numbers go through their shortest string form)
+// or null
+export const toDecimal = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  if (Decimal.isDecimal(value)) return value;
+  if (typeof value !== "string" && typeof value !== "number") return null;
+
+  try {
+    const decimal = new Decimal(
+      typeof value === "number" ? String(value) : value.trim()
+    );
+    return decimal.isFinite() ? decimal : null;
+  } catch {
+    return null;
+  }
+};
+
+// "eur" -> "EUR"; anything that isn't a three-letter code -> null
+export const parseCurrency = (value) => {
+  if (typeof value !== "string") return null;
+  const code = value.trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+};
+
+export const roundMoney = (value, currency = DEFAULT_CURRENCY) => {
+  const { scale, rounding } = getCurrencyRules(currency);
+  return new Decimal(value).toDecimalPlaces(scale, ROUNDING_MODES[rounding]);
+};
+
+// Fixed-scale string for responses, e.g. "1200.50" for USD, "1200" for JPY
+export const formatMoney = (value, currency = DEFAULT_CURRENCY) => {
+  const { scale } = getCurrencyRules(currency);
+  return roundMoney(value ?? ZERO, currency).toFixed(scale);
+};
+
+// Signed effect of a transaction on its balance
+export const signedAmount = ({ type, amount }) =>
+  type === "IN" ? new Decimal(amount) : new Decimal(amount).negated();
@@ -0,0 +1,187 @@
+import { z } from "zod";
+import { validate } from "../middleware/validate.js";
+
+// Routes are declared together with their request schemas, which both
+// validate requests (middleware/validate.js) and describe the operation in
+// the OpenAPI document served at /api/docs. An operation schema is:
+//
+//   summary      one line for the docs
+//   description  more detail (optional)
+//   params, query, body   zod schemas for each part of the request
+//   status       success status (default 200)
+//   upload       multipart field carrying a file, for file uploads
+//   public       true for routes that need no credentials
+
+// Operations declared on each router, relative to where it's mounted
+const registry = new WeakMap();
+
+// Wraps `router` so routes take their schema after the path:
+//
+//   routes.get("/:id", schemas.getAccount, getAccount);
+//
+// Validation runs right before the last handler, after any middleware
+// given (uploads are parsed by then, idempotency keys see the raw body).
+export const documentRoutes = (router, tag) => {
+  const operations = [];
+  registry.set(router, { tag, operations });
+
+  const declare =
+    (method) =>
+    (path, schema, ...handlers) => {
+      operations.push({ method, path, schema });
+      router[method](
+        path,
+        ...handlers.slice(0, -1),
+        validate(schema),
+        handlers[handlers.length - 1]
+      );
+    };
+
+  return {
+    get: declare("get"),
+    post: declare("post"),
+    put: declare("put"),
+    delete: declare("delete"),
+  };
+};
+
+const jsonSchema = (schema) => {
+  const { $schema, ...rest } = z.toJSONSchema(schema, {
+    io: "input",
+    unrepresentable: "any",
+  });
+  return rest;
+};
+
+// "/:id/balance" -> "/{id}/balance"
+const openApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+const parameters = (schema, location) => {
+  if (!schema) return [];
+
+  const { properties = {}, required = [] } = jsonSchema(schema);
+  return Object.entries(properties).map(([name, property]) => ({
+    name,
+    in: location === "params" ? "path" : "query",
+    required: location === "params" || required.includes(name),
+    ...(property.description && { description: property.description }),
+    schema: property,
+  }));
+};
+
+const requestBody = ({ body, upload }) => {
+  if (upload) {
+    const schema = body ? jsonSchema(body) : { type: "object" };
+    return {
+      required: true,
+      content: {
+        "multipart/form-data": {
+          schema: {
+            ...schema,
+            properties: {
+              ...schema.properties,
+              [upload]: { type: "string", format: "binary" },
+            },
+            required: [...(schema.required ?? []), upload],
+          },
+        },
+      },
+    };
+  }
+
+  return (
+    body && {
+      required: true,
+      content: { "application/json": { schema: jsonSchema(body) } },
+    }
+  );
+};
+
+const responses = (schema) => ({
+  [schema.status ?? 200]: { description: "Success" },
+  ...((schema.params || schema.query || schema.body) && {
+    400: {
+      description: "Invalid request",
+      content: {
+        "application/json": {
+          schema: { $ref: "#/components/schemas/ValidationError" },
+        },
+      },
+    },
+  }),
+  ...(!schema.public && { 401: { description: "Missing or bad credentials" } }),
+});
+
+// OpenAPI 3.1 document for the routers in `mounts` ([path, router] pairs)
+export const buildOpenApiDocument = (mounts) => {
+  const paths = {};
+  const tags = [];
+
+  mounts.forEach(([mountPath, router]) => {
+    const entry = registry.get(router);
+    if (!entry) return;
+
+    tags.push({ name: entry.tag });
+    entry.operations.forEach(({ method, path, schema }) => {
+      const fullPath = openApiPath(`${mountPath}${path === "/" ? "" : path}`);
+      const body = requestBody(schema);
+
+      paths[fullPath] ??= {};
+      paths[fullPath][method] = {
+        tags: [entry.tag],
+        summary: schema.summary,
+        ...(schema.description && { description: schema.description }),
+        parameters: [
+          ...parameters(schema.params, "params"),
+          ...parameters(schema.query, "query"),
+        ],
+        ...(body && { requestBody: body }),
+        responses: responses(schema),
+        ...(schema.public && { security: [] }),
+      };
+    });
+  });
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Transaction Tracker API",
+      version: process.env.npm_package_version ?? "1.0.0",
+    },
+    tags,
+    paths,
+    security: [{ bearerAuth: [] }, { apiKey: [] }],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          description: "JWT from /api/auth/login, or an API key",
+        },
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+      },
+      schemas: {
+        ValidationError: {
+          type: "object",
+          properties: {
+            error: { type: "string" },
+            errors: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  in: {
+                    type: "string",
+                    enum: ["params", "query", "body", "header"],
+                  },
+                  path: { type: "string" },
+                  message: { type: "string" },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+};
@@ -0,0 +1,652 @@
+import prisma from "../config/prisma.js";
+import { Prisma } from "../../generated/prisma/index.js";
+import {
+  ZERO,
+  toDecimal,
+  roundMoney,
+  formatMoney,
+  signedAmount,
+} from "./money.js";
+import { parseTimezone, localDate, zonedTime } from "./timezone.js";
+import { balanceAt, lockLedgers } from "./checkpoints.js";
+import { REPORTING_TIMEZONE } from "../config/timezone.js";
+
+// Validation policies for transactions. A policy sets one rule for a user,
+// optionally narrowed to an account and/or currency, and its action:
+// REJECT refuses writes that break it, FLAG accepts them and leaves them to
+// invalid-transaction detection. Detection flags breaches of either kind,
+// e.g. when a backdated withdrawal overdraws later ones.
+//
+// Rules and their params:
+//   OVERDRAFT          { allowance }  how far below zero a balance may go
+//   MAX_AMOUNT         { amount }     largest single transaction
+//   DAILY_OUT_LIMIT    { amount }     withdrawals per day
+//   MONTHLY_OUT_LIMIT  { amount }     withdrawals per calendar month
+//   MAX_BACKDATE       { days }       how long before it is recorded a
+//                                     transaction may be dated
+//   TIME_WINDOW        { timezone?, windows: [{ days, start, end }] }
+//                                     when transactions may be dated; days
+//                                     are ISO weekdays (1 = Monday), start
+//                                     and end are "HH:MM", end exclusive
+//
+// Money params are in the ledger's currency, and days and months are those
+// of REPORTING_TIMEZONE. Without an OVERDRAFT policy, balances may not go
+// below zero.
+
+export const POLICY_RULES = [
+  "OVERDRAFT",
+  "MAX_AMOUNT",
+  "DAILY_OUT_LIMIT",
+  "MONTHLY_OUT_LIMIT",
+  "MAX_BACKDATE",
+  "TIME_WINDOW",
+];
+
+export const POLICY_ACTIONS = ["REJECT", "FLAG"];
+
+const DEFAULT_OVERDRAFT = {
+  id: null,
+  rule: "OVERDRAFT",
+  action: "REJECT",
+  params: { allowance: "0" },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ALL_DAYS = [1, 2, 3, 4, 5, 6, 7];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const parseMoneyParam = (value, name) => {
+  const amount = toDecimal(value);
+  if (amount === null || amount.isNegative()) {
+    return { error: `${name} must be a non-negative amount` };
+  }
+  return { value: amount.toString() };
+};
+
+const parseWindows = (windows) => {
+  if (!Array.isArray(windows) || windows.length === 0) {
+    return { error: "windows must be a non-empty array" };
+  }
+
+  const parsed = [];
+  for (const window of windows) {
+    const { days = ALL_DAYS, start, end } = window ?? {};
+
+    if (
+      !Array.isArray(days) ||
+      days.length === 0 ||
+      !days.every((day) => ALL_DAYS.includes(day))
+    ) {
+      return { error: "Window days must be ISO weekdays from 1 to 7" };
+    }
+
+    if (!TIME_PATTERN.test(start ?? "") || !TIME_PATTERN.test(end ?? "")) {
+      return { error: 'Window start and end must be "HH:MM"' };
+    }
+
+    if (start >= end) {
+      return { error: "Window start must be before its end" };
+    }
+
+    parsed.push({ days: [...new Set(days)].sort(), start, end });
+  }
+
+  return { value: parsed };
+};
+
+// Validates the params for a rule; returns `{ params }` or `{ error }`
+export const parsePolicyParams = (rule, params = {}) => {
+  if (typeof params !== "object" || params === null || Array.isArray(params)) {
+    return { error: "params must be an object" };
+  }
+
+  switch (rule) {
+    case "OVERDRAFT": {
+      const { value, error } = parseMoneyParam(params.allowance, "allowance");
+      return error ? { error } : { params: { allowance: value } };
+    }
+    case "MAX_AMOUNT":
+    case "DAILY_OUT_LIMIT":
+    case "MONTHLY_OUT_LIMIT": {
+      const { value, error } = parseMoneyParam(params.amount, "amount");
+      return error ? { error } : { params: { amount: value } };
+    }
+    case "MAX_BACKDATE": {
+      const days = Number(params.days);
+      if (!Number.isInteger(days) || days < 0) {
+        return { error: "days must be a non-negative whole number" };
+      }
+      return { params: { days } };
+    }
+    case "TIME_WINDOW": {
+      const timezone = parseTimezone(params.timezone ?? REPORTING_TIMEZONE);
+      if (!timezone) {
+        return { error: "timezone must be an IANA time zone" };
+      }
+      const { value, error } = parseWindows(params.windows);
+      return error ? { error } : { params: { timezone, windows: value } };
+    }
+    default:
+      return { error: `rule must be one of: ${POLICY_RULES.join(", ")}` };
+  }
+};
+
+export const loadPolicies = (userId) =>
+  prisma.policy.findMany({ where: { userId, enabled: true } });
+
+const specificity = (policy) =>
+  (policy.accountId !== null ? 2 : 0) + (policy.currency !== null ? 1 : 0);
+
+// The policy in force for each rule on one ledger: the most specific one
+// that applies (account and currency, then account, then currency, then
+// user-wide)
+export const resolvePolicies = (policies, accountId, currency) => {
+  const resolved = new Map();
+
+  policies
+    .filter(
+      (policy) =>
+        (policy.accountId === null || policy.accountId === accountId) &&
+        (policy.currency === null || policy.currency === currency)
+    )
+    .sort((a, b) => specificity(b) - specificity(a))
+    .forEach((policy) => {
+      if (!resolved.has(policy.rule)) {
+        resolved.set(policy.rule, policy);
+      }
+    });
+
+  if (!resolved.has("OVERDRAFT")) {
+    resolved.set("OVERDRAFT", DEFAULT_OVERDRAFT);
+  }
+
+  return resolved;
+};
+
+const moneyParam = (policy, name, currency) =>
+  roundMoney(toDecimal(policy.params[name]) ?? ZERO, currency);
+
+export const overdraftAllowance = (rules, currency) =>
+  moneyParam(rules.get("OVERDRAFT"), "allowance", currency);
+
+const weekdayFormatters = new Map();
+
+// ISO weekday and minutes past midnight of `timestamp` in `timezone`
+const localTime = (timestamp, timezone) => {
+  if (!weekdayFormatters.has(timezone)) {
+    weekdayFormatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        weekday: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+      })
+    );
+  }
+
+  const parts = Object.fromEntries(
+    weekdayFormatters
+      .get(timezone)
+      .formatToParts(timestamp)
+      .map(({ type, value }) => [type, value])
+  );
+  const weekday =
+    ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"].indexOf(parts.weekday) +
+    1;
+
+  return {
+    weekday,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+  };
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const withinWindows = (timestamp, { timezone, windows }) => {
+  const { weekday, minutes } = localTime(timestamp, timezone);
+  return windows.some(
+    ({ days, start, end }) =>
+      days.includes(weekday) &&
+      minutes >= toMinutes(start) &&
+      minutes < toMinutes(end)
+  );
+};
+
+const violation = (entry, policy, message) => ({
+  index: entry.index,
+  rule: policy.rule,
+  policyId: policy.id,
+  message,
+});
+
+// Rules that only look at the row itself
+const checkRow = (rules, entry, now) => {
+  const { row } = entry;
+  const { currency } = row;
+  const applies = (rule) =>
+    rules.has(rule) && !(row.skipRules ?? []).includes(rule);
+  const found = [];
+
+  if (applies("MAX_AMOUNT")) {
+    const policy = rules.get("MAX_AMOUNT");
+    const max = moneyParam(policy, "amount", currency);
+    if (row.amount.gt(max)) {
+      found.push(
+        violation(
+          entry,
+          policy,
+          `Amount ${formatMoney(row.amount, currency)} ${currency} exceeds the maximum of ${formatMoney(max, currency)} ${currency}`
+        )
+      );
+    }
+  }
+
+  if (applies("MAX_BACKDATE")) {
+    const policy = rules.get("MAX_BACKDATE");
+    const { days } = policy.params;
+    if (now - row.timestamp > days * DAY_MS) {
+      found.push(
+        violation(
+          entry,
+          policy,
+          `Dated ${Math.floor(
+            (now - row.timestamp) / DAY_MS
+          )} days back; at most ${days} allowed`
+        )
+      );
+    }
+  }
+
+  if (applies("TIME_WINDOW")) {
+    const policy = rules.get("TIME_WINDOW");
+    if (!withinWindows(row.timestamp, policy.params)) {
+      found.push(
+        violation(
+          entry,
+          policy,
+          `Outside the allowed time windows (${policy.params.timezone})`
+        )
+      );
+    }
+  }
+
+  return found;
+};
+
+// What the existing transactions of a ledger add up to at each of
+// `points`, keyed by ISO timestamp, as `{ net, dayOut, monthOut }`: the sum
+// of their signed amounts from `from` on, and of their withdrawals on the
+// point's day and in its month (of REPORTING_TIMEZONE), up to and
+// including the point. Like getBalancesAtTimestamps, each transaction is
+// summed into the first point at or after it and running totals over the
+// points do the rest, so no transaction leaves the database. `from` must
+// not be after the start of the first point's month.
+const ledgerTotalsAt = async (
+  client,
+  accountId,
+  currency,
+  points,
+  { from, excludeId }
+) => {
+  const timezone = REPORTING_TIMEZONE;
+  const day = (column) =>
+    Prisma.sql`(${Prisma.raw(column)} AT TIME ZONE ${timezone})::date`;
+  const month = (column) =>
+    Prisma.sql`date_trunc('month', ${Prisma.raw(column)} AT TIME ZONE ${timezone})`;
+
+  const rows = await client.$queryRaw`
+    WITH points AS (
+      SELECT
+        at,
+        LAG(at) OVER (ORDER BY at) as previous
+      FROM unnest(${points}::timestamptz[]) as points(at)
+    ),
+    increments AS (
+      SELECT
+        points.at,
+        COALESCE(SUM(
+          CASE WHEN t.type = 'IN' THEN t.amount ELSE -t.amount END
+        ), 0) as net,
+        COALESCE(SUM(t.amount) FILTER (
+          WHERE t.type = 'OUT' AND ${day("t.timestamp")} = ${day("points.at")}
+        ), 0) as day_out,
+        COALESCE(SUM(t.amount) FILTER (
+          WHERE t.type = 'OUT' AND ${month("t.timestamp")} = ${month("points.at")}
+        ), 0) as month_out
+      FROM points
+      LEFT JOIN "Transaction" t
+        ON t."accountId" = ${accountId} AND t.currency = ${currency}
+        AND t."deletedAt" IS NULL
+        AND (${excludeId}::int IS NULL OR t.id <> ${excludeId}::int)
+        AND t.timestamp <= points.at
+        AND t.timestamp > COALESCE(points.previous, '-infinity')
+        AND t.timestamp >= ${from}
+      GROUP BY points.at
+    )
+    SELECT
+      at,
+      SUM(net) OVER (ORDER BY at) as net,
+      SUM(day_out) OVER (PARTITION BY ${day("at")} ORDER BY at) as day_out,
+      SUM(month_out) OVER (PARTITION BY ${month("at")} ORDER BY at)
+        as month_out
+    FROM increments
+  `;
+
+  return new Map(
+    rows.map((row) => [
+      row.at.toISOString(),
+      {
+        net: toDecimal(row.net) ?? ZERO,
+        dayOut: toDecimal(row.day_out) ?? ZERO,
+        monthOut: toDecimal(row.month_out) ?? ZERO,
+      },
+    ])
+  );
+};
+
+// Rules that depend on the rest of the ledger. Each row is checked against
+// the balance and withdrawal totals at its timestamp: those of the existing
+// transactions (at or before it; see ledgerTotalsAt), on top of the balance
+// before the first row's month, plus those of the rows dated before it.
+// With `dropRejected`, a row that breaks a rule doesn't count towards them.
+const checkLedger = async (
+  rules,
+  accountId,
+  currency,
+  entries,
+  { excludeId, dropRejected, client }
+) => {
+  const overdraft = rules.get("OVERDRAFT");
+  const dailyLimit = rules.get("DAILY_OUT_LIMIT");
+  const monthlyLimit = rules.get("MONTHLY_OUT_LIMIT");
+  if (entries.length === 0) return [];
+  if (!overdraft && !dailyLimit && !monthlyLimit) return [];
+
+  const timezone = REPORTING_TIMEZONE;
+  const sorted = [...entries].sort((a, b) => a.row.timestamp - b.row.timestamp);
+  const firstMonth = localDate(sorted[0].row.timestamp, timezone).slice(0, 7);
+
+  const scanStart = zonedTime(`${firstMonth}-01`, "00:00", timezone);
+  const opening =
+    toDecimal(
+      await balanceAt(accountId, currency, scanStart, {
+        before: true,
+        excludeId,
+        client,
+      })
+    ) ?? ZERO;
+  const existing = await ledgerTotalsAt(
+    client,
+    accountId,
+    currency,
+    [...new Set(sorted.map(({ row }) => row.timestamp.toISOString()))],
+    { from: scanStart, excludeId }
+  );
+
+  // What the rows counted so far add
+  let added = ZERO;
+  const addedOutByDay = new Map();
+  const addedOutByMonth = new Map();
+  const dayOf = (timestamp) => localDate(timestamp, timezone);
+  const monthOf = (timestamp) => dayOf(timestamp).slice(0, 7);
+
+  const apply = (row) => {
+    added = added.plus(signedAmount(row));
+    if (row.type === "OUT") {
+      const day = dayOf(row.timestamp);
+      const month = monthOf(row.timestamp);
+      addedOutByDay.set(day, (addedOutByDay.get(day) ?? ZERO).plus(row.amount));
+      addedOutByMonth.set(
+        month,
+        (addedOutByMonth.get(month) ?? ZERO).plus(row.amount)
+      );
+    }
+  };
+
+  const found = [];
+
+  for (const entry of sorted) {
+    const { row } = entry;
+    const foundBefore = found.length;
+    const totals = existing.get(row.timestamp.toISOString());
+
+    if (row.type === "OUT") {
+      if (overdraft) {
+        const available = opening
+          .plus(totals.net)
+          .plus(added)
+          .plus(moneyParam(overdraft, "allowance", currency));
+        if (row.amount.gt(available)) {
+          found.push(
+            violation(
+              entry,
+              overdraft,
+              `Insufficient balance. Available: ${formatMoney(
+                available,
+                currency
+              )} ${currency}, Requested: ${formatMoney(
+                row.amount,
+                currency
+              )} ${currency}`
+            )
+          );
+        }
+      }
+
+      const checkLimit = (policy, existingTotal, addedTotals, key, period) => {
+        if (!policy) return;
+        const limit = moneyParam(policy, "amount", currency);
+        const total = existingTotal
+          .plus(addedTotals.get(key) ?? ZERO)
+          .plus(row.amount);
+        if (total.gt(limit)) {
+          found.push(
+            violation(
+              entry,
+              policy,
+              `Withdrawals ${period} would reach ${formatMoney(
+                total,
+                currency
+              )} ${currency}, over the limit of ${formatMoney(
+                limit,
+                currency
+              )} ${currency}`
+            )
+          );
+        }
+      };
+
+      const day = dayOf(row.timestamp);
+      const month = monthOf(row.timestamp);
+      checkLimit(dailyLimit, totals.dayOut, addedOutByDay, day, `on ${day}`);
+      checkLimit(
+        monthlyLimit,
+        totals.monthOut,
+        addedOutByMonth,
+        month,
+        `in ${month}`
+      );
+    }
+
+    if (!dropRejected || found.length === foundBefore) {
+      apply(row);
+    }
+  }
+
+  return found;
+};
+
+// Checks transactions about to be written against the user's REJECT
+// policies and returns what they break, as `{ index, rule, policyId,
+// message }` with `index` pointing into `rows`. Rows are { accountId,
+// currency, timestamp, type, amount } and may list `skipRules` whose inputs
+// an update leaves unchanged. Rows in the same ledger are checked together,
+// each seeing the ones dated before it. `excludeId` leaves the transaction
+// being updated out of the ledger. `dropRejected` checks the rows as if
+// those that break a policy were left out, so the rest can be written
+// without them.
+//
+// Writes pass the database transaction they write in as `tx`: the check
+// then reads in it after locking the rows' ledgers, so two concurrent
+// writes can't both pass on a balance only one of them may spend.
+//
+// FLAG policies aren't checked here; detection picks those up.
+export const checkTransactionPolicies = async (
+  userId,
+  rows,
+  { excludeId = null, now = new Date(), dropRejected = false, tx = null } = {}
+) => {
+  if (tx) {
+    await lockLedgers(tx, rows);
+  }
+
+  const policies = await loadPolicies(userId);
+  const ledgers = new Map();
+
+  rows.forEach((row, index) => {
+    const key = `${row.accountId}:${row.currency}`;
+    if (!ledgers.has(key)) {
+      ledgers.set(key, []);
+    }
+    ledgers.get(key).push({ row, index });
+  });
+
+  const found = [];
+  for (const entries of ledgers.values()) {
+    const { accountId, currency } = entries[0].row;
+    const rules = new Map(
+      [...resolvePolicies(policies, accountId, currency)].filter(
+        ([, policy]) => policy.action === "REJECT"
+      )
+    );
+    if (rules.size === 0) continue;
+
+    const rowFound = entries.flatMap((entry) => checkRow(rules, entry, now));
+    const rejected = new Set(rowFound.map(({ index }) => index));
+    found.push(...rowFound);
+    found.push(
+      ...(await checkLedger(
+        rules,
+        accountId,
+        currency,
+        dropRejected
+          ? entries.filter(({ index }) => !rejected.has(index))
+          : entries,
+        { excludeId, dropRejected, client: tx ?? prisma }
+      ))
+    );
+  }
+
+  return found.sort(
+    (a, b) =>
+      a.index - b.index ||
+      POLICY_RULES.indexOf(a.rule) - POLICY_RULES.indexOf(b.rule)
+  );
+};
+
+// The breaches of each rule in `rules` (a resolvePolicies result) as a
+// UNION of `(id, priority, rule, message)` rows, for invalid-transaction
+// detection. Reads from a relation with the transaction columns plus
+// `balance` (the running balance), `deficit` (how far clamping at the
+// overdraft allowance has cut it, <= 0), `day_out` and `month_out`
+// (running withdrawal totals per day and month of REPORTING_TIMEZONE).
+export const policyViolationsSql = (rules, currency, scale, source) => {
+  const money = (policy, name) =>
+    formatMoney(moneyParam(policy, name, currency), currency);
+  const rounded = (column) =>
+    Prisma.sql`ROUND(${Prisma.raw(column)}, ${scale}::int)`;
+
+  const checks = {
+    OVERDRAFT: (policy) => {
+      const allowance = moneyParam(policy, "allowance", currency);
+      const message = allowance.isZero()
+        ? Prisma.sql`'Would result in negative balance: ' || ${rounded(
+            "balance - deficit"
+          )} || ' ' || ${currency}`
+        : Prisma.sql`'Would result in balance ' || ${rounded(
+            "balance - deficit"
+          )} || ' ' || ${currency} || ', beyond the ' || ${money(
+            policy,
+            "allowance"
+          )} || ' ' || ${currency} || ' overdraft allowance'`;
+
+      return {
+        message,
+        condition: Prisma.sql`balance + ${allowance}::numeric < deficit`,
+      };
+    },
+    MAX_AMOUNT: (policy) => ({
+      message: Prisma.sql`'Amount ' || ${rounded("amount")} || ' ' || ${currency} || ' exceeds the maximum of ' || ${money(
+        policy,
+        "amount"
+      )} || ' ' || ${currency}`,
+      condition: Prisma.sql`amount > ${moneyParam(policy, "amount", currency)}`,
+    }),
+    DAILY_OUT_LIMIT: (policy) => ({
+      message: Prisma.sql`'Withdrawals on ' || day || ' reach ' || ${rounded(
+        "day_out"
+      )} || ' ' || ${currency} || ', over the limit of ' || ${money(
+        policy,
+        "amount"
+      )} || ' ' || ${currency}`,
+      condition: Prisma.sql`type = 'OUT' AND day_out > ${moneyParam(
+        policy,
+        "amount",
+        currency
+      )}`,
+    }),
+    MONTHLY_OUT_LIMIT: (policy) => ({
+      message: Prisma.sql`'Withdrawals in ' || to_char(day, 'YYYY-MM') || ' reach ' || ${rounded(
+        "month_out"
+      )} || ' ' || ${currency} || ', over the limit of ' || ${money(
+        policy,
+        "amount"
+      )} || ' ' || ${currency}`,
+      condition: Prisma.sql`type = 'OUT' AND month_out > ${moneyParam(
+        policy,
+        "amount",
+        currency
+      )}`,
+    }),
+    MAX_BACKDATE: (policy) => ({
+      message: Prisma.sql`'Dated ' || EXTRACT(DAY FROM "createdAt" - timestamp) || ' days back; at most ' || ${policy.params.days} || ' allowed'`,
+      condition: Prisma.sql`"createdAt" - timestamp > make_interval(days => ${policy.params.days}::int)`,
+    }),
+    TIME_WINDOW: (policy) => {
+      const { timezone, windows } = policy.params;
+      const local = Prisma.sql`(timestamp AT TIME ZONE ${timezone})`;
+      const inWindow = Prisma.join(
+        windows.map(
+          ({ days, start, end }) => Prisma.sql`(
+            EXTRACT(ISODOW FROM ${local})::int = ANY(${days}::int[])
+            AND ${local}::time >= ${start}::time
+            AND ${local}::time < ${end}::time
+          )`
+        ),
+        " OR "
+      );
+
+      return {
+        message: Prisma.sql`'Outside the allowed time windows (' || ${timezone} || ')'`,
+        condition: Prisma.sql`NOT (${inWindow})`,
+      };
+    },
+  };
+
+  const selects = POLICY_RULES.filter((rule) => rules.has(rule)).map((rule) => {
+    const { message, condition } = checks[rule](rules.get(rule));
+    return Prisma.sql`
+        SELECT id, ${POLICY_RULES.indexOf(rule)}::int as priority,
+          ${rule}::text as rule, ${message} as message
+        FROM ${Prisma.raw(source)}
+        WHERE ${condition}
+      `;
+  });
+
+  return Prisma.join(selects, " UNION ALL ");
+};
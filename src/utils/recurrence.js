@@ -0,0 +1,178 @@
+import { REPORTING_TIMEZONE } from "../config/timezone.js";
+import { zonedTime } from "./timezone.js";
+
+// Schedules of recurring transactions, a subset of RFC 5545 RRULEs:
+//
+//   frequency  DAILY, WEEKLY or MONTHLY
+//   interval   every N days/weeks/months (default 1)
+//   weekdays   WEEKLY: ISO weekdays, 1 = Monday (default startDate's)
+//   monthDay   MONTHLY: 1-31, the last day in shorter months (default
+//              startDate's)
+//   startDate  first day the schedule covers (YYYY-MM-DD)
+//   endDate    last day it covers, inclusive (optional)
+//   count      stop after this many occurrences (optional)
+//   time       local time of day, "HH:MM" (default "00:00")
+//   timezone   IANA timezone of startDate, endDate and time (default
+//              REPORTING_TIMEZONE)
+//
+// Dates are handled as Dates at UTC midnight, the way @db.Date columns come
+// back from Prisma.
+
+export const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+
+const SCHEDULE_FIELDS = [
+  "frequency",
+  "interval",
+  "weekdays",
+  "monthDay",
+  "startDate",
+  "endDate",
+  "count",
+  "time",
+  "timezone",
+];
+export const MAX_INTERVAL = 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const dayString = (date) => date.toISOString().slice(0, 10);
+
+// "YYYY-MM-DD" -> Date at UTC midnight, or null when it isn't a real date
+export const parseDay = (value) => {
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) return null;
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return isNaN(date.getTime()) || dayString(date) !== value ? null : date;
+};
+
+const isoWeekday = (date) => ((date.getUTCDay() + 6) % 7) + 1;
+
+// Fills in the defaults of a schedule whose fields were checked one by one
+// (see schemas/recurring.js). On updates `current` is the stored schedule
+// and only the fields present in `input` change. Returns `{ schedule }`,
+// or `{ field, error }` when the fields don't fit together.
+export const resolveSchedule = (input, current = null) => {
+  const merged = { ...current };
+  SCHEDULE_FIELDS.forEach((field) => {
+    if (input[field] !== undefined) merged[field] = input[field];
+  });
+
+  const { frequency, startDate } = merged;
+  const endDate = merged.endDate ?? null;
+  if (endDate && endDate < startDate) {
+    return { field: "endDate", error: "must not be before startDate" };
+  }
+
+  // Weekdays and month day only apply to their own frequency; switching
+  // frequency drops the other one
+  const weekdays =
+    frequency !== "WEEKLY"
+      ? []
+      : merged.weekdays?.length
+        ? [...new Set(merged.weekdays)].sort()
+        : [isoWeekday(startDate)];
+
+  const monthDay =
+    frequency === "MONTHLY"
+      ? (merged.monthDay ?? startDate.getUTCDate())
+      : null;
+
+  return {
+    schedule: {
+      frequency,
+      interval: merged.interval ?? 1,
+      weekdays,
+      monthDay,
+      startDate,
+      endDate,
+      count: merged.count ?? null,
+      time: merged.time ?? "00:00",
+      timezone: merged.timezone ?? REPORTING_TIMEZONE,
+    },
+  };
+};
+
+// Candidate dates in the `period`th day, week or month of the schedule
+const periodDates = (schedule, period) => {
+  const { frequency, interval, weekdays, monthDay, startDate } = schedule;
+  const step = period * interval;
+
+  switch (frequency) {
+    case "DAILY":
+      return [new Date(startDate.getTime() + step * DAY_MS)];
+    case "WEEKLY": {
+      const monday = startDate.getTime() - (isoWeekday(startDate) - 1) * DAY_MS;
+      const weekStart = monday + step * 7 * DAY_MS;
+      return weekdays.map((day) => new Date(weekStart + (day - 1) * DAY_MS));
+    }
+    case "MONTHLY": {
+      const year = startDate.getUTCFullYear();
+      const month = startDate.getUTCMonth() + step;
+      const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      return [new Date(Date.UTC(year, month, Math.min(monthDay, daysInMonth)))];
+    }
+    default:
+      throw new Error(`Unknown frequency ${frequency}`);
+  }
+};
+
+// Every occurrence date of the schedule in order, until endDate or count.
+// Skipped dates still count towards `count`, as RRULE exceptions do.
+export function* occurrenceDates(schedule) {
+  const { startDate, endDate, count } = schedule;
+  let emitted = 0;
+
+  for (let period = 0; ; period += 1) {
+    for (const date of periodDates(schedule, period)) {
+      if (date < startDate) continue;
+      if ((endDate && date > endDate) || (count && emitted >= count)) return;
+
+      emitted += 1;
+      yield date;
+    }
+  }
+}
+
+// When an occurrence on `date` is due
+export const occurrenceAt = (schedule, date) =>
+  zonedTime(dayString(date), schedule.time, schedule.timezone);
+
+// Up to `limit` occurrences due at or after `from`, as `{ date, at,
+// skipped }`. Skipped ones are listed only with `includeSkipped`.
+export const upcomingOccurrences = (
+  schedule,
+  { from, skippedDates = [], limit = 1, includeSkipped = false }
+) => {
+  const skipped = new Set(skippedDates.map(dayString));
+  const occurrences = [];
+
+  // The date can't be more than a day off the local date of `from`
+  const earliest = from.getTime() - 2 * DAY_MS;
+
+  for (const date of occurrenceDates(schedule)) {
+    if (occurrences.length >= limit) break;
+    if (date.getTime() < earliest) continue;
+
+    const at = occurrenceAt(schedule, date);
+    const isSkipped = skipped.has(dayString(date));
+    if (at < from || (isSkipped && !includeSkipped)) continue;
+
+    occurrences.push({ date: dayString(date), at, skipped: isSkipped });
+  }
+
+  return occurrences;
+};
+
+// When the first occurrence at or after `from` that isn't skipped is due,
+// or null when the schedule has none left
+export const nextRunAt = (schedule, from, skippedDates = []) =>
+  upcomingOccurrences(schedule, { from, skippedDates })[0]?.at ?? null;
+
+// Whether `date` is one of the schedule's occurrence dates
+export const isOccurrence = (schedule, date) => {
+  for (const occurrence of occurrenceDates(schedule)) {
+    if (occurrence.getTime() === date.getTime()) return true;
+    if (occurrence > date) return false;
+  }
+  return false;
+};
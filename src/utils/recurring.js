@@ -0,0 +1,188 @@
+import prisma from "../config/prisma.js";
+import { queueRecalculation } from "../queue/jobs.js";
+import { invalidateBalanceCache } from "./cache.js";
+import { checkTransactionPolicies } from "./policies.js";
+import { recordCreates } from "./audit.js";
+import { invalidateCheckpoints } from "./checkpoints.js";
+import { localDate } from "./timezone.js";
+import { nextRunAt } from "./recurrence.js";
+import { transactionEventData, WEBHOOK_EVENTS } from "./webhooks.js";
+import { publishTransactionEvent } from "./transaction-events.js";
+
+const BATCH_SIZE = 100;
+
+// The stored schedule of a template, in the shape utils/recurrence.js uses
+export const templateSchedule = (template) => ({
+  frequency: template.frequency,
+  interval: template.interval,
+  weekdays: template.weekdays,
+  monthDay: template.monthDay,
+  startDate: template.startDate,
+  endDate: template.endDate,
+  count: template.count,
+  time: template.time,
+  timezone: template.timezone,
+});
+
+// Creates the occurrence of template `templateId` due at `at` as a
+// transaction, checked against the user's policies like any other write.
+// Resolves to `{ next, error }`: when the following occurrence is due, and
+// why this one was refused, if it was. Resolves to null, creating nothing,
+// when the template was deleted, paused or rescheduled since it was found
+// due.
+//
+// The template row is locked and read again, the policies are checked, and
+// the template moves on to its next occurrence, in the database transaction
+// that writes it; the externalRef makes a second run of the same occurrence
+// a no-op.
+const materializeOccurrence = async (templateId, at) => {
+  const result = await prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`
+      SELECT id FROM "RecurringTransaction" WHERE id = ${templateId} FOR UPDATE
+    `;
+    const template = await tx.recurringTransaction.findUnique({
+      where: { id: templateId },
+    });
+    if (
+      !template ||
+      template.pausedAt !== null ||
+      template.nextRunAt?.getTime() !== at.getTime()
+    ) {
+      return null;
+    }
+
+    const date = localDate(at, template.timezone);
+    const next = nextRunAt(
+      templateSchedule(template),
+      new Date(at.getTime() + 1),
+      template.skippedDates
+    );
+
+    // The occurrence counts as entered when it fell due, so a scheduler
+    // catching up isn't refused for backdating
+    const violations = await checkTransactionPolicies(
+      template.userId,
+      [
+        {
+          accountId: template.accountId,
+          currency: template.currency,
+          timestamp: at,
+          type: template.type,
+          amount: template.amount,
+        },
+      ],
+      { now: at, tx }
+    );
+    const error =
+      violations.length > 0
+        ? `Occurrence on ${date} refused: ${violations[0].message}`
+        : null;
+
+    const created = error
+      ? []
+      : await tx.transaction.createManyAndReturn({
+          data: [
+            {
+              accountId: template.accountId,
+              timestamp: at,
+              type: template.type,
+              amount: template.amount,
+              currency: template.currency,
+              description: template.description,
+              counterparty: template.counterparty,
+              categoryId: template.categoryId,
+              tags: template.tags,
+              externalRef: `recurring:${template.id}:${date}`,
+              recurringTransactionId: template.id,
+            },
+          ],
+          skipDuplicates: true,
+        });
+
+    await recordCreates(tx, template.userId, created, {
+      actorId: null,
+      apiKeyId: null,
+      requestId: null,
+      reason: `Scheduled by recurring transaction ${template.id}`,
+    });
+    await invalidateCheckpoints(tx, created);
+
+    await tx.recurringTransaction.update({
+      where: { id: template.id },
+      data: { nextRunAt: next, lastError: error },
+    });
+
+    return { template, next, created: created[0], error };
+  });
+  if (!result) return null;
+
+  const { template, next, created, error } = result;
+  if (created) {
+    await invalidateBalanceCache(template.userId, template.accountId, at);
+    await queueRecalculation({
+      userId: template.userId,
+      accountId: template.accountId,
+      currency: template.currency,
+      fromTimestamp: at,
+    });
+    await publishTransactionEvent(
+      template.userId,
+      WEBHOOK_EVENTS.TRANSACTION_CREATED,
+      transactionEventData(created)
+    );
+  }
+
+  return { next, error };
+};
+
+// Creates every occurrence that is due by `now` across all active
+// templates, each template's in order. A refused occurrence is recorded in
+// the template's lastError and not retried.
+export const materializeDueTransactions = async (now = new Date()) => {
+  let created = 0;
+  let refused = 0;
+  let lastId = 0;
+
+  for (;;) {
+    const templates = await prisma.recurringTransaction.findMany({
+      where: { id: { gt: lastId }, nextRunAt: { lte: now }, pausedAt: null },
+      orderBy: { id: "asc" },
+      take: BATCH_SIZE,
+    });
+
+    for (const template of templates) {
+      let at = template.nextRunAt;
+
+      try {
+        while (at && at <= now) {
+          const result = await materializeOccurrence(template.id, at);
+          // Changed since it was found due; the next run picks it up again
+          if (!result) break;
+
+          const { next, error } = result;
+          if (error) {
+            refused += 1;
+            console.warn(`⚠️  Recurring transaction ${template.id}: ${error}`);
+          } else {
+            created += 1;
+          }
+          at = next;
+        }
+      } catch (error) {
+        // Left due, so the next run tries again
+        console.error(
+          `Error materializing recurring transaction ${template.id}:`,
+          error
+        );
+      }
+    }
+
+    if (templates.length < BATCH_SIZE) break;
+    lastId = templates[templates.length - 1].id;
+  }
+
+  console.log(
+    `🔁 Created ${created} recurring transactions (${refused} refused)`
+  );
+  return { created, refused };
+};
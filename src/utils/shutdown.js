@@ -0,0 +1,35 @@
+import prisma from "../config/prisma.js";
+import redis from "../config/redis.js";
+
+// Runs `cleanup` once on SIGTERM or SIGINT, then closes the shared database
+// and Redis connections and exits. Anything that must finish first, like
+// open requests or jobs in flight, belongs in `cleanup`.
+export const handleShutdown = (cleanup) => {
+  let shuttingDown = false;
+
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+
+    console.log(`🔄 ${signal} received, shutting down gracefully`);
+
+    try {
+      await cleanup();
+    } catch (error) {
+      console.error("Error during shutdown:", error);
+    }
+
+    await prisma.$disconnect();
+    try {
+      await redis.close();
+    } catch (err) {
+      console.warn("Redis close failed:", err.message);
+    }
+
+    console.log("✅ Shutdown complete");
+    process.exit(0);
+  };
+
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+};
@@ -0,0 +1,288 @@
+import { parse as parseCsv } from "csv-parse/sync";
+import { parse as parseDateFormat, isValid } from "date-fns";
+import { toDecimal } from "./money.js";
+
+// Bank statement parsing for the import endpoint. Both parsers return one
+// entry per source row: `{ row, data }` when the row could be read, or
+// `{ row, error }` when it couldn't. `row` is 1-based and counts data rows
+// only (the CSV header is not a row).
+
+const DEFAULT_CSV_MAPPING = {
+  delimiter: ",",
+  hasHeader: true,
+  dateColumn: "date",
+  dateFormat: null,
+  amountColumn: "amount",
+  debitColumn: null,
+  creditColumn: null,
+  signConvention: "positive-in",
+  typeColumn: null,
+  inValues: ["IN", "CREDIT", "CR"],
+  outValues: ["OUT", "DEBIT", "DR"],
+  descriptionColumn: null,
+  counterpartyColumn: null,
+  // Column holding the bank's id for the row, kept as the externalRef
+  referenceColumn: null,
+  decimalSeparator: ".",
+};
+
+const SIGN_CONVENTIONS = ["positive-in", "positive-out"];
+
+// Accepts a JSON string (multipart fields are strings) or an object
+export const resolveCsvMapping = (mapping) => {
+  let custom = mapping ?? {};
+
+  if (typeof custom === "string") {
+    try {
+      custom = JSON.parse(custom);
+    } catch {
+      return { error: "mapping must be valid JSON" };
+    }
+  }
+
+  if (typeof custom !== "object" || Array.isArray(custom)) {
+    return { error: "mapping must be an object" };
+  }
+
+  const resolved = { ...DEFAULT_CSV_MAPPING, ...custom };
+
+  if (!SIGN_CONVENTIONS.includes(resolved.signConvention)) {
+    return {
+      error: `signConvention must be one of: ${SIGN_CONVENTIONS.join(", ")}`,
+    };
+  }
+
+  if (Boolean(resolved.debitColumn) !== Boolean(resolved.creditColumn)) {
+    return { error: "debitColumn and creditColumn must be used together" };
+  }
+
+  if (![".", ","].includes(resolved.decimalSeparator)) {
+    return { error: 'decimalSeparator must be "." or ","' };
+  }
+
+  return { mapping: resolved };
+};
+
+// "1.234,56", "(12.00)", "-$5" -> signed Decimal, or null
+const parseAmountValue = (raw, decimalSeparator) => {
+  if (raw === undefined || raw === null) return null;
+
+  let value = String(raw).trim();
+  if (!value) return null;
+
+  let negative = false;
+  if (value.startsWith("(") && value.endsWith(")")) {
+    negative = true;
+    value = value.slice(1, -1);
+  }
+
+  const thousandsSeparator = decimalSeparator === "," ? "." : ",";
+  value = value
+    .split(thousandsSeparator)
+    .join("")
+    .replace(decimalSeparator, ".")
+    .replace(/[^0-9.+-]/g, "");
+
+  const amount = toDecimal(value);
+  return amount && negative ? amount.negated() : amount;
+};
+
+const parseDateValue = (raw, dateFormat) => {
+  if (!raw) return null;
+
+  const value = String(raw).trim();
+  const date = dateFormat
+    ? parseDateFormat(value, dateFormat, new Date())
+    : new Date(value);
+
+  return isValid(date) ? date : null;
+};
+
+// Column references are header names (case-insensitive) or 0-based indexes
+const columnReader = (headers) => (record, column) => {
+  if (column === null || column === undefined) return undefined;
+
+  if (typeof column === "number") {
+    return record[column];
+  }
+
+  const index = headers
+    ? headers.findIndex((h) => h.toLowerCase() === String(column).toLowerCase())
+    : parseInt(column);
+
+  return index >= 0 ? record[index] : undefined;
+};
+
+const resolveCsvAmount = (record, read, mapping) => {
+  if (mapping.debitColumn) {
+    const debit = parseAmountValue(
+      read(record, mapping.debitColumn),
+      mapping.decimalSeparator
+    );
+    const credit = parseAmountValue(
+      read(record, mapping.creditColumn),
+      mapping.decimalSeparator
+    );
+
+    if (credit && !credit.isZero()) {
+      return { type: "IN", amount: credit.abs() };
+    }
+    if (debit && !debit.isZero()) {
+      return { type: "OUT", amount: debit.abs() };
+    }
+    return { error: "Neither debit nor credit amount is set" };
+  }
+
+  const amount = parseAmountValue(
+    read(record, mapping.amountColumn),
+    mapping.decimalSeparator
+  );
+  if (!amount || amount.isZero()) {
+    return { error: "Invalid amount" };
+  }
+
+  if (mapping.typeColumn) {
+    const rawType = String(read(record, mapping.typeColumn) ?? "")
+      .trim()
+      .toUpperCase();
+    const inValues = mapping.inValues.map((v) => String(v).toUpperCase());
+    const outValues = mapping.outValues.map((v) => String(v).toUpperCase());
+
+    if (inValues.includes(rawType)) {
+      return { type: "IN", amount: amount.abs() };
+    }
+    if (outValues.includes(rawType)) {
+      return { type: "OUT", amount: amount.abs() };
+    }
+    return { error: `Unknown transaction type "${rawType}"` };
+  }
+
+  const positiveType = mapping.signConvention === "positive-in" ? "IN" : "OUT";
+  const negativeType = positiveType === "IN" ? "OUT" : "IN";
+
+  return {
+    type: amount.isPositive() ? positiveType : negativeType,
+    amount: amount.abs(),
+  };
+};
+
+export const parseCsvStatement = (buffer, mapping) => {
+  let records;
+  try {
+    records = parseCsv(buffer, {
+      delimiter: mapping.delimiter,
+      bom: true,
+      skip_empty_lines: true,
+      relax_column_count: true,
+      trim: true,
+    });
+  } catch (err) {
+    return { error: `Could not parse CSV: ${err.message}` };
+  }
+
+  const headers = mapping.hasHeader ? records.shift() ?? [] : null;
+  const read = columnReader(headers);
+
+  const rows = records.map((record, index) => {
+    const row = index + 1;
+
+    const timestamp = parseDateValue(
+      read(record, mapping.dateColumn),
+      mapping.dateFormat
+    );
+    if (!timestamp) {
+      return { row, error: "Invalid or missing date" };
+    }
+
+    const amount = resolveCsvAmount(record, read, mapping);
+    if (amount.error) {
+      return { row, error: amount.error };
+    }
+
+    const description = read(record, mapping.descriptionColumn);
+    const counterparty = read(record, mapping.counterpartyColumn);
+    const externalRef = read(record, mapping.referenceColumn);
+
+    return {
+      row,
+      data: {
+        timestamp,
+        type: amount.type,
+        amount: amount.amount,
+        ...(description && { description }),
+        ...(counterparty && { counterparty }),
+        ...(externalRef && { externalRef }),
+      },
+    };
+  });
+
+  return { rows };
+};
+
+// 20250714120000.000[-5:EST] -> Date. OFX dates without an offset are UTC.
+const parseOfxDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?(?:\.\d+)?(?:\[([+-]?\d+(?:\.\d+)?)(?::\w+)?\])?/.exec(
+    value.trim()
+  );
+  if (!match) return null;
+
+  const [, year, month, day, hour = "0", minute = "0", second = "0", offset] =
+    match;
+  const utc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetMs = offset ? parseFloat(offset) * 60 * 60 * 1000 : 0;
+
+  const date = new Date(utc - offsetMs);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// SGML (OFX 1.x) leaves elements unclosed, so read up to the next tag
+const readOfxField = (block, name) => {
+  const match = new RegExp(`<${name}>([^<\\r\\n]*)`, "i").exec(block);
+  return match ? match[1].trim() : null;
+};
+
+export const parseOfxStatement = (buffer) => {
+  const content = buffer.toString("utf8");
+  const blocks = [
+    ...content.matchAll(/<STMTTRN>([\s\S]*?)<\/STMTTRN>/gi),
+  ].map((m) => m[1]);
+
+  if (blocks.length === 0 && !/<OFX>/i.test(content)) {
+    return { error: "File does not look like an OFX statement" };
+  }
+
+  const rows = blocks.map((block, index) => {
+    const row = index + 1;
+
+    const posted = readOfxField(block, "DTPOSTED");
+    const timestamp = posted ? parseOfxDate(posted) : null;
+    if (!timestamp) {
+      return { row, error: "Invalid or missing DTPOSTED" };
+    }
+
+    const amount = toDecimal(readOfxField(block, "TRNAMT"));
+    if (!amount || amount.isZero()) {
+      return { row, error: "Invalid or missing TRNAMT" };
+    }
+
+    const name = readOfxField(block, "NAME");
+    const memo = readOfxField(block, "MEMO");
+    const fitId = readOfxField(block, "FITID");
+
+    return {
+      row,
+      data: {
+        timestamp,
+        type: amount.isPositive() ? "IN" : "OUT",
+        amount: amount.abs(),
+        ...((memo || name) && { description: memo || name }),
+        ...(name && { counterparty: name }),
+        ...(fitId && { externalRef: fitId }),
+      },
+    };
+  });
+
+  // The statement's default currency, which every transaction is in unless
+  // the importer overrides it
+  return { rows, currency: readOfxField(content, "CURDEF") };
+};
@@ -0,0 +1,94 @@
+// Canonical IANA name ("asia/karachi" -> "Asia/Karachi"), or null when the
+// value isn't a timezone Node knows
+export const parseTimezone = (value) => {
+  if (typeof value !== "string" || !value.trim()) return null;
+
+  try {
+    return new Intl.DateTimeFormat("en-US", {
+      timeZone: value.trim(),
+    }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+};
+
+const dateFormatters = new Map();
+
+// The calendar date (YYYY-MM-DD) `timestamp` falls on in `timezone`
+export const localDate = (timestamp, timezone) => {
+  if (!dateFormatters.has(timezone)) {
+    // en-CA formats dates as YYYY-MM-DD
+    dateFormatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-CA", {
+        timeZone: timezone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+      })
+    );
+  }
+
+  return dateFormatters.get(timezone).format(timestamp);
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const offsetFormatters = new Map();
+
+// How far `timezone` is ahead of UTC at `timestamp`, in milliseconds
+const utcOffset = (timestamp, timezone) => {
+  if (!offsetFormatters.has(timezone)) {
+    offsetFormatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+        hourCycle: "h23",
+      })
+    );
+  }
+
+  const parts = Object.fromEntries(
+    offsetFormatters
+      .get(timezone)
+      .formatToParts(timestamp)
+      .map(({ type, value }) => [type, parseInt(value)])
+  );
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+
+  return wallClock - Math.floor(timestamp.getTime() / 1000) * 1000;
+};
+
+// The instant the wall-clock `time` ("HH:MM") on `date` (YYYY-MM-DD) occurs
+// in `timezone`. A time repeated by a DST change resolves to its first
+// occurrence; a time skipped by one moves forward by the size of the jump.
+export const zonedTime = (date, time, timezone) => {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hours, minutes] = time.split(":").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Offset changes are far less than a day apart, so the offsets a day
+  // either side are the ones that can apply
+  const candidates = [-DAY_MS, DAY_MS].map(
+    (shift) => wallClock - utcOffset(new Date(wallClock + shift), timezone)
+  );
+  const valid = candidates.filter(
+    (instant) => utcOffset(new Date(instant), timezone) === wallClock - instant
+  );
+
+  return new Date(
+    valid.length > 0 ? Math.min(...valid) : Math.max(...candidates)
+  );
+};
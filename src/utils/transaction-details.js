@@ -0,0 +1,50 @@
+import prisma from "../config/prisma.js";
+import {
+  transactionDetails,
+  transactionDetailFields,
+} from "../schemas/transaction.js";
+
+const DETAIL_FIELDS = Object.keys(transactionDetailFields);
+
+// The descriptive fields of a parsed request body, and only those
+export const pickTransactionDetails = (body) =>
+  Object.fromEntries(
+    Object.entries(body).filter(([key]) => DETAIL_FIELDS.includes(key))
+  );
+
+// Validates the optional descriptive fields of a transaction that didn't
+// come through a request schema (statement rows). Only the keys present in
+// the input end up in `details`. Returns `{ details }` or `{ error }`.
+export const parseTransactionDetails = (input) => {
+  const result = transactionDetails.safeParse(input);
+  if (!result.success) {
+    const [issue] = result.error.issues;
+    return { error: `${issue.path.join(".")} ${issue.message}` };
+  }
+
+  return { details: result.data };
+};
+
+export const userOwnsCategories = async (userId, categoryIds) => {
+  const ids = [...new Set(categoryIds.filter((id) => id !== null))];
+  if (ids.length === 0) return true;
+
+  const owned = await prisma.category.count({
+    where: { id: { in: ids }, userId },
+  });
+
+  return owned === ids.length;
+};
+
+// The ids among `categoryIds` of categories the user owns, as a Set
+export const findOwnedCategoryIds = async (userId, categoryIds) => {
+  const ids = [...new Set(categoryIds.filter((id) => id !== null))];
+  if (ids.length === 0) return new Set();
+
+  const owned = await prisma.category.findMany({
+    where: { id: { in: ids }, userId },
+    select: { id: true },
+  });
+
+  return new Set(owned.map(({ id }) => id));
+};
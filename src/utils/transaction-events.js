@@ -0,0 +1,16 @@
+import { emitEvents } from "./webhooks.js";
+import { publishFeedEvents } from "./feed.js";
+
+// A transaction change goes out the same way to the user's webhooks and
+// to their live feed. `event` is one of the transaction.* types both share;
+// `items` are the event data, one per transaction.
+export const publishTransactionEvents = async (userId, event, items) => {
+  await emitEvents(userId, event, items);
+  await publishFeedEvents(
+    userId,
+    items.map((data) => ({ type: event, data }))
+  );
+};
+
+export const publishTransactionEvent = (userId, event, data) =>
+  publishTransactionEvents(userId, event, [data]);
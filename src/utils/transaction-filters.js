@@ -0,0 +1,85 @@
+// Translates parsed list filters (see getAllTransactions in
+// schemas/transaction.js) into a Prisma `where` and `orderBy` scoped to the
+// user. `hasFilters` is false when only the account narrows the list.
+//
+// Supported filters: accountId, from, to, type, currency, minAmount,
+// maxAmount, categoryId ("none" for uncategorized), tag, externalRef,
+// invalidOnly, sortBy (timestamp|amount|createdAt|id), sortOrder (asc|desc)
+export const buildTransactionQuery = (userId, query) => {
+  const {
+    accountId,
+    from,
+    to,
+    type,
+    currency,
+    minAmount,
+    maxAmount,
+    categoryId,
+    tag,
+    externalRef,
+    invalidOnly,
+    sortBy,
+    sortOrder,
+  } = query;
+
+  const where = { account: { userId }, deletedAt: null };
+  let hasFilters = false;
+
+  if (accountId) {
+    where.accountId = accountId;
+  }
+
+  if (from || to) {
+    where.timestamp = {
+      ...(from && { gte: from }),
+      ...(to && { lte: to }),
+    };
+    hasFilters = true;
+  }
+
+  if (type) {
+    where.type = type;
+    hasFilters = true;
+  }
+
+  if (currency) {
+    where.currency = currency;
+    hasFilters = true;
+  }
+
+  if (minAmount || maxAmount) {
+    where.amount = {
+      ...(minAmount && { gte: minAmount }),
+      ...(maxAmount && { lte: maxAmount }),
+    };
+    hasFilters = true;
+  }
+
+  if (categoryId) {
+    where.categoryId = categoryId === "none" ? null : categoryId;
+    hasFilters = true;
+  }
+
+  if (tag) {
+    where.tags = { has: tag };
+    hasFilters = true;
+  }
+
+  if (externalRef) {
+    where.externalRef = externalRef;
+    hasFilters = true;
+  }
+
+  if (invalidOnly) {
+    where.invalidTransaction = { isNot: null };
+    hasFilters = true;
+  }
+
+  // id breaks ties so the cursor always lands on a unique position
+  const orderBy =
+    sortBy === "id"
+      ? [{ id: sortOrder }]
+      : [{ [sortBy]: sortOrder }, { id: sortOrder }];
+
+  return { where, orderBy, hasFilters };
+};
@@ -0,0 +1,65 @@
+import { addDays, subDays } from "date-fns";
+import prisma from "../config/prisma.js";
+import { trashConfig } from "../config/trash.js";
+import { recordVersions } from "./audit.js";
+
+const PURGE_BATCH_SIZE = 1000;
+
+// When a transaction deleted at `deletedAt` leaves the trash for good
+export const purgeDate = (deletedAt) =>
+  addDays(deletedAt, trashConfig.retentionDays);
+
+// Permanently removes transactions that have been in the trash longer than
+// the retention period, recording a PURGE version for each. Rows being
+// restored right now are skipped and judged again on the next run.
+export const purgeExpiredTransactions = async (now = new Date()) => {
+  const cutoff = subDays(now, trashConfig.retentionDays);
+  const context = {
+    actorId: null,
+    apiKeyId: null,
+    requestId: null,
+    reason: `In the trash for more than ${trashConfig.retentionDays} days`,
+  };
+  let purged = 0;
+
+  for (;;) {
+    const count = await prisma.$transaction(async (tx) => {
+      const locked = await tx.$queryRaw`
+        SELECT id
+        FROM "Transaction"
+        WHERE "deletedAt" < ${cutoff}
+        ORDER BY id
+        LIMIT ${PURGE_BATCH_SIZE}
+        FOR UPDATE SKIP LOCKED
+      `;
+      if (locked.length === 0) return 0;
+
+      const ids = locked.map((row) => row.id);
+      const rows = await tx.transaction.findMany({
+        where: { id: { in: ids } },
+        include: { account: { select: { userId: true } } },
+      });
+
+      await tx.transaction.deleteMany({ where: { id: { in: ids } } });
+      await recordVersions(
+        tx,
+        rows.map((row) => ({
+          userId: row.account.userId,
+          transactionId: row.id,
+          action: "PURGE",
+          before: row,
+          after: null,
+        })),
+        context
+      );
+
+      return ids.length;
+    });
+
+    purged += count;
+    if (count < PURGE_BATCH_SIZE) break;
+  }
+
+  console.log(`🗑️  Purged ${purged} transactions from the trash`);
+  return purged;
+};
@@ -1,144 +1,446 @@
 import prisma from "../config/prisma.js";
+import { Prisma } from "../../generated/prisma/index.js";
+import { ZERO } from "./money.js";
+import { getCurrencyRules } from "../config/currency.js";
+import { REPORTING_TIMEZONE } from "../config/timezone.js";
+import { localDate } from "./timezone.js";
+import {
+  loadPolicies,
+  resolvePolicies,
+  overdraftAllowance,
+  policyViolationsSql,
+} from "./policies.js";
+import {
+  emitEvent,
+  emitEvents,
+  emitBalanceChange,
+  WEBHOOK_EVENTS,
+} from "./webhooks.js";
+import { publishFeedEvents, FEED_EVENTS } from "./feed.js";
+import { rebuildCheckpoints } from "./checkpoints.js";
+import { bumpCacheGeneration } from "./cache.js";
 
-export const recalculateFromTimestamp = async (fromTimestamp) => {
-  console.log(`🔄 Recalculating summaries from ${fromTimestamp}`);
+// Balances are kept per currency, so an account has one ledger for each
+// currency it holds. Only the given ledger is rebuilt.
+//
+// Days run from midnight to midnight in REPORTING_TIMEZONE. Postgres turns
+// each date into its starting instant (date::timestamp AT TIME ZONE tz), so
+// days around DST changes are 23 or 25 hours long as they should be. Rows
+// are written with the timezone they were built in.
+//
+// Every day from the one containing `fromTimestamp` through today is
+// rebuilt in a single statement: the balance carried into the first day is
+// seeded from the last summary before it, daily totals come from one
+// grouped scan, a window function turns them into running balances, and
+// all rows are upserted at once. percentChange compares each day's closing
+// balance with the previous day's (0 when that was 0), as before.
+//
+// A start before anything in the ledger (e.g. the epoch, to rebuild it all)
+// begins at its first transaction or summary instead; a ledger with neither
+// is left alone.
+//
+// `silent` skips the webhooks and feed events a rebuild normally sends, for
+// maintenance runs that change how summaries are stored, not what they say.
+export const recalculateFromTimestamp = async (
+  accountId,
+  currency,
+  fromTimestamp,
+  { silent = false } = {}
+) => {
+  const timezone = REPORTING_TIMEZONE;
 
-  const startDate = new Date(fromTimestamp);
-  startDate.setHours(0, 0, 0, 0);
+  const checkpoints = await rebuildCheckpoints(
+    accountId,
+    currency,
+    fromTimestamp
+  );
+  console.log(
+    `📍 Rebuilt ${checkpoints} balance checkpoints for account ${accountId} (${currency})`
+  );
 
-  const endDate = new Date();
-  endDate.setHours(23, 59, 59, 999);
-
-  const affectedDates = [];
-  for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-    affectedDates.push(new Date(d));
+  // Dates go to Postgres as plain YYYY-MM-DD so its timezone can't shift them
+  const requestedDate = localDate(fromTimestamp, timezone);
+  const [{ first_day: firstDay }] = await prisma.$queryRaw`
+    SELECT LEAST(
+      (SELECT (MIN(timestamp) AT TIME ZONE ${timezone})::date
+       FROM "Transaction"
+       WHERE "accountId" = ${accountId} AND currency = ${currency}
+         AND "deletedAt" IS NULL),
+      (SELECT MIN(date) FROM "DailySummary"
+       WHERE "accountId" = ${accountId} AND currency = ${currency}
+         AND timezone = ${timezone})
+    ) as first_day
+  `;
+  if (!firstDay) {
+    console.log(
+      `🔄 Nothing to recalculate for account ${accountId} (${currency})`
+    );
+    return;
   }
 
-  for (const date of affectedDates) {
-    const nextDate = new Date(date);
-    nextDate.setDate(nextDate.getDate() + 1);
+  const firstDate = firstDay.toISOString().slice(0, 10);
+  const startDate = firstDate > requestedDate ? firstDate : requestedDate;
+  const endDate = localDate(new Date(), timezone);
+  const startsAt = Prisma.sql`(${startDate}::date::timestamp AT TIME ZONE ${timezone})`;
 
-    // Get balance up to end of this day using raw SQL for performance
-    const dayBalanceResult = await prisma.$queryRaw`
-      SELECT COALESCE(
-        SUM(CASE WHEN type = 'IN' THEN amount ELSE -amount END), 
-        0
-      ) as balance
-      FROM "Transaction"
-      WHERE timestamp < ${nextDate}
-    `;
+  console.log(
+    `🔄 Recalculating ${currency} summaries for account ${accountId} from ${startDate}`
+  );
+  const started = Date.now();
+
+  // Closing balance before the rebuild, to spot thresholds it crosses
+  const latestBefore = await latestBalance(accountId, currency, timezone);
 
-    // Get day's transactions
-    const dayTxnsResult = await prisma.$queryRaw`
-      SELECT 
+  const upserted = await prisma.$executeRaw`
+    WITH last_summary AS (
+      SELECT date, balance
+      FROM "DailySummary"
+      WHERE "accountId" = ${accountId} AND currency = ${currency}
+        AND timezone = ${timezone} AND date < ${startDate}::date
+      ORDER BY date DESC
+      LIMIT 1
+    ),
+    seed AS (
+      SELECT
+        COALESCE((SELECT balance FROM last_summary), 0) + COALESCE((
+          SELECT SUM(CASE WHEN type = 'IN' THEN amount ELSE -amount END)
+          FROM "Transaction"
+          WHERE "accountId" = ${accountId} AND currency = ${currency}
+            AND "deletedAt" IS NULL
+            AND timestamp < ${startsAt}
+            AND timestamp >= COALESCE(
+              (SELECT (date + 1)::timestamp AT TIME ZONE ${timezone}
+               FROM last_summary),
+              '-infinity'
+            )
+        ), 0) as balance
+    ),
+    daily AS (
+      SELECT
+        (timestamp AT TIME ZONE ${timezone})::date as date,
         COUNT(*) as transaction_count,
         SUM(CASE WHEN type = 'IN' THEN amount ELSE 0 END) as in_amount,
         SUM(CASE WHEN type = 'OUT' THEN amount ELSE 0 END) as out_amount
       FROM "Transaction"
-      WHERE timestamp >= ${date} AND timestamp < ${nextDate}
-    `;
-
-    const currentBalance = parseFloat(dayBalanceResult[0].balance) || 0;
-    const transactionCount = parseInt(dayTxnsResult[0].transaction_count) || 0;
-    const inAmount = parseFloat(dayTxnsResult[0].in_amount) || 0;
-    const outAmount = parseFloat(dayTxnsResult[0].out_amount) || 0;
-
-    // Calculate previous day balance for percentage change
-    const prevBalanceResult = await prisma.$queryRaw`
-      SELECT COALESCE(
-        SUM(CASE WHEN type = 'IN' THEN amount ELSE -amount END), 
-        0
-      ) as balance
-      FROM "Transaction"
-      WHERE timestamp < ${date}
-    `;
-
-    const previousBalance = parseFloat(prevBalanceResult[0].balance) || 0;
-    const percentChange =
-      previousBalance === 0
-        ? 0
-        : ((currentBalance - previousBalance) / previousBalance) * 100;
-
-    // Upsert daily summary
-    await prisma.dailySummary.upsert({
-      where: { date },
-      update: {
-        balance: currentBalance,
-        percentChange: parseFloat(percentChange.toFixed(2)),
-        transactionCount,
-        inAmount,
-        outAmount,
-      },
-      create: {
-        date,
-        balance: currentBalance,
-        percentChange: parseFloat(percentChange.toFixed(2)),
-        transactionCount,
-        inAmount,
-        outAmount,
-      },
-    });
-  }
+      WHERE "accountId" = ${accountId} AND currency = ${currency}
+        AND "deletedAt" IS NULL
+        AND timestamp >= ${startsAt}
+      GROUP BY 1
+    ),
+    running AS (
+      SELECT
+        days.date,
+        COALESCE(daily.transaction_count, 0) as transaction_count,
+        COALESCE(daily.in_amount, 0) as in_amount,
+        COALESCE(daily.out_amount, 0) as out_amount,
+        seed.balance + SUM(
+          COALESCE(daily.in_amount, 0) - COALESCE(daily.out_amount, 0)
+        ) OVER (ORDER BY days.date) as balance
+      FROM generate_series(
+        ${startDate}::date::timestamp,
+        ${endDate}::date::timestamp,
+        interval '1 day'
+      ) as days(date)
+      LEFT JOIN daily ON daily.date = days.date::date
+      CROSS JOIN seed
+    ),
+    changes AS (
+      SELECT
+        running.*,
+        LAG(balance, 1, (SELECT balance FROM seed))
+          OVER (ORDER BY date) as previous_balance
+      FROM running
+    )
+    INSERT INTO "DailySummary" (
+      "accountId", currency, date, timezone, balance, "percentChange",
+      "transactionCount", "inAmount", "outAmount", "updatedAt"
+    )
+    SELECT
+      ${accountId}::int,
+      ${currency},
+      date::date,
+      ${timezone},
+      balance,
+      CASE
+        WHEN previous_balance = 0 THEN 0
+        ELSE ROUND((balance - previous_balance) / previous_balance * 100, 2)
+      END::double precision,
+      transaction_count,
+      in_amount,
+      out_amount,
+      NOW()
+    FROM changes
+    ON CONFLICT ("accountId", currency, date) DO UPDATE SET
+      timezone = EXCLUDED.timezone,
+      balance = EXCLUDED.balance,
+      "percentChange" = EXCLUDED."percentChange",
+      "transactionCount" = EXCLUDED."transactionCount",
+      "inAmount" = EXCLUDED."inAmount",
+      "outAmount" = EXCLUDED."outAmount",
+      "updatedAt" = EXCLUDED."updatedAt"
+  `;
 
-  // Mark invalid transactions
-  await markInvalidTransactions();
+  console.log(
+    `📊 Rebuilt ${upserted} daily summaries in ${Date.now() - started}ms`
+  );
+
+  // Mark invalid transactions; from the requested day, so a rebuild from
+  // before the ledger starts rescans all of it
+  await markInvalidTransactions(accountId, currency, fromTimestamp, {
+    silent,
+  });
+  if (silent) return;
+
+  const account = await prisma.account.findUnique({
+    where: { id: accountId },
+    select: { userId: true },
+  });
+  if (!account) return;
+
+  const balance = await latestBalance(accountId, currency, timezone);
+  await emitEvent(account.userId, WEBHOOK_EVENTS.SUMMARY_RECALCULATED, {
+    accountId,
+    currency,
+    timezone,
+    fromDate: startDate,
+    toDate: endDate,
+    balance: balance.toString(),
+  });
+  await emitBalanceChange(account.userId, {
+    accountId,
+    currency,
+    previous: latestBefore,
+    balance,
+  });
+  await publishFeedEvents(account.userId, [
+    {
+      type: FEED_EVENTS.RECALCULATION_COMPLETED,
+      data: { accountId, currency, fromDate: startDate, toDate: endDate },
+    },
+    {
+      type: FEED_EVENTS.BALANCE_UPDATED,
+      data: { accountId, currency, balance: balance.toString() },
+    },
+  ]);
 };
 
-// Mark transactions that violate balance constraints
-export const markInvalidTransactions = async () => {
-  console.log("🔍 Checking for invalid transactions...");
-
-  // Clear existing invalid transactions
-  await prisma.invalidTransaction.deleteMany({});
-
-  // Use cursor-based processing for 10M records
-  const batchSize = 10000;
-  let cursor = null;
-  let runningBalance = 0;
-  const invalidTxns = [];
-
-  while (true) {
-    const transactions = await prisma.transaction.findMany({
-      take: batchSize,
-      ...(cursor && { skip: 1, cursor: { id: cursor } }),
-      orderBy: { timestamp: "asc" },
-      select: { id: true, timestamp: true, type: true, amount: true },
-    });
-
-    if (transactions.length === 0) break;
-
-    for (const txn of transactions) {
-      const newBalance =
-        txn.type === "IN"
-          ? runningBalance + txn.amount
-          : runningBalance - txn.amount;
-
-      if (newBalance < 0) {
-        invalidTxns.push({
-          transactionId: txn.id,
-          reason: `Would result in negative balance: ${newBalance.toFixed(2)}`,
-        });
-      }
-
-      runningBalance = Math.max(0, newBalance);
-    }
-
-    cursor = transactions[transactions.length - 1].id;
-
-    // Process invalid transactions in batches
-    if (invalidTxns.length >= 1000) {
-      await prisma.invalidTransaction.createMany({
-        data: invalidTxns.splice(0, 1000),
-      });
-    }
-  }
+// Balance on the ledger's latest summary, 0 without one
+const latestBalance = async (accountId, currency, timezone) => {
+  const latest = await prisma.dailySummary.findFirst({
+    where: { accountId, currency, timezone },
+    orderBy: { date: "desc" },
+    select: { balance: true },
+  });
+  return latest?.balance ?? ZERO;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mark transactions that break the owner's policies (see utils/policies.js),
+// from the day containing `fromTimestamp` on. Each flag's rule is the first
+// one broken and its reason lists them all, e.g.
+// "OVERDRAFT: Would result in negative balance: -5.00 USD".
+//
+// The effective balance is the running balance clamped at the overdraft
+// floor (zero less the allowance) after each transaction. That equals the
+// plain running balance minus its deepest dip below the floor so far, so a
+// withdrawal overdraws exactly when it pushes the running balance to a new
+// low under the floor. This lets one ordered window pass replace the row by
+// row scan. Transactions are ordered by (timestamp, id) so ties always
+// resolve the same way. Withdrawal limits are checked against running
+// totals per day and month in REPORTING_TIMEZONE.
+//
+// The pass is seeded from the effective balance stored on the last summary
+// before the range; without one, the whole ledger is scanned. Stored
+// effective balances depend on the overdraft allowance, so policy changes
+// rescan whole ledgers. Flags are applied as a diff in the same statement,
+// so the invalid count never drops while detection runs. Trashed
+// transactions keep the flags they had when deleted. `silent` skips the
+// transaction.flagged webhooks.
+export const markInvalidTransactions = async (
+  accountId,
+  currency,
+  fromTimestamp = null,
+  { silent = false } = {}
+) => {
+  const timezone = REPORTING_TIMEZONE;
+  const previous = fromTimestamp
+    ? await prisma.dailySummary.findFirst({
+        where: {
+          accountId,
+          currency,
+          timezone,
+          date: { lt: new Date(localDate(fromTimestamp, timezone)) },
+        },
+        orderBy: { date: "desc" },
+        select: { date: true, effectiveBalance: true },
+      })
+    : null;
+
+  const seeded = previous !== null && previous.effectiveBalance !== null;
+  const seed = seeded ? previous.effectiveBalance : ZERO;
+  // Starts right after the seeding summary, which also covers any days
+  // missing between it and `fromTimestamp`
+  const rangeStartDate = seeded
+    ? new Date(previous.date.getTime() + DAY_MS).toISOString().slice(0, 10)
+    : null;
+  const rangeStart = Prisma.sql`(${rangeStartDate}::date::timestamp AT TIME ZONE ${timezone})`;
+  const { scale } = getCurrencyRules(currency);
+
+  const account = await prisma.account.findUnique({
+    where: { id: accountId },
+    select: { userId: true },
+  });
+  if (!account) return;
+
+  const rules = resolvePolicies(
+    await loadPolicies(account.userId),
+    accountId,
+    currency
+  );
+  const allowance = overdraftAllowance(rules, currency);
+  const hasLimits =
+    rules.has("DAILY_OUT_LIMIT") || rules.has("MONTHLY_OUT_LIMIT");
+  // Monthly totals need the whole of the range's first month
+  const scanStartDate =
+    rangeStartDate && hasLimits
+      ? `${rangeStartDate.slice(0, 7)}-01`
+      : rangeStartDate;
+  const outTotals = hasLimits
+    ? Prisma.sql`
+        SUM(CASE WHEN type = 'OUT' THEN amount ELSE 0 END) OVER (
+          PARTITION BY (timestamp AT TIME ZONE ${timezone})::date
+          ORDER BY timestamp, id ROWS UNBOUNDED PRECEDING
+        ) as day_out,
+        SUM(CASE WHEN type = 'OUT' THEN amount ELSE 0 END) OVER (
+          PARTITION BY date_trunc('month', timestamp AT TIME ZONE ${timezone})
+          ORDER BY timestamp, id ROWS UNBOUNDED PRECEDING
+        ) as month_out`
+    : Prisma.sql`NULL::numeric as day_out, NULL::numeric as month_out`;
+
+  console.log(
+    `🔍 Checking for invalid ${currency} transactions in account ${accountId} ${
+      seeded ? `from ${rangeStartDate}` : "from the start"
+    }...`
+  );
+
+  const [result] = await prisma.$queryRaw`
+    WITH scanned AS (
+      SELECT
+        id,
+        timestamp,
+        "createdAt",
+        type,
+        amount,
+        (timestamp AT TIME ZONE ${timezone})::date as day,
+        ${outTotals}
+      FROM "Transaction"
+      WHERE "accountId" = ${accountId} AND currency = ${currency}
+        AND "deletedAt" IS NULL
+        AND (
+          ${scanStartDate}::date IS NULL
+          OR timestamp >= ${scanStartDate}::date::timestamp AT TIME ZONE ${timezone}
+        )
+    ),
+    running AS (
+      SELECT
+        scanned.*,
+        ${seed}::numeric + SUM(
+          CASE WHEN type = 'IN' THEN amount ELSE -amount END
+        ) OVER (ORDER BY timestamp, id ROWS UNBOUNDED PRECEDING) as balance
+      FROM scanned
+      WHERE (${rangeStartDate}::date IS NULL OR timestamp >= ${rangeStart})
+    ),
+    lows AS (
+      SELECT
+        running.*,
+        LEAST(0, COALESCE(MIN(balance) OVER (
+          ORDER BY timestamp, id
+          ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+        ) + ${allowance}::numeric, 0)) as deficit
+      FROM running
+    ),
+    violations AS (
+      ${policyViolationsSql(rules, currency, scale, "lows")}
+    ),
+    flagged AS (
+      SELECT
+        id as transaction_id,
+        ((array_agg(rule ORDER BY priority))[1])::"PolicyRule" as rule,
+        string_agg(rule || ': ' || message, '; ' ORDER BY priority) as reason
+      FROM violations
+      GROUP BY id
+    ),
+    removed AS (
+      DELETE FROM "InvalidTransaction" it
+      USING "Transaction" t
+      WHERE it."transactionId" = t.id
+        AND t."accountId" = ${accountId} AND t.currency = ${currency}
+        AND t."deletedAt" IS NULL
+        AND (${rangeStartDate}::date IS NULL OR t.timestamp >= ${rangeStart})
+        AND NOT EXISTS (
+          SELECT 1 FROM flagged f WHERE f.transaction_id = it."transactionId"
+        )
+      RETURNING 1
+    ),
+    added AS (
+      INSERT INTO "InvalidTransaction" ("transactionId", rule, reason)
+      SELECT transaction_id, rule, reason FROM flagged
+      ON CONFLICT ("transactionId") DO UPDATE SET
+        rule = EXCLUDED.rule,
+        reason = EXCLUDED.reason
+      WHERE "InvalidTransaction".rule IS DISTINCT FROM EXCLUDED.rule
+        OR "InvalidTransaction".reason IS DISTINCT FROM EXCLUDED.reason
+      RETURNING "transactionId" as transaction_id, rule, reason
+    ),
+    day_end AS (
+      SELECT DISTINCT ON (day)
+        day,
+        balance - LEAST(deficit, balance + ${allowance}::numeric)
+          as effective_balance
+      FROM lows
+      ORDER BY day, timestamp DESC, id DESC
+    ),
+    summaries AS (
+      UPDATE "DailySummary" ds
+      SET "effectiveBalance" = COALESCE((
+        SELECT effective_balance
+        FROM day_end
+        WHERE day_end.day <= ds.date
+        ORDER BY day_end.day DESC
+        LIMIT 1
+      ), ${seed}::numeric)
+      WHERE ds."accountId" = ${accountId} AND ds.currency = ${currency}
+        AND ds.timezone = ${timezone}
+        AND (${rangeStartDate}::date IS NULL OR ds.date >= ${rangeStartDate}::date)
+      RETURNING 1
+    )
+    SELECT
+      (SELECT COUNT(*) FROM flagged) as flagged,
+      (SELECT COUNT(*) FROM added) as added,
+      (SELECT COUNT(*) FROM removed) as removed,
+      (SELECT COALESCE(json_agg(added), '[]') FROM added) as added_flags
+  `;
+
+  console.log(
+    `⚠️  ${result.flagged} invalid transactions in range (${result.added} new or changed, ${result.removed} cleared)`
+  );
 
-  // Insert remaining invalid transactions
-  if (invalidTxns.length > 0) {
-    await prisma.invalidTransaction.createMany({
-      data: invalidTxns,
-    });
+  // Cached invalid counts are keyed by generation
+  if (Number(result.added) > 0 || Number(result.removed) > 0) {
+    await bumpCacheGeneration(account.userId);
   }
+  if (silent) return;
 
-  console.log(`⚠️  Marked ${invalidTxns.length} invalid transactions`);
+  await emitEvents(
+    account.userId,
+    WEBHOOK_EVENTS.TRANSACTION_FLAGGED,
+    result.added_flags.map((flag) => ({
+      transactionId: flag.transaction_id,
+      accountId,
+      currency,
+      rule: flag.rule,
+      reason: flag.reason,
+    }))
+  );
 };
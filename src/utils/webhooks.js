@@ -0,0 +1,295 @@
+import crypto from "crypto";
+import dns from "dns/promises";
+import net from "net";
+import prisma from "../config/prisma.js";
+import { webhookConfig } from "../config/webhooks.js";
+import { queueWebhookDelivery } from "../queue/jobs.js";
+import { snapshotTransaction } from "./audit.js";
+import { toDecimal } from "./money.js";
+
+// Outbound webhooks. Each event a user's endpoint subscribes to becomes a
+// WebhookDelivery, sent by a job so failures are retried with the queue's
+// backoff. The body is the JSON event:
+//
+//   { "id": "<event id>", "type": "transaction.created",
+//     "createdAt": "<ISO time>", "data": { ... } }
+//
+// and X-Webhook-Signature is "t=<unix seconds>,v1=<hex HMAC-SHA256 of
+// `${t}.${body}` keyed with the endpoint's secret>". Receivers should check
+// it and reject old timestamps. Delivery is at least once: replays and
+// retries repeat the event id.
+//
+// Endpoints must resolve to public addresses only, so a user can't have
+// the server post to (and report the answers of) hosts on its own network.
+
+export const WEBHOOK_EVENTS = {
+  TRANSACTION_CREATED: "transaction.created",
+  TRANSACTION_UPDATED: "transaction.updated",
+  TRANSACTION_DELETED: "transaction.deleted",
+  TRANSACTION_RESTORED: "transaction.restored",
+  TRANSACTION_FLAGGED: "transaction.flagged",
+  SUMMARY_RECALCULATED: "summary.recalculated",
+  BALANCE_THRESHOLD_CROSSED: "balance.threshold_crossed",
+};
+
+const BATCH_SIZE = 1000;
+const MAX_ERROR_LENGTH = 500;
+
+// Loopback, private, shared, link-local (cloud metadata), multicast and
+// reserved ranges. IPv4-mapped IPv6 addresses are checked as IPv4.
+const NON_PUBLIC = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address, prefix, "ipv6"));
+
+// Why webhooks can't be sent to `url`, or null when they can. Checked when
+// an endpoint is saved and again before each attempt, as DNS may have
+// changed in between.
+export const webhookUrlError = async (url) => {
+  if (webhookConfig.allowPrivateAddresses) return null;
+
+  // IPv6 literals come bracketed
+  const host = new URL(url).hostname.replace(/^\[(.*)\]$/, "$1");
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true, verbatim: true });
+  } catch {
+    return "host could not be resolved";
+  }
+
+  const blocked = addresses.some(({ address, family }) =>
+    NON_PUBLIC.check(address, family === 6 ? "ipv6" : "ipv4")
+  );
+  return blocked ? "must not point to a private or local address" : null;
+};
+
+export const generateSecret = () =>
+  "whsec_" + crypto.randomBytes(24).toString("base64url");
+
+export const signPayload = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+// The event fields of a transaction
+export const transactionEventData = (txn) => ({
+  id: txn.id,
+  ...snapshotTransaction(txn),
+});
+
+const buildEvent = (type, data) => ({
+  id: crypto.randomUUID(),
+  type,
+  createdAt: new Date().toISOString(),
+  data,
+});
+
+const subscribedEndpoints = (userId, event) =>
+  prisma.webhookEndpoint.findMany({
+    where: { userId, enabled: true, events: { has: event } },
+    select: { id: true, balanceThresholds: true },
+  });
+
+// Stores the deliveries and queues a job for each
+const createDeliveries = async (userId, deliveries) => {
+  for (let i = 0; i < deliveries.length; i += BATCH_SIZE) {
+    const rows = await prisma.webhookDelivery.createManyAndReturn({
+      data: deliveries.slice(i, i + BATCH_SIZE),
+      select: { id: true },
+    });
+
+    for (const { id } of rows) {
+      await queueWebhookDelivery(userId, id);
+    }
+  }
+};
+
+// Sends one `event` per entry of `items` to each of the user's endpoints
+// subscribed to it. Called after the change has committed; a failure here
+// is logged and never fails the change itself.
+export const emitEvents = async (userId, event, items) => {
+  if (items.length === 0) return;
+
+  try {
+    const endpoints = await subscribedEndpoints(userId, event);
+    if (endpoints.length === 0) return;
+
+    const events = items.map((data) => buildEvent(event, data));
+    await createDeliveries(
+      userId,
+      endpoints.flatMap((endpoint) =>
+        events.map((payload) => ({
+          endpointId: endpoint.id,
+          eventId: payload.id,
+          event,
+          payload,
+        }))
+      )
+    );
+  } catch (error) {
+    console.error(`Error emitting ${event} webhooks:`, error);
+  }
+};
+
+export const emitEvent = (userId, event, data) =>
+  emitEvents(userId, event, [data]);
+
+// Tells each endpoint with a threshold on this ledger that the balance
+// moved from `previous` to `balance` across it. Reaching the threshold
+// counts as being above it.
+export const emitBalanceChange = async (
+  userId,
+  { accountId, currency, previous, balance }
+) => {
+  if (previous.eq(balance)) return;
+
+  const event = WEBHOOK_EVENTS.BALANCE_THRESHOLD_CROSSED;
+
+  try {
+    const endpoints = await subscribedEndpoints(userId, event);
+    const deliveries = [];
+
+    for (const endpoint of endpoints) {
+      for (const threshold of endpoint.balanceThresholds) {
+        if (threshold.currency !== currency) continue;
+        if (threshold.accountId && threshold.accountId !== accountId) continue;
+
+        const amount = toDecimal(threshold.amount);
+        const wasBelow = previous.lt(amount);
+        if (wasBelow === balance.lt(amount)) continue;
+
+        const payload = buildEvent(event, {
+          accountId,
+          currency,
+          threshold: amount.toString(),
+          direction: wasBelow ? "above" : "below",
+          previousBalance: previous.toString(),
+          balance: balance.toString(),
+        });
+        deliveries.push({
+          endpointId: endpoint.id,
+          eventId: payload.id,
+          event,
+          payload,
+        });
+      }
+    }
+
+    await createDeliveries(userId, deliveries);
+  } catch (error) {
+    console.error(`Error emitting ${event} webhooks:`, error);
+  }
+};
+
+// Queues the same payload again as a new delivery to the same endpoint
+export const replayDelivery = async (userId, delivery) => {
+  const replay = await prisma.webhookDelivery.create({
+    data: {
+      endpointId: delivery.endpointId,
+      eventId: delivery.eventId,
+      event: delivery.event,
+      payload: delivery.payload,
+      replayOfId: delivery.id,
+    },
+  });
+
+  await queueWebhookDelivery(userId, replay.id);
+  return replay;
+};
+
+// Job handler: one attempt at a delivery. Throws when it fails so the queue
+// retries it; the last attempt (or one made without a job) marks it FAILED.
+export const deliverWebhook = async ({ deliveryId }, job = null) => {
+  const delivery = await prisma.webhookDelivery.findUnique({
+    where: { id: deliveryId },
+    include: { endpoint: true },
+  });
+  if (!delivery || delivery.status === "SUCCEEDED") return;
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let responseStatus = null;
+  let error = null;
+
+  const urlError =
+    delivery.endpoint.enabled && (await webhookUrlError(delivery.endpoint.url));
+
+  if (!delivery.endpoint.enabled) {
+    error = "Endpoint disabled";
+  } else if (urlError) {
+    error = `Not sent: URL ${urlError}`;
+  } else {
+    try {
+      const response = await fetch(delivery.endpoint.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "transaction-tracker-webhooks",
+          "X-Webhook-Id": delivery.eventId,
+          "X-Webhook-Delivery": String(delivery.id),
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Signature": `t=${timestamp},v1=${signPayload(
+            delivery.endpoint.secret,
+            timestamp,
+            body
+          )}`,
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(webhookConfig.timeoutMs),
+      });
+
+      responseStatus = response.status;
+      // Only the status matters; drop the body so the socket is freed
+      await response.body?.cancel();
+      if (!response.ok) {
+        error = `Receiver answered ${response.status}`;
+      }
+    } catch (err) {
+      error = err.message;
+    }
+  }
+
+  // A disabled endpoint won't come back by retrying
+  const retry =
+    error !== null &&
+    delivery.endpoint.enabled &&
+    job !== null &&
+    job.attempts < job.maxAttempts;
+
+  const now = new Date();
+  await prisma.webhookDelivery.update({
+    where: { id: deliveryId },
+    data: {
+      attempts: { increment: 1 },
+      lastAttemptAt: now,
+      responseStatus,
+      lastError: error && error.slice(0, MAX_ERROR_LENGTH),
+      status: !error ? "SUCCEEDED" : retry ? "RETRYING" : "FAILED",
+      ...(!error && { deliveredAt: now }),
+    },
+  });
+
+  if (error && delivery.endpoint.enabled) {
+    throw new Error(`Webhook delivery ${deliveryId} failed: ${error}`);
+  }
+};
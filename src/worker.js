@@ -0,0 +1,9 @@
+import "dotenv/config";
+import { startWorker } from "./queue/worker.js";
+import { handleShutdown } from "./utils/shutdown.js";
+
+// Standalone job worker: npm run worker. Run the API with
+// EMBEDDED_WORKER=false when jobs are handled here instead.
+const worker = startWorker();
+
+handleShutdown(() => worker.stop());
@@ -0,0 +1,315 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  dayString,
+  parseDay,
+  resolveSchedule,
+  occurrenceDates,
+  occurrenceAt,
+  upcomingOccurrences,
+  nextRunAt,
+  isOccurrence,
+} from "../src/utils/recurrence.js";
+
+const day = (value) => parseDay(value);
+
+const schedule = (input) =>
+  resolveSchedule({
+    ...input,
+    startDate: day(input.startDate),
+    endDate: input.endDate && day(input.endDate),
+  }).schedule;
+
+// The first `n` occurrence dates, as "YYYY-MM-DD"
+const firstDates = (schedule, n = 10) => {
+  const dates = [];
+  for (const date of occurrenceDates(schedule)) {
+    if (dates.length >= n) break;
+    dates.push(dayString(date));
+  }
+  return dates;
+};
+
+describe("occurrenceDates", () => {
+  it("clamps a monthly day to the end of shorter months", () => {
+    const monthly = schedule({
+      frequency: "MONTHLY",
+      startDate: "2026-01-31",
+    });
+
+    assert.deepEqual(firstDates(monthly, 4), [
+      "2026-01-31",
+      "2026-02-28",
+      "2026-03-31",
+      "2026-04-30",
+    ]);
+  });
+
+  it("lands on February 29 in leap years", () => {
+    const monthly = schedule({
+      frequency: "MONTHLY",
+      startDate: "2027-12-30",
+    });
+
+    assert.deepEqual(firstDates(monthly, 3), [
+      "2027-12-30",
+      "2028-01-30",
+      "2028-02-29",
+    ]);
+  });
+
+  it("steps monthly intervals across year ends", () => {
+    const quarterly = schedule({
+      frequency: "MONTHLY",
+      interval: 3,
+      monthDay: 15,
+      startDate: "2026-11-01",
+    });
+
+    assert.deepEqual(firstDates(quarterly, 3), [
+      "2026-11-15",
+      "2027-02-15",
+      "2027-05-15",
+    ]);
+  });
+
+  it("counts weeks from the Monday of the start date", () => {
+    // 2026-03-04 is a Wednesday: that week's Monday is before the start
+    const weekly = schedule({
+      frequency: "WEEKLY",
+      weekdays: [1, 3, 5],
+      startDate: "2026-03-04",
+    });
+
+    assert.deepEqual(firstDates(weekly, 5), [
+      "2026-03-04",
+      "2026-03-06",
+      "2026-03-09",
+      "2026-03-11",
+      "2026-03-13",
+    ]);
+  });
+
+  it("treats Sunday as the last day of the ISO week", () => {
+    const fortnightly = schedule({
+      frequency: "WEEKLY",
+      interval: 2,
+      weekdays: [7, 1],
+      startDate: "2026-03-02",
+    });
+
+    assert.deepEqual(firstDates(fortnightly, 4), [
+      "2026-03-02",
+      "2026-03-08",
+      "2026-03-16",
+      "2026-03-22",
+    ]);
+  });
+
+  it("defaults a weekly schedule to the start date's weekday", () => {
+    const weekly = schedule({ frequency: "WEEKLY", startDate: "2026-03-05" });
+
+    assert.deepEqual(weekly.weekdays, [4]);
+    assert.deepEqual(firstDates(weekly, 2), ["2026-03-05", "2026-03-12"]);
+  });
+
+  it("stops after count occurrences", () => {
+    const daily = schedule({
+      frequency: "DAILY",
+      interval: 3,
+      count: 3,
+      startDate: "2026-02-27",
+    });
+
+    assert.deepEqual(firstDates(daily), [
+      "2026-02-27",
+      "2026-03-02",
+      "2026-03-05",
+    ]);
+  });
+
+  it("includes the end date", () => {
+    const daily = schedule({
+      frequency: "DAILY",
+      startDate: "2026-03-01",
+      endDate: "2026-03-03",
+    });
+
+    assert.deepEqual(firstDates(daily), [
+      "2026-03-01",
+      "2026-03-02",
+      "2026-03-03",
+    ]);
+  });
+});
+
+describe("occurrenceAt", () => {
+  const newYork = schedule({
+    frequency: "DAILY",
+    startDate: "2026-03-07",
+    time: "09:00",
+    timezone: "America/New_York",
+  });
+
+  it("follows the local time across a DST change", () => {
+    assert.equal(
+      occurrenceAt(newYork, day("2026-03-07")).toISOString(),
+      "2026-03-07T14:00:00.000Z"
+    );
+    assert.equal(
+      occurrenceAt(newYork, day("2026-03-08")).toISOString(),
+      "2026-03-08T13:00:00.000Z"
+    );
+  });
+
+  it("moves a time skipped by the change forward by the jump", () => {
+    const skippedTime = { ...newYork, time: "02:30" };
+
+    assert.equal(
+      occurrenceAt(skippedTime, day("2026-03-08")).toISOString(),
+      "2026-03-08T07:30:00.000Z"
+    );
+  });
+
+  it("resolves a repeated time to its first occurrence", () => {
+    const repeatedTime = { ...newYork, time: "01:30" };
+
+    assert.equal(
+      occurrenceAt(repeatedTime, day("2026-11-01")).toISOString(),
+      "2026-11-01T05:30:00.000Z"
+    );
+  });
+
+  it("can fall on the previous UTC day", () => {
+    const auckland = {
+      ...newYork,
+      time: "08:00",
+      timezone: "Pacific/Auckland",
+    };
+
+    assert.equal(
+      occurrenceAt(auckland, day("2026-03-08")).toISOString(),
+      "2026-03-07T19:00:00.000Z"
+    );
+  });
+});
+
+describe("upcomingOccurrences", () => {
+  const daily = schedule({
+    frequency: "DAILY",
+    count: 4,
+    startDate: "2026-03-01",
+    time: "12:00",
+    timezone: "UTC",
+  });
+  const from = new Date("2026-01-01T00:00:00Z");
+
+  it("leaves skipped dates out but counts them", () => {
+    const occurrences = upcomingOccurrences(daily, {
+      from,
+      skippedDates: [day("2026-03-02")],
+      limit: 10,
+    });
+
+    assert.deepEqual(
+      occurrences.map(({ date }) => date),
+      ["2026-03-01", "2026-03-03", "2026-03-04"]
+    );
+  });
+
+  it("lists skipped dates with includeSkipped", () => {
+    const occurrences = upcomingOccurrences(daily, {
+      from,
+      skippedDates: [day("2026-03-02")],
+      limit: 10,
+      includeSkipped: true,
+    });
+
+    assert.deepEqual(
+      occurrences.map(({ date, skipped }) => [date, skipped]),
+      [
+        ["2026-03-01", false],
+        ["2026-03-02", true],
+        ["2026-03-03", false],
+        ["2026-03-04", false],
+      ]
+    );
+  });
+
+  it("starts at occurrences due at or after from", () => {
+    const occurrences = upcomingOccurrences(daily, {
+      from: new Date("2026-03-02T12:00:00Z"),
+      limit: 2,
+    });
+
+    assert.deepEqual(
+      occurrences.map(({ date, at }) => [date, at.toISOString()]),
+      [
+        ["2026-03-02", "2026-03-02T12:00:00.000Z"],
+        ["2026-03-03", "2026-03-03T12:00:00.000Z"],
+      ]
+    );
+  });
+
+  it("finds a date due on the UTC day before it", () => {
+    const auckland = {
+      ...daily,
+      time: "08:00",
+      timezone: "Pacific/Auckland",
+    };
+
+    const [next] = upcomingOccurrences(auckland, {
+      from: new Date("2026-03-02T18:00:00Z"),
+    });
+
+    assert.equal(next.date, "2026-03-03");
+    assert.equal(next.at.toISOString(), "2026-03-02T19:00:00.000Z");
+  });
+
+  it("has none left once count is used up", () => {
+    assert.deepEqual(
+      upcomingOccurrences(daily, { from: new Date("2026-03-05T00:00:00Z") }),
+      []
+    );
+    assert.equal(
+      nextRunAt(daily, from, [
+        day("2026-03-01"),
+        day("2026-03-02"),
+        day("2026-03-03"),
+        day("2026-03-04"),
+      ]),
+      null
+    );
+  });
+});
+
+describe("isOccurrence", () => {
+  const monthly = schedule({
+    frequency: "MONTHLY",
+    count: 3,
+    startDate: "2026-01-31",
+  });
+
+  it("matches clamped month-end dates", () => {
+    assert.equal(isOccurrence(monthly, day("2026-02-28")), true);
+    assert.equal(isOccurrence(monthly, day("2026-02-27")), false);
+  });
+
+  it("rejects dates before the start or after the count", () => {
+    assert.equal(isOccurrence(monthly, day("2025-12-31")), false);
+    assert.equal(isOccurrence(monthly, day("2026-03-31")), true);
+    assert.equal(isOccurrence(monthly, day("2026-04-30")), false);
+  });
+
+  it("rejects weekdays the schedule doesn't list", () => {
+    const weekly = schedule({
+      frequency: "WEEKLY",
+      weekdays: [1, 3],
+      startDate: "2026-03-04",
+    });
+
+    assert.equal(isOccurrence(weekly, day("2026-03-02")), false);
+    assert.equal(isOccurrence(weekly, day("2026-03-09")), true);
+    assert.equal(isOccurrence(weekly, day("2026-03-10")), false);
+  });
+});